@@ -0,0 +1,262 @@
+const appointmentService = require('./clockwork-appointment-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Shape a session for API responses
+const formatSession = (session) => ({
+  id: session.id,
+  specialistId: session.specialist_id,
+  specialistName: session.specialist_name,
+  clientId: session.client_id,
+  clientName: session.client_name,
+  seriesId: session.series_id,
+  type: session.type,
+  startsAt: session.starts_at,
+  endsAt: session.ends_at,
+  durationMinutes: session.duration_minutes,
+  timezone: session.timezone,
+  date: session.date,
+  time: session.time,
+  location: session.location,
+  notes: session.notes,
+  status: session.status,
+  cancelledBy: session.cancelled_by,
+  cancelledAt: session.cancelled_at,
+  cancellationReason: session.cancellation_reason,
+  lateCancellation: session.late_cancellation,
+  sessionPackId: session.session_pack_id,
+  bookedBy: session.booked_by,
+  createdAt: session.created_at,
+  updatedAt: session.updated_at
+});
+
+// Shape an availability window for API responses
+const formatSlot = (slot) => ({
+  id: slot.id,
+  weekday: slot.weekday,
+  startTime: slot.start_time,
+  endTime: slot.end_time,
+  timezone: slot.timezone
+});
+
+// Load a session the caller takes part in
+const loadSession = async (req, res) => {
+  const session = await appointmentService.findSession(req.params.id);
+  if (!session || !appointmentService.canAccessSession(req.user, session)) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  
+  return session;
+};
+
+// List the caller's sessions
+const listSessions = async (req, res) => {
+  try {
+    const { clientId, from, to, status } = req.query;
+    const sessions = await appointmentService.list(req.user, {
+      clientId,
+      from: from && new Date(from),
+      to: to && new Date(to),
+      status
+    });
+    
+    res.json({ sessions: sessions.map(formatSession) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+};
+
+// Get one session
+const getSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    
+    res.json({ session: formatSession(session) });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+};
+
+// Book a single or recurring session
+const bookSession = async (req, res) => {
+  try {
+    const sessions = await appointmentService.book(req.user, req.body);
+    
+    res.status(201).json({
+      sessions: sessions.map(formatSession),
+      message: sessions.length > 1 ? `${sessions.length} sessions booked` : 'Session booked'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Book session error:', error);
+    res.status(500).json({ error: 'Failed to book session' });
+  }
+};
+
+// Move a session to a new time
+const rescheduleSession = async (req, res) => {
+  try {
+    const existing = await loadSession(req, res);
+    if (!existing) return;
+    
+    const session = await appointmentService.reschedule(req.user, existing, req.body);
+    
+    res.json({
+      session: formatSession(session),
+      message: 'Session rescheduled'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reschedule session error:', error);
+    res.status(500).json({ error: 'Failed to reschedule session' });
+  }
+};
+
+// Cancel a session or the rest of its series
+const cancelSession = async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    
+    const cancelled = await appointmentService.cancel(req.user, session, req.body);
+    const late = cancelled.some(row => row.late_cancellation);
+    
+    res.json({
+      cancelled: cancelled.map(row => row.id),
+      lateCancellation: late,
+      message: late ? 'Session cancelled inside the cancellation window' : 'Session cancelled'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel session error:', error);
+    res.status(500).json({ error: 'Failed to cancel session' });
+  }
+};
+
+// Confirm a session or record attendance
+const updateSessionStatus = async (req, res) => {
+  try {
+    const existing = await loadSession(req, res);
+    if (!existing) return;
+    
+    const session = await appointmentService.updateStatus(req.user, existing, req.body.status);
+    
+    res.json({
+      session: formatSession(session),
+      message: 'Session updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update session status error:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+};
+
+// A specialist's weekly availability
+const getAvailability = async (req, res) => {
+  try {
+    const specialistId = req.query.specialistId || req.user.id;
+    const slots = await appointmentService.getAvailability(specialistId);
+    
+    res.json({ specialistId, availability: slots.map(formatSlot) });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ error: 'Failed to load availability' });
+  }
+};
+
+// Replace the caller's weekly availability
+const setAvailability = async (req, res) => {
+  try {
+    const timezone = req.body.timezone || req.user.timezone || 'UTC';
+    const slots = await appointmentService.setAvailability(req.user.id, req.body.slots, timezone);
+    
+    res.json({
+      availability: slots.map(formatSlot),
+      message: 'Availability updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Set availability error:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+};
+
+// Open start times for a specialist over a date range
+const getOpenSlots = async (req, res) => {
+  try {
+    const from = req.query.from || toDateString(new Date());
+    const to = req.query.to || toDateString(new Date(Date.parse(`${from}T00:00:00Z`) + 6 * DAY_MS));
+    
+    if (from > to || Date.parse(to) - Date.parse(from) >= MAX_SLOT_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `Range must be between 1 and ${MAX_SLOT_RANGE_DAYS} days` });
+    }
+    
+    const slots = await appointmentService.openSlots(req.query.specialistId, {
+      from,
+      to,
+      durationMinutes: req.query.duration ? parseInt(req.query.duration, 10) : undefined
+    });
+    
+    res.json({ specialistId: req.query.specialistId, from, to, slots });
+  } catch (error) {
+    console.error('Open slots error:', error);
+    res.status(500).json({ error: 'Failed to load open slots' });
+  }
+};
+
+// The caller's booking settings
+const getSettings = async (req, res) => {
+  try {
+    res.json({ settings: await appointmentService.getSettings(req.user.id) });
+  } catch (error) {
+    console.error('Get booking settings error:', error);
+    res.status(500).json({ error: 'Failed to load booking settings' });
+  }
+};
+
+// Change the caller's cancellation window
+const updateSettings = async (req, res) => {
+  try {
+    const settings = await appointmentService.updateSettings(req.user.id, req.body);
+    
+    res.json({
+      settings,
+      message: 'Booking settings updated'
+    });
+  } catch (error) {
+    console.error('Update booking settings error:', error);
+    res.status(500).json({ error: 'Failed to update booking settings' });
+  }
+};
+
+module.exports = {
+  listSessions,
+  getSession,
+  bookSession,
+  rescheduleSession,
+  cancelSession,
+  updateSessionStatus,
+  getAvailability,
+  setAvailability,
+  getOpenSlots,
+  getSettings,
+  updateSettings
+};
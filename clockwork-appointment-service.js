@@ -0,0 +1,450 @@
+const { db } = require('../config/database');
+const smsService = require('./clockwork-sms-service');
+const relationshipService = require('./clockwork-relationship-service');
+const sessionStatus = require('./clockwork-appointment-status');
+const sessionPacks = require('./clockwork-session-packs');
+const { ACTIVE_STATUSES } = require('./clockwork-appointment-status');
+const { DEFAULT_TIMEZONE, toZoned, fromZoned, addDays } = require('./clockwork-timezone');
+const { hasPermission } = require('./clockwork-rbac');
+
+// Days between occurrences of a recurring series
+const RECURRENCE_FREQUENCIES = { weekly: 7, biweekly: 14 };
+
+const MAX_OCCURRENCES = 52;
+const DEFAULT_DURATION_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+// Build an error carrying an HTTP status
+const appointmentError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Columns returned for sessions, with the local date as a plain string
+const sessionColumns = () => [
+  'training_sessions.*',
+  db.raw("to_char(training_sessions.date, 'YYYY-MM-DD') as date"),
+  'specialist.name as specialist_name',
+  'client.name as client_name'
+];
+
+const sessionQuery = () => db('training_sessions')
+  .join('users as specialist', 'specialist.id', 'training_sessions.specialist_id')
+  .join('users as client', 'client.id', 'training_sessions.client_id')
+  .select(sessionColumns());
+
+// Whether a session falls entirely inside one of a specialist's weekly windows
+const fitsAvailability = (rules, startsAt, endsAt) => rules.some((rule) => {
+  const start = toZoned(startsAt, rule.timezone);
+  const end = toZoned(endsAt, rule.timezone);
+
+  return start.weekday === rule.weekday
+    && start.date === end.date
+    && start.time >= rule.start_time
+    && end.time <= rule.end_time;
+});
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// Appointment service class
+class AppointmentService {
+  // A specialist's weekly availability windows
+  async getAvailability(specialistId) {
+    return await db('availability_slots')
+      .where({ specialist_id: specialistId })
+      .orderBy(['weekday', 'start_time']);
+  }
+
+  // Replace a specialist's weekly availability
+  async setAvailability(specialistId, slots, timezone) {
+    for (const slot of slots) {
+      if (slot.startTime >= slot.endTime) {
+        throw appointmentError(400, 'Each window must end after it starts');
+      }
+    }
+
+    const clash = slots.some((slot, index) => slots.some((other, otherIndex) => (
+      otherIndex > index
+      && other.weekday === slot.weekday
+      && other.startTime < slot.endTime
+      && slot.startTime < other.endTime
+    )));
+    if (clash) {
+      throw appointmentError(400, 'Availability windows on the same day cannot overlap');
+    }
+
+    await db.transaction(async (trx) => {
+      await trx('availability_slots').where({ specialist_id: specialistId }).del();
+
+      if (slots.length > 0) {
+        await trx('availability_slots').insert(slots.map(slot => ({
+          specialist_id: specialistId,
+          weekday: slot.weekday,
+          start_time: slot.startTime,
+          end_time: slot.endTime,
+          timezone
+        })));
+      }
+    });
+
+    return await this.getAvailability(specialistId);
+  }
+
+  // Bookable start times inside availability that no active session overlaps
+  async openSlots(specialistId, { from, to, durationMinutes = DEFAULT_DURATION_MINUTES }) {
+    const rules = await this.getAvailability(specialistId);
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const candidates = [];
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      for (const rule of rules.filter(rule => rule.weekday === weekdayOf(date))) {
+        const end = toMinutes(rule.end_time);
+        for (let minutes = toMinutes(rule.start_time); minutes + durationMinutes <= end; minutes += durationMinutes) {
+          const startsAt = fromZoned(date, fromMinutes(minutes), rule.timezone);
+          if (startsAt > now) {
+            candidates.push({
+              startsAt,
+              endsAt: new Date(startsAt.getTime() + durationMinutes * MINUTE_MS),
+              date,
+              time: fromMinutes(minutes),
+              timezone: rule.timezone
+            });
+          }
+        }
+      }
+    }
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const booked = (await db('training_sessions')
+      .where({ specialist_id: specialistId })
+      .whereIn('status', ACTIVE_STATUSES)
+      .where('starts_at', '<', candidates[candidates.length - 1].endsAt)
+      .where('ends_at', '>', candidates[0].startsAt))
+      .map(session => ({ startsAt: new Date(session.starts_at), endsAt: new Date(session.ends_at) }));
+
+    return candidates
+      .filter(slot => !booked.some(session => overlaps(slot, session)))
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  // Booking settings for a specialist
+  async getSettings(specialistId) {
+    return {
+      cancellationWindowHours: await sessionStatus.getCancellationWindowHours(specialistId)
+    };
+  }
+
+  // Change the cancellation window; null restores the default
+  async updateSettings(specialistId, { cancellationWindowHours }) {
+    await db('users')
+      .where({ id: specialistId })
+      .update({ cancellation_window_hours: cancellationWindowHours, updated_at: new Date() });
+
+    return await this.getSettings(specialistId);
+  }
+
+  // Work out who a booking is between and check they train together
+  async resolveParticipants(user, { specialistId, clientId }) {
+    const bookingAsSpecialist = hasPermission(user, 'appointments:manage') && (!specialistId || specialistId === user.id);
+
+    const participants = bookingAsSpecialist
+      ? { specialistId: user.id, clientId }
+      : { specialistId, clientId: user.id };
+
+    if (!participants.specialistId || !participants.clientId) {
+      throw appointmentError(400, bookingAsSpecialist ? 'clientId is required' : 'specialistId is required');
+    }
+
+    if (!(await relationshipService.isActive(participants.specialistId, participants.clientId))) {
+      throw appointmentError(403, 'Sessions can only be booked between a specialist and their active clients');
+    }
+
+    return { ...participants, bookingAsSpecialist };
+  }
+
+  // Dated occurrences of a booking; recurring sessions keep their local wall-clock time
+  buildOccurrences({ date, time, timezone, durationMinutes, recurrence }) {
+    const count = recurrence ? recurrence.occurrences : 1;
+    const step = recurrence ? RECURRENCE_FREQUENCIES[recurrence.frequency] : 0;
+
+    if (count > MAX_OCCURRENCES) {
+      throw appointmentError(400, `A series can have at most ${MAX_OCCURRENCES} sessions`);
+    }
+
+    return Array.from({ length: count }, (_, index) => {
+      const localDate = addDays(date, index * step);
+      const startsAt = fromZoned(localDate, time, timezone);
+      const local = toZoned(startsAt, timezone);
+
+      return {
+        date: local.date,
+        time: local.time,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + durationMinutes * MINUTE_MS)
+      };
+    });
+  }
+
+  // Serialize bookings per person so concurrent requests cannot double-book
+  async lockParticipants(trx, ids) {
+    for (const id of [...ids].sort()) {
+      await trx.raw('select pg_advisory_xact_lock(hashtext(?))', [id]);
+    }
+  }
+
+  // Active sessions of either participant overlapping any of the occurrences
+  async findConflicts(trx, { specialistId, clientId, occurrences, excludeId }) {
+    const query = trx('training_sessions')
+      .select('*', db.raw("to_char(date, 'YYYY-MM-DD') as date"))
+      .whereIn('status', ACTIVE_STATUSES)
+      .where(function () {
+        this.where({ specialist_id: specialistId }).orWhere({ client_id: clientId });
+      })
+      .where(function () {
+        for (const occurrence of occurrences) {
+          this.orWhere(function () {
+            this.where('starts_at', '<', occurrence.endsAt).where('ends_at', '>', occurrence.startsAt);
+          });
+        }
+      });
+
+    if (excludeId) query.whereNot({ id: excludeId });
+
+    return await query;
+  }
+
+  // Describe conflicting sessions for an error message
+  describeConflicts(conflicts) {
+    return conflicts.map(session => `${session.date} ${session.time} (${session.timezone})`).join(', ');
+  }
+
+  // Book a single or recurring session
+  async book(user, data) {
+    const { specialistId, clientId, bookingAsSpecialist } = await this.resolveParticipants(user, data);
+    const timezone = data.timezone || user.timezone || DEFAULT_TIMEZONE;
+    const durationMinutes = data.durationMinutes || DEFAULT_DURATION_MINUTES;
+    const occurrences = this.buildOccurrences({ ...data, timezone, durationMinutes });
+
+    if (occurrences[0].startsAt <= new Date()) {
+      throw appointmentError(400, 'Sessions must be booked in the future');
+    }
+
+    // Specialists may book outside their published hours; clients may not
+    if (!bookingAsSpecialist) {
+      const rules = await this.getAvailability(specialistId);
+      const outside = occurrences.filter(occurrence => !fitsAvailability(rules, occurrence.startsAt, occurrence.endsAt));
+      if (outside.length > 0) {
+        throw appointmentError(409, `Outside the specialist's availability: ${outside.map(occurrence => occurrence.date).join(', ')}`);
+      }
+    }
+
+    const ids = await db.transaction(async (trx) => {
+      await this.lockParticipants(trx, [specialistId, clientId]);
+
+      const conflicts = await this.findConflicts(trx, { specialistId, clientId, occurrences });
+      if (conflicts.length > 0) {
+        throw appointmentError(409, `Conflicts with existing sessions: ${this.describeConflicts(conflicts)}`);
+      }
+
+      let seriesId = null;
+      if (data.recurrence) {
+        const [series] = await trx('session_series')
+          .insert({
+            specialist_id: specialistId,
+            client_id: clientId,
+            frequency: data.recurrence.frequency,
+            occurrences: occurrences.length
+          })
+          .returning(['id']);
+        seriesId = series.id;
+      }
+
+      const sessions = await trx('training_sessions')
+        .insert(occurrences.map(occurrence => ({
+          specialist_id: specialistId,
+          client_id: clientId,
+          series_id: seriesId,
+          booked_by: user.id,
+          type: data.type || 'training',
+          starts_at: occurrence.startsAt,
+          ends_at: occurrence.endsAt,
+          duration_minutes: durationMinutes,
+          timezone,
+          date: occurrence.date,
+          time: occurrence.time,
+          location: data.location,
+          notes: data.notes
+        })))
+        .returning(['id']);
+
+      return sessions.map(session => session.id);
+    });
+
+    return await sessionQuery().whereIn('training_sessions.id', ids).orderBy('training_sessions.starts_at', 'asc');
+  }
+
+  async findSession(id) {
+    return await sessionQuery().where('training_sessions.id', id).first();
+  }
+
+  // Whether a user takes part in a session or can see any client
+  canAccessSession(user, session) {
+    return session.specialist_id === user.id
+      || session.client_id === user.id
+      || hasPermission(user, 'users:read:any');
+  }
+
+  // Sessions the user takes part in
+  async list(user, { clientId, from, to, status } = {}) {
+    const query = sessionQuery()
+      .where(function () {
+        this.where('training_sessions.specialist_id', user.id).orWhere('training_sessions.client_id', user.id);
+      })
+      .orderBy('training_sessions.starts_at', 'asc');
+
+    if (clientId) query.where('training_sessions.client_id', clientId);
+    if (from) query.where('training_sessions.starts_at', '>=', from);
+    if (to) query.where('training_sessions.starts_at', '<=', to);
+    if (status) query.where('training_sessions.status', status);
+
+    return await query;
+  }
+
+  // Move a session; clients cannot do this inside the cancellation window
+  async reschedule(user, session, data) {
+    const bySpecialist = session.specialist_id === user.id;
+
+    if (!bySpecialist) {
+      const hours = await sessionStatus.getCancellationWindowHours(session.specialist_id);
+      if (sessionStatus.isInsideCancellationWindow(session, hours)) {
+        throw appointmentError(409, `Sessions cannot be rescheduled within ${hours} hours of the start; contact your specialist`);
+      }
+    }
+
+    const timezone = data.timezone || session.timezone;
+    const durationMinutes = data.durationMinutes || session.duration_minutes;
+    const [occurrence] = this.buildOccurrences({
+      date: data.date || session.date,
+      time: data.time || session.time,
+      timezone,
+      durationMinutes
+    });
+
+    if (occurrence.startsAt <= new Date()) {
+      throw appointmentError(400, 'Sessions must be rescheduled into the future');
+    }
+
+    if (!bySpecialist) {
+      const rules = await this.getAvailability(session.specialist_id);
+      if (!fitsAvailability(rules, occurrence.startsAt, occurrence.endsAt)) {
+        throw appointmentError(409, "The new time is outside the specialist's availability");
+      }
+    }
+
+    await db.transaction(async (trx) => {
+      await this.lockParticipants(trx, [session.specialist_id, session.client_id]);
+
+      const conflicts = await this.findConflicts(trx, {
+        specialistId: session.specialist_id,
+        clientId: session.client_id,
+        occurrences: [occurrence],
+        excludeId: session.id
+      });
+      if (conflicts.length > 0) {
+        throw appointmentError(409, `Conflicts with existing sessions: ${this.describeConflicts(conflicts)}`);
+      }
+
+      // Moving a session needs confirming again
+      await sessionStatus.transition(session, 'scheduled', {
+        starts_at: occurrence.startsAt,
+        ends_at: occurrence.endsAt,
+        duration_minutes: durationMinutes,
+        timezone,
+        date: occurrence.date,
+        time: occurrence.time
+      }, trx);
+    });
+
+    return await this.findSession(session.id);
+  }
+
+  // Cancel a session, or it and every later one in its series
+  async cancel(user, session, { reason, scope = 'single' }) {
+    const targets = scope === 'following' && session.series_id
+      ? await db('training_sessions')
+        .where({ series_id: session.series_id })
+        .whereIn('status', ACTIVE_STATUSES)
+        .where('starts_at', '>=', session.starts_at)
+      : [session];
+
+    const cancelled = await db.transaction(async (trx) => {
+      const rows = [];
+      for (const target of targets) {
+        rows.push(await sessionStatus.cancel(target, { cancelledBy: user.id, reason }, trx));
+      }
+      return rows;
+    });
+
+    // Let the client know when their specialist cancels
+    if (user.id === session.specialist_id) {
+      await this.notifyClientOfCancellation(session);
+    }
+
+    return cancelled;
+  }
+
+  async notifyClientOfCancellation(session) {
+    const client = await db('users').where({ id: session.client_id }).first();
+    if (!client?.phone || client.sms_opt_out) {
+      return;
+    }
+
+    try {
+      await smsService.sendAppointmentCancellation(client.phone, session);
+    } catch (error) {
+      console.error('Appointment cancellation SMS error:', error);
+    }
+  }
+
+  // Confirm, complete or mark a no-show
+  async updateStatus(user, session, status) {
+    if (['completed', 'no_show'].includes(status) && user.id !== session.specialist_id) {
+      throw appointmentError(403, 'Only the specialist can record attendance');
+    }
+
+    // A completed session is drawn from the client's prepaid pack in the same transaction
+    await db.transaction(async (trx) => {
+      await sessionStatus.transition(session, status, {}, trx);
+      if (status === 'completed') {
+        await sessionPacks.consumeForSession(session, trx);
+      }
+    });
+
+    return await this.findSession(session.id);
+  }
+}
+
+// Create and export singleton instance
+const appointmentService = new AppointmentService();
+
+module.exports = appointmentService;
+module.exports.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
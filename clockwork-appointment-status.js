@@ -0,0 +1,97 @@
+const { db } = require('../config/database');
+
+const SESSION_STATUSES = ['scheduled', 'confirmed', 'cancelled', 'completed', 'no_show'];
+
+// Statuses that still hold a place in the calendar
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Client changes closer than this to the start count as late unless a specialist sets their own window
+const DEFAULT_CANCELLATION_WINDOW_HOURS = parseInt(process.env.CANCELLATION_WINDOW_HOURS, 10) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Allowed moves between statuses; moving to 'scheduled' is a reschedule
+const TRANSITIONS = {
+  scheduled: ['scheduled', 'confirmed', 'cancelled', 'completed', 'no_show'],
+  confirmed: ['scheduled', 'cancelled', 'completed', 'no_show'],
+  cancelled: [],
+  completed: [],
+  no_show: []
+};
+
+// Build an error carrying an HTTP status
+const statusError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check a status change against the transition table and the session's start time
+const assertTransition = (session, nextStatus, now = new Date()) => {
+  if (!(TRANSITIONS[session.status] || []).includes(nextStatus)) {
+    throw statusError(409, `A ${session.status} session cannot be marked ${nextStatus}`);
+  }
+
+  const started = new Date(session.starts_at) <= now;
+
+  if (['scheduled', 'confirmed', 'cancelled'].includes(nextStatus) && started) {
+    throw statusError(409, 'This session has already started');
+  }
+
+  if (['completed', 'no_show'].includes(nextStatus) && !started) {
+    throw statusError(409, 'This session has not started yet');
+  }
+};
+
+// Apply a validated status change, failing if someone else changed the session first
+const transition = async (session, nextStatus, changes = {}, trx = db) => {
+  assertTransition(session, nextStatus);
+
+  const [updated] = await trx('training_sessions')
+    .where({ id: session.id, status: session.status })
+    .update({
+      ...changes,
+      status: nextStatus,
+      updated_at: new Date()
+    })
+    .returning('*');
+
+  if (!updated) {
+    throw statusError(409, 'This session was changed by someone else; reload and try again');
+  }
+
+  return updated;
+};
+
+// A specialist's cancellation window in hours
+const getCancellationWindowHours = async (specialistId, trx = db) => {
+  const specialist = await trx('users').where({ id: specialistId }).first('cancellation_window_hours');
+  return specialist?.cancellation_window_hours ?? DEFAULT_CANCELLATION_WINDOW_HOURS;
+};
+
+const isInsideCancellationWindow = (session, hours, now = new Date()) => (
+  new Date(session.starts_at) - now < hours * HOUR_MS
+);
+
+// Cancel a session; clients cancelling inside the window are flagged as late
+const cancel = async (session, { cancelledBy, reason = null }, trx = db) => {
+  const hours = await getCancellationWindowHours(session.specialist_id, trx);
+
+  return await transition(session, 'cancelled', {
+    cancelled_by: cancelledBy,
+    cancelled_at: new Date(),
+    cancellation_reason: reason,
+    late_cancellation: cancelledBy === session.client_id && isInsideCancellationWindow(session, hours)
+  }, trx);
+};
+
+module.exports = {
+  SESSION_STATUSES,
+  ACTIVE_STATUSES,
+  DEFAULT_CANCELLATION_WINDOW_HOURS,
+  assertTransition,
+  transition,
+  cancel,
+  getCancellationWindowHours,
+  isInsideCancellationWindow
+};
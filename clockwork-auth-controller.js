@@ -1,29 +1,132 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const { db } = require('../config/database');
 const redis = require('../config/redis');
 const emailService = require('../services/emailService');
+const sessionService = require('./clockwork-session-service');
+const twoFactorService = require('./clockwork-two-factor-service');
+const webAuthnService = require('./clockwork-webauthn-service');
+const lockoutService = require('./clockwork-lockout-service');
+const emailVerificationService = require('./clockwork-email-verification-service');
+const relationshipService = require('./clockwork-relationship-service');
+const { SELF_ASSIGNABLE_ROLES, PRIVILEGED_ROLES, getRoles, hasPermission } = require('./clockwork-rbac');
 const { validateEmail, validatePassword } = require('../utils/validators');
 
 // Generate access and refresh tokens
-const generateTokens = (userId) => {
+const generateTokens = (userId, sessionId) => {
   const accessToken = jwt.sign(
-    { id: userId, type: 'access' },
+    { id: userId, sid: sessionId, type: 'access' },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
   
   const refreshToken = jwt.sign(
-    { id: userId, type: 'refresh' },
+    { id: userId, sid: sessionId, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', jwtid: crypto.randomUUID() }
   );
   
   return { accessToken, refreshToken };
 };
 
+// Create a device session and issue its token pair
+const startSession = async (userId, req) => {
+  const session = await sessionService.create(userId, {
+    deviceName: req.body.deviceName,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  
+  const tokens = generateTokens(userId, session.id);
+  await sessionService.storeRefreshToken(session.id, tokens.refreshToken);
+  
+  return { sessionId: session.id, ...tokens };
+};
+
+// Reject sign-in while an account is locked or backing off; returns true if a response was sent
+const rejectIfThrottled = (res, status) => {
+  if (status.locked) {
+    res.set('Retry-After', String(status.retryAfter));
+    res.status(423).json({
+      error: 'Account locked',
+      lockedUntil: status.lockedUntil,
+      message: 'Too many failed attempts. Check your email for an unlock link or try again later.'
+    });
+    return true;
+  }
+  
+  if (status.retryAfter > 0) {
+    res.set('Retry-After', String(status.retryAfter));
+    res.status(429).json({
+      error: 'Too many failed attempts',
+      retryAfter: status.retryAfter,
+      message: `Please wait ${status.retryAfter} seconds before trying again`
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+// Check a 2FA temp token against the copy stored at login
+const verifyTempToken = async (tempToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(tempToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  
+  if (decoded.type !== '2fa_temp') {
+    return null;
+  }
+  
+  const storedToken = await redis.get(`2fa_temp_${decoded.id}`);
+  if (!storedToken || storedToken !== tempToken) {
+    return null;
+  }
+  
+  return decoded;
+};
+
+// Revoke a refresh token family after a rotated token is replayed
+const handleRefreshTokenReuse = async (storedToken, req) => {
+  // Only alert once per family; later replays hit an already revoked session
+  const session = await sessionService.findActive(storedToken.session_id);
+  await sessionService.revokeFamily(storedToken.session_id);
+  
+  if (!session) {
+    return;
+  }
+  
+  await db('audit_logs').insert({
+    user_id: storedToken.user_id,
+    action: 'refresh_token_reuse',
+    resource: 'session',
+    resource_id: storedToken.session_id,
+    details: `Rotated refresh token replayed; session "${session.device_name}" revoked`,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent')
+  });
+  
+  const user = await db('users').where({ id: storedToken.user_id }).first();
+  if (user) {
+    try {
+      await emailService.sendSecurityAlertEmail(user.email, user.name, {
+        title: 'Suspicious sign-in activity',
+        description: `An old sign-in token for your session on ${session.device_name} was reused, so we signed that device out. If you didn't expect this, change your password.`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      console.error('Security alert email error:', error);
+    }
+  }
+};
+
 // Signup new user
 const signup = async (req, res) => {
   const trx = await db.transaction();
@@ -37,6 +140,16 @@ const signup = async (req, res) => {
       return res.status(400).json({ error: 'Invalid email format' });
     }
     
+    // Privileged roles can only be granted by an admin
+    const forbiddenRoles = roles.filter(role => !SELF_ASSIGNABLE_ROLES.includes(role));
+    if (forbiddenRoles.length > 0) {
+      await trx.rollback();
+      return res.status(403).json({ 
+        error: 'Roles cannot be self-assigned', 
+        details: forbiddenRoles 
+      });
+    }
+    
     const passwordValidation = validatePassword(password);
     if (!passwordValidation.isValid) {
       await trx.rollback();
@@ -64,9 +177,7 @@ const signup = async (req, res) => {
         name,
         phone,
         roles: JSON.stringify(roles),
-        subscription_plan: 'basic',
-        client_ids: JSON.stringify([]),
-        specialist_ids: JSON.stringify([])
+        subscription_plan: 'basic'
       })
       .returning(['id', 'email', 'name', 'roles', 'created_at']);
     
@@ -75,12 +186,12 @@ const signup = async (req, res) => {
       await trx('nutrition').insert({
         client_id: user.id,
         assigned_by: user.id,
-        protein: JSON.stringify({ target: 0, current: 0 }),
-        carbs: JSON.stringify({ target: 0, current: 0 }),
-        fat: JSON.stringify({ target: 0, current: 0 }),
-        calories: JSON.stringify({ target: 0, current: 0 }),
-        fiber: JSON.stringify({ target: 0, current: 0 }),
-        water: JSON.stringify({ target: 0, current: 0 }),
+        protein: JSON.stringify({ target: 0 }),
+        carbs: JSON.stringify({ target: 0 }),
+        fat: JSON.stringify({ target: 0 }),
+        calories: JSON.stringify({ target: 0 }),
+        fiber: JSON.stringify({ target: 0 }),
+        water: JSON.stringify({ target: 0 }),
         meal_plan: JSON.stringify({
           breakfast: '',
           lunch: '',
@@ -92,20 +203,6 @@ const signup = async (req, res) => {
       });
     }
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    
-    // Store refresh token in Redis with user metadata
-    await redis.setex(
-      `refresh_${user.id}`, 
-      7 * 24 * 60 * 60, 
-      JSON.stringify({
-        token: refreshToken,
-        email: user.email,
-        roles: user.roles
-      })
-    );
-    
     // Send welcome email
     await emailService.sendWelcomeEmail(email, name);
     
@@ -122,20 +219,34 @@ const signup = async (req, res) => {
     
     await trx.commit();
     
+    // Start a session for the new account
+    const { accessToken, refreshToken } = await startSession(user.id, req);
+    
+    // Send email verification link
+    try {
+      await emailVerificationService.sendVerification(user);
+    } catch (error) {
+      // The user can request another link later
+      console.error('Verification email error:', error);
+    }
+    
     res.status(201).json({
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
         roles: JSON.parse(user.roles),
+        emailVerified: false,
         createdAt: user.created_at
       },
       accessToken,
       refreshToken,
-      message: 'Account created successfully'
+      message: 'Account created successfully. Please check your email to verify your address.'
     });
   } catch (error) {
-    await trx.rollback();
+    if (!trx.isCompleted()) {
+      await trx.rollback();
+    }
     console.error('Signup error:', error);
     res.status(500).json({ error: 'Failed to create account' });
   }
@@ -155,6 +266,11 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    // Refuse attempts while locked out or backing off
+    if (rejectIfThrottled(res, await lockoutService.getStatus(user.id))) {
+      return;
+    }
+    
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
@@ -169,11 +285,18 @@ const login = async (req, res) => {
         user_agent: req.get('user-agent')
       });
       
+      const failure = await lockoutService.recordFailure(user, req, 'failed_login');
+      if (failure.locked) {
+        rejectIfThrottled(res, failure);
+        return;
+      }
+      
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
     // Check if 2FA is enabled
-    if (user.two_factor_enabled && user.two_factor_secret) {
+    const twoFactorMethod = user.two_factor_method || 'totp';
+    if (user.two_factor_enabled && (twoFactorMethod !== 'totp' || user.two_factor_secret)) {
       // Generate temporary token for 2FA verification
       const tempToken = jwt.sign(
         { id: user.id, type: '2fa_temp', email: user.email },
@@ -184,35 +307,32 @@ const login = async (req, res) => {
       // Store temp token in Redis
       await redis.setex(`2fa_temp_${user.id}`, 300, tempToken);
       
+      // Send a one-time code for SMS and email methods
+      let delivery;
+      if (twoFactorMethod !== 'totp') {
+        try {
+          delivery = await twoFactorService.sendOtp(user, twoFactorMethod);
+        } catch (error) {
+          // The user can still resend, or fall back to a backup code
+          console.error('2FA code delivery error:', error);
+        }
+      }
+      
       return res.json({
         requiresTwoFactor: true,
+        twoFactorMethod,
+        passkeyAvailable: await webAuthnService.hasCredentials(user.id),
         tempToken,
-        message: 'Please enter your 2FA code'
+        ...(delivery && { codeSentTo: delivery.destination }),
+        message: twoFactorMethod === 'totp'
+          ? 'Please enter your 2FA code'
+          : `Please enter the code we sent by ${twoFactorMethod === 'sms' ? 'SMS' : 'email'}`
       });
     }
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    
-    // Store refresh token in Redis
-    await redis.setex(
-      `refresh_${user.id}`, 
-      7 * 24 * 60 * 60, 
-      JSON.stringify({
-        token: refreshToken,
-        email: user.email,
-        roles: user.roles
-      })
-    );
-    
-    // Update last login
-    await db('users')
-      .where({ id: user.id })
-      .update({ 
-        updated_at: new Date(),
-        is_online: true,
-        last_seen: new Date()
-      });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await startSession(user.id, req);
+    await lockoutService.recordSuccess(user.id);
     
     // Log successful login
     await db('audit_logs').insert({
@@ -229,6 +349,7 @@ const login = async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: user.email_verified,
         name: user.name,
         phone: user.phone,
         roles: JSON.parse(user.roles),
@@ -236,9 +357,10 @@ const login = async (req, res) => {
         billingEnabled: user.billing_enabled,
         canTrainClients: user.can_train_clients,
         twoFactorEnabled: user.two_factor_enabled,
+        twoFactorMethod: user.two_factor_method,
         profilePicture: user.profile_picture_url,
-        clientIds: JSON.parse(user.client_ids || '[]'),
-        specialistIds: JSON.parse(user.specialist_ids || '[]')
+        clientIds: await relationshipService.getClientIds(user.id),
+        specialistIds: await relationshipService.getSpecialistIds(user.id)
       },
       accessToken,
       refreshToken,
@@ -253,39 +375,42 @@ const login = async (req, res) => {
 // Verify 2FA code
 const verifyTwoFactor = async (req, res) => {
   try {
-    const { tempToken, code } = req.body;
+    const { tempToken, code, backupCode } = req.body;
     
     // Verify temp token
-    let decoded;
-    try {
-      decoded = jwt.verify(tempToken, process.env.JWT_SECRET);
-    } catch (error) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-    
-    if (decoded.type !== '2fa_temp') {
-      return res.status(401).json({ error: 'Invalid token type' });
-    }
-    
-    // Check if temp token exists in Redis
-    const storedToken = await redis.get(`2fa_temp_${decoded.id}`);
-    if (!storedToken || storedToken !== tempToken) {
+    const decoded = await verifyTempToken(tempToken);
+    if (!decoded) {
       return res.status(401).json({ error: 'Invalid or expired token' });
     }
     
     // Get user
     const user = await db('users').where({ id: decoded.id }).first();
-    if (!user || !user.two_factor_secret) {
+    const twoFactorMethod = user?.two_factor_method || 'totp';
+    if (!user || !user.two_factor_enabled || (twoFactorMethod === 'totp' && !user.two_factor_secret)) {
       return res.status(400).json({ error: 'Two-factor authentication not set up' });
     }
     
-    // Verify TOTP code
-    const verified = speakeasy.totp.verify({
-      secret: user.two_factor_secret,
-      encoding: 'base32',
-      token: code,
-      window: 2 // Allow 2 time steps before/after
-    });
+    // Refuse attempts while locked out or backing off
+    if (rejectIfThrottled(res, await lockoutService.getStatus(user.id))) {
+      return;
+    }
+    
+    // Verify the code for the user's method, or consume a backup code in its place
+    let verified;
+    let otpResult;
+    if (backupCode) {
+      verified = await twoFactorService.consumeBackupCode(user.id, backupCode);
+    } else if (twoFactorMethod === 'totp') {
+      verified = speakeasy.totp.verify({
+        secret: user.two_factor_secret,
+        encoding: 'base32',
+        token: code,
+        window: 2 // Allow 2 time steps before/after
+      });
+    } else {
+      otpResult = await twoFactorService.verifyOtp(user.id, code);
+      verified = otpResult.valid;
+    }
     
     if (!verified) {
       // Log failed 2FA attempt
@@ -294,39 +419,41 @@ const verifyTwoFactor = async (req, res) => {
         action: 'failed_2fa',
         resource: 'session',
         resource_id: user.id,
-        details: 'Invalid 2FA code',
+        details: backupCode ? 'Invalid 2FA backup code' : 'Invalid 2FA code',
         ip_address: req.ip,
         user_agent: req.get('user-agent')
       });
       
-      return res.status(401).json({ error: 'Invalid verification code' });
+      const failure = await lockoutService.recordFailure(user, req, 'failed_2fa');
+      if (failure.locked) {
+        await redis.del(`2fa_temp_${user.id}`);
+        rejectIfThrottled(res, failure);
+        return;
+      }
+      
+      if (otpResult?.expired) {
+        return res.status(401).json({ 
+          error: 'Verification code expired or too many attempts',
+          message: 'Please request a new code'
+        });
+      }
+      
+      return res.status(401).json({ 
+        error: 'Invalid verification code',
+        ...(otpResult && { attemptsRemaining: otpResult.attemptsRemaining })
+      });
     }
     
+    const backupCodesRemaining = backupCode
+      ? await twoFactorService.countRemainingBackupCodes(user.id)
+      : undefined;
+    
     // Delete temp token
     await redis.del(`2fa_temp_${user.id}`);
     
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    
-    // Store refresh token in Redis
-    await redis.setex(
-      `refresh_${user.id}`, 
-      7 * 24 * 60 * 60, 
-      JSON.stringify({
-        token: refreshToken,
-        email: user.email,
-        roles: user.roles
-      })
-    );
-    
-    // Update user status
-    await db('users')
-      .where({ id: user.id })
-      .update({ 
-        updated_at: new Date(),
-        is_online: true,
-        last_seen: new Date()
-      });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await startSession(user.id, req);
+    await lockoutService.recordSuccess(user.id);
     
     // Log successful 2FA
     await db('audit_logs').insert({
@@ -334,7 +461,7 @@ const verifyTwoFactor = async (req, res) => {
       action: '2fa_success',
       resource: 'session',
       resource_id: user.id,
-      details: '2FA verification successful',
+      details: backupCode ? '2FA verification successful with backup code' : '2FA verification successful',
       ip_address: req.ip,
       user_agent: req.get('user-agent')
     });
@@ -343,6 +470,7 @@ const verifyTwoFactor = async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: user.email_verified,
         name: user.name,
         phone: user.phone,
         roles: JSON.parse(user.roles),
@@ -353,6 +481,7 @@ const verifyTwoFactor = async (req, res) => {
       },
       accessToken,
       refreshToken,
+      ...(backupCode && { backupCodesRemaining }),
       message: '2FA verification successful'
     });
   } catch (error) {
@@ -361,10 +490,280 @@ const verifyTwoFactor = async (req, res) => {
   }
 };
 
+// Verify an email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const result = await emailVerificationService.verify(token);
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+    
+    const { user, previousEmail } = result;
+    
+    // Pick up invitations sent to this address now that the account has proven it owns it
+    await relationshipService.linkInvitations(user);
+    
+    // Log verification or completed email change
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: previousEmail ? 'email_changed' : 'email_verified',
+      resource: 'user',
+      resource_id: user.id,
+      details: previousEmail
+        ? `Email changed from ${previousEmail} to ${user.email}`
+        : 'Email address verified',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({
+      email: user.email,
+      emailVerified: true,
+      message: previousEmail ? 'Email address updated successfully' : 'Email address verified successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+// Resend the verification link for the current address
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { user } = req;
+    
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+    
+    await emailVerificationService.sendVerification(user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+};
+
+// Request an email change; takes effect once the new address is verified
+const changeEmail = async (req, res) => {
+  try {
+    const { user } = req;
+    const { newEmail, password } = req.body;
+    
+    // Verify password before changing the sign-in address
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    
+    if (newEmail.toLowerCase() === user.email) {
+      return res.status(400).json({ error: 'New email must be different from the current one' });
+    }
+    
+    await emailVerificationService.requestEmailChange(user, newEmail);
+    
+    // Log email change request
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'email_change_requested',
+      resource: 'user',
+      resource_id: user.id,
+      details: `Email change to ${newEmail.toLowerCase()} requested`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Check your new inbox to confirm the change' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Email change error:', error);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+};
+
+// Unlock an account with the token from the lockout email
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const userId = await lockoutService.unlockWithToken(token);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired unlock link' });
+    }
+    
+    // Log self-service unlock
+    await db('audit_logs').insert({
+      user_id: userId,
+      action: 'account_unlocked',
+      resource: 'user',
+      resource_id: userId,
+      details: 'Account unlocked via email link',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Account unlocked. You can sign in again.' });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+};
+
+// Change a user's roles (admin)
+const updateUserRoles = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const roles = [...new Set(req.body.roles)];
+    
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own roles' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const previousRoles = getRoles(user);
+    
+    // Granting or revoking admin/owner requires an owner
+    const changedRoles = [
+      ...roles.filter(role => !previousRoles.includes(role)),
+      ...previousRoles.filter(role => !roles.includes(role))
+    ];
+    const touchesPrivileged = changedRoles.some(role => PRIVILEGED_ROLES.includes(role));
+    if (touchesPrivileged && !hasPermission(req.user, 'roles:assign:privileged')) {
+      return res.status(403).json({ error: 'Only an owner can grant or revoke admin and owner roles' });
+    }
+    
+    await db('users')
+      .where({ id })
+      .update({
+        roles: JSON.stringify(roles),
+        updated_at: new Date()
+      });
+    
+    // Log role change
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'role_change',
+      resource: 'user',
+      resource_id: id,
+      details: `Roles changed from [${previousRoles.join(', ')}] to [${roles.join(', ')}]`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        roles
+      },
+      message: 'Roles updated successfully'
+    });
+  } catch (error) {
+    console.error('Update roles error:', error);
+    res.status(500).json({ error: 'Failed to update roles' });
+  }
+};
+
+// List accounts currently locked out (admin)
+const listLockouts = async (req, res) => {
+  try {
+    const lockouts = await lockoutService.listActive();
+    
+    res.json({
+      lockouts: lockouts.map(lockout => ({
+        id: lockout.id,
+        userId: lockout.user_id,
+        email: lockout.email,
+        name: lockout.name,
+        failedAttempts: lockout.failed_attempts,
+        reason: lockout.reason,
+        ipAddress: lockout.ip_address,
+        lockedAt: lockout.locked_at,
+        lockedUntil: lockout.locked_until
+      }))
+    });
+  } catch (error) {
+    console.error('List lockouts error:', error);
+    res.status(500).json({ error: 'Failed to load lockouts' });
+  }
+};
+
+// Clear a user's lockout (admin)
+const clearLockout = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const cleared = await lockoutService.unlock(userId, { unlockedBy: req.user.id });
+    if (!cleared) {
+      return res.status(404).json({ error: 'No active lockout for this user' });
+    }
+    
+    // Log admin unlock
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'account_unlocked',
+      resource: 'user',
+      resource_id: userId,
+      details: 'Account lockout cleared by admin',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+};
+
+// Resend an SMS or email one-time code during login
+const resendTwoFactorCode = async (req, res) => {
+  try {
+    const { tempToken } = req.body;
+    
+    const decoded = await verifyTempToken(tempToken);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    const user = await db('users').where({ id: decoded.id }).first();
+    const twoFactorMethod = user?.two_factor_method || 'totp';
+    if (!user || !user.two_factor_enabled || twoFactorMethod === 'totp') {
+      return res.status(400).json({ error: 'No code can be sent for this account' });
+    }
+    
+    const delivery = await twoFactorService.sendOtp(user, twoFactorMethod);
+    
+    res.json({
+      codeSentTo: delivery.destination,
+      expiresIn: delivery.expiresIn,
+      message: 'A new verification code has been sent'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('2FA resend error:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+};
+
 // Logout user
 const logout = async (req, res) => {
   try {
-    const { user, token } = req;
+    const { user, token, sessionId } = req;
     
     // Blacklist the current access token
     const decoded = jwt.decode(token);
@@ -373,16 +772,10 @@ const logout = async (req, res) => {
       await redis.setex(`blacklist_${token}`, ttl, '1');
     }
     
-    // Remove refresh token
-    await redis.del(`refresh_${user.id}`);
-    
-    // Update user status
-    await db('users')
-      .where({ id: user.id })
-      .update({ 
-        is_online: false,
-        last_seen: new Date()
-      });
+    // Revoke only this device's session
+    if (sessionId) {
+      await sessionService.revoke(sessionId, { userId: user.id });
+    }
     
     // Log audit
     await db('audit_logs').insert({
@@ -419,14 +812,24 @@ const refreshTokens = async (req, res) => {
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
     
-    // Check if refresh token exists in Redis
-    const storedData = await redis.get(`refresh_${decoded.id}`);
-    if (!storedData) {
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    
+    // Look up the token within its family
+    const storedToken = await sessionService.findRefreshToken(refreshToken);
+    if (!storedToken || storedToken.session_id !== decoded.sid || storedToken.user_id !== decoded.id) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    
+    // A token that was already rotated is being replayed
+    if (storedToken.rotated_at) {
+      await handleRefreshTokenReuse(storedToken, req);
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
     
-    const parsedData = JSON.parse(storedData);
-    if (parsedData.token !== refreshToken) {
+    const session = await sessionService.findActive(storedToken.session_id);
+    if (!session || storedToken.revoked_at) {
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
     
@@ -436,19 +839,22 @@ const refreshTokens = async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
     
-    // Generate new tokens
-    const tokens = generateTokens(decoded.id);
+    // Claim the token; losing this race means it was used concurrently
+    const claimed = await sessionService.markRotated(storedToken.id);
+    if (!claimed) {
+      await handleRefreshTokenReuse(storedToken, req);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
     
-    // Update refresh token in Redis
-    await redis.setex(
-      `refresh_${decoded.id}`, 
-      7 * 24 * 60 * 60, 
-      JSON.stringify({
-        token: tokens.refreshToken,
-        email: user.email,
-        roles: user.roles
-      })
-    );
+    // Generate new tokens for the same session
+    const tokens = generateTokens(decoded.id, session.id);
+    
+    // Record the new token as a child of the rotated one
+    await sessionService.storeRefreshToken(session.id, tokens.refreshToken, storedToken.id);
+    await sessionService.touch(session.id, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
     
     res.json({
       accessToken: tokens.accessToken,
@@ -555,8 +961,8 @@ const resetPassword = async (req, res) => {
     // Delete reset token
     await redis.del(`reset_${token}`);
     
-    // Invalidate all existing refresh tokens for this user
-    await redis.del(`refresh_${userId}`);
+    // Sign out every device for this user
+    await sessionService.revokeAllForUser(userId, { reason: 'password_reset' });
     
     // Send confirmation email
     const user = await db('users').where({ id: userId }).first();
@@ -582,6 +988,91 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// List active sessions for the current user
+const listSessions = async (req, res) => {
+  try {
+    const { user, sessionId } = req;
+    
+    const sessions = await sessionService.listForUser(user.id);
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    
+    const revoked = await sessionService.revoke(id, { userId: user.id, reason: 'revoked' });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    // Log session revocation
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'session_revoked',
+      resource: 'session',
+      resource_id: id,
+      details: 'Session signed out remotely',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+// Sign out every session except the current one
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const { user, sessionId } = req;
+    
+    const count = await sessionService.revokeAllForUser(user.id, {
+      exceptSessionId: sessionId,
+      reason: 'revoked_others'
+    });
+    
+    // Log bulk revocation
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'sessions_revoked',
+      resource: 'session',
+      resource_id: user.id,
+      details: `Signed out ${count} other session(s)`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ 
+      message: 'Signed out of all other sessions',
+      revokedCount: count
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
 // Enable two-factor authentication
 const enableTwoFactor = async (req, res) => {
   try {
@@ -647,6 +1138,7 @@ const confirmTwoFactor = async (req, res) => {
       .update({
         two_factor_secret: secret,
         two_factor_enabled: true,
+        two_factor_method: 'totp',
         updated_at: new Date()
       });
     
@@ -654,19 +1146,7 @@ const confirmTwoFactor = async (req, res) => {
     await redis.del(`2fa_setup_${user.id}`);
     
     // Generate backup codes
-    const backupCodes = Array.from({ length: 8 }, () => 
-      Math.random().toString(36).substring(2, 10).toUpperCase()
-    );
-    
-    // Store backup codes (hashed) in Redis
-    const hashedBackupCodes = await Promise.all(
-      backupCodes.map(code => bcrypt.hash(code, 10))
-    );
-    await redis.setex(
-      `2fa_backup_${user.id}`, 
-      365 * 24 * 60 * 60, // 1 year
-      JSON.stringify(hashedBackupCodes)
-    );
+    const backupCodes = await twoFactorService.generateBackupCodes(user.id);
     
     // Log 2FA enablement
     await db('audit_logs').insert({
@@ -690,6 +1170,154 @@ const confirmTwoFactor = async (req, res) => {
   }
 };
 
+// Start switching the preferred second factor
+const changeTwoFactorMethod = async (req, res) => {
+  try {
+    const { user } = req;
+    const { method } = req.body;
+    
+    if (method === 'totp') {
+      // Authenticator apps are set up through enable/confirm
+      if (!user.two_factor_secret) {
+        return res.status(400).json({ 
+          error: 'No authenticator app set up',
+          message: 'Use /api/auth/2fa/enable to set up an authenticator app first'
+        });
+      }
+      
+      await db('users')
+        .where({ id: user.id })
+        .update({
+          two_factor_method: 'totp',
+          two_factor_enabled: true,
+          updated_at: new Date()
+        });
+      
+      await db('audit_logs').insert({
+        user_id: user.id,
+        action: '2fa_method_changed',
+        resource: 'user',
+        resource_id: user.id,
+        details: 'Two-factor method changed to totp',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+      
+      return res.json({ 
+        twoFactorMethod: 'totp',
+        message: 'Two-factor method updated successfully' 
+      });
+    }
+    
+    // Prove the new channel works before switching to it
+    const delivery = await twoFactorService.sendOtp(user, method, 'setup');
+    
+    res.json({
+      codeSentTo: delivery.destination,
+      expiresIn: delivery.expiresIn,
+      message: 'Enter the code we sent to confirm your new two-factor method'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('2FA method change error:', error);
+    res.status(500).json({ error: 'Failed to change two-factor method' });
+  }
+};
+
+// Confirm an SMS or email second factor with the code sent to it
+const confirmTwoFactorMethod = async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+    
+    const result = await twoFactorService.verifyOtp(user.id, code, 'setup');
+    if (!result.valid) {
+      return res.status(400).json({ 
+        error: result.expired ? 'Verification code expired or too many attempts' : 'Invalid verification code',
+        ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+      });
+    }
+    
+    await db('users')
+      .where({ id: user.id })
+      .update({
+        two_factor_method: result.method,
+        two_factor_enabled: true,
+        updated_at: new Date()
+      });
+    
+    // First-time setup gets a set of backup codes
+    const hasBackupCodes = await twoFactorService.countRemainingBackupCodes(user.id) > 0;
+    const backupCodes = hasBackupCodes
+      ? undefined
+      : await twoFactorService.generateBackupCodes(user.id);
+    
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: '2fa_method_changed',
+      resource: 'user',
+      resource_id: user.id,
+      details: `Two-factor method changed to ${result.method}`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({
+      twoFactorMethod: result.method,
+      message: 'Two-factor method updated successfully',
+      ...(backupCodes && {
+        backupCodes,
+        warning: 'Save these backup codes in a secure place. Each code can only be used once.'
+      })
+    });
+  } catch (error) {
+    console.error('2FA method confirmation error:', error);
+    res.status(500).json({ error: 'Failed to confirm two-factor method' });
+  }
+};
+
+// Regenerate two-factor backup codes
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { user } = req;
+    const { password } = req.body;
+    
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    // Verify password before issuing new codes
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    
+    const backupCodes = await twoFactorService.generateBackupCodes(user.id);
+    
+    // Log backup code regeneration
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: '2fa_backup_codes_regenerated',
+      resource: 'user',
+      resource_id: user.id,
+      details: 'Two-factor backup codes regenerated; previous codes invalidated',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({
+      message: 'Backup codes regenerated successfully',
+      backupCodes,
+      warning: 'Save these backup codes in a secure place. Your previous codes no longer work.'
+    });
+  } catch (error) {
+    console.error('Backup code regeneration error:', error);
+    res.status(500).json({ error: 'Failed to regenerate backup codes' });
+  }
+};
+
 // Disable two-factor authentication
 const disableTwoFactor = async (req, res) => {
   try {
@@ -708,11 +1336,14 @@ const disableTwoFactor = async (req, res) => {
       .update({
         two_factor_enabled: false,
         two_factor_secret: null,
+        two_factor_method: 'totp',
         updated_at: new Date()
       });
     
-    // Remove backup codes
-    await redis.del(`2fa_backup_${user.id}`);
+    // Remove backup codes and any pending one-time codes
+    await twoFactorService.clearBackupCodes(user.id);
+    await twoFactorService.clearOtp(user.id);
+    await twoFactorService.clearOtp(user.id, 'setup');
     
     // Log 2FA disablement
     await db('audit_logs').insert({
@@ -733,14 +1364,32 @@ const disableTwoFactor = async (req, res) => {
 };
 
 module.exports = {
+  generateTokens,
+  startSession,
+  verifyTempToken,
+  rejectIfThrottled,
   signup,
   login,
   verifyTwoFactor,
+  resendTwoFactorCode,
+  verifyEmail,
+  resendVerificationEmail,
+  changeEmail,
+  unlockAccount,
+  updateUserRoles,
+  listLockouts,
+  clearLockout,
   logout,
   refreshTokens,
   resetPasswordRequest,
   resetPassword,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
   enableTwoFactor,
   confirmTwoFactor,
+  changeTwoFactorMethod,
+  confirmTwoFactorMethod,
+  regenerateBackupCodes,
   disableTwoFactor
 };
\ No newline at end of file
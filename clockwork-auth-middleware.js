@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const sessionService = require('./clockwork-session-service');
+const emailVerificationService = require('./clockwork-email-verification-service');
+const relationshipService = require('./clockwork-relationship-service');
+
+// Extract bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+// Build an error carrying an HTTP status
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check an access token and load its user; shared by HTTP requests and socket connections
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw authError(401, 'Invalid or expired token');
+  }
+
+  if (decoded.type !== 'access') {
+    throw authError(401, 'Invalid token type');
+  }
+
+  // Reject tokens revoked on logout
+  const blacklisted = await redis.get(`blacklist_${token}`);
+  if (blacklisted) {
+    throw authError(401, 'Token has been revoked');
+  }
+
+  // Reject tokens whose device session was signed out
+  if (decoded.sid) {
+    const session = await sessionService.findActive(decoded.sid);
+    if (!session) {
+      throw authError(401, 'Session has been revoked');
+    }
+  }
+
+  // Load user
+  const user = await db('users').where({ id: decoded.id }).first();
+  if (!user) {
+    throw authError(401, 'User not found');
+  }
+
+  return {
+    user: {
+      ...user,
+      roles: JSON.parse(user.roles || '[]')
+    },
+    sessionId: decoded.sid
+  };
+};
+
+// Verify access token and load the authenticated user
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { user, sessionId } = await verifyAccessToken(token);
+
+    req.user = user;
+    req.token = token;
+    req.sessionId = sessionId;
+
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Block a feature for accounts that haven't verified their email
+const requireVerifiedEmail = (feature) => (req, res, next) => {
+  if (!emailVerificationService.isAllowed(req.user, feature)) {
+    return res.status(403).json({
+      error: 'Email verification required',
+      feature,
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+  next();
+};
+
+// Resolve the client a request targets and check the caller may see their data
+const requireClientAccess = (getClientId = (req) => req.query.clientId || req.body.clientId, options) => async (req, res, next) => {
+  try {
+    const clientId = getClientId(req) || req.user.id;
+
+    const allowed = await relationshipService.canAccessClient(req.user, clientId, options);
+    if (!allowed) {
+      return res.status(403).json({ error: 'You do not have access to this client' });
+    }
+
+    req.clientId = clientId;
+    next();
+  } catch (error) {
+    console.error('Client access check error:', error);
+    res.status(500).json({ error: 'Failed to check client access' });
+  }
+};
+
+// Let scheduled-job callers in with CRON_SECRET (as Vercel Cron sends it); anyone else needs a signed-in user
+const authenticateCron = (req, res, next) => {
+  const token = getBearerToken(req);
+  const secret = process.env.CRON_SECRET;
+
+  if (token && secret) {
+    const given = Buffer.from(token);
+    const expected = Buffer.from(secret);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      req.cron = true;
+      return next();
+    }
+  }
+
+  return authenticate(req, res, next);
+};
+
+module.exports = {
+  authenticate,
+  authenticateCron,
+  requireClientAccess,
+  requireVerifiedEmail,
+  getBearerToken,
+  verifyAccessToken
+};
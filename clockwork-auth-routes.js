@@ -1,12 +1,238 @@
 const router = require('express').Router();
+const authController = require('./clockwork-auth-controller');
+const webAuthnController = require('./clockwork-webauthn-controller');
+const { authenticate } = require('./clockwork-auth-middleware');
+const { requirePermission, ROLES } = require('./clockwork-rbac');
+const { validate } = require('./clockwork-validation-middleware');
+const rateLimiter = require('./clockwork-rate-limiter');
 
-// Simple test routes
-router.get('/test', (req, res) => {
-  res.json({ message: 'Auth routes working!' });
-});
+// Request schemas
+const emailField = {
+  in: ['body'],
+  trim: true,
+  isEmail: { errorMessage: 'A valid email is required' }
+};
 
-router.post('/login', (req, res) => {
-  res.json({ message: 'Login endpoint' });
+const requiredString = (field) => ({
+  in: ['body'],
+  isString: { errorMessage: `${field} must be a string` },
+  notEmpty: { errorMessage: `${field} is required` }
 });
 
+const twoFactorCode = {
+  in: ['body'],
+  trim: true,
+  isLength: { options: { min: 6, max: 6 }, errorMessage: 'Code must be 6 digits' },
+  isNumeric: { errorMessage: 'Code must be 6 digits' }
+};
+
+const optionalDeviceName = {
+  in: ['body'],
+  optional: true,
+  trim: true,
+  isLength: { options: { min: 1, max: 255 }, errorMessage: 'Device name must be 1-255 characters' }
+};
+
+const signupSchema = {
+  email: emailField,
+  password: requiredString('Password'),
+  deviceName: optionalDeviceName,
+  name: {
+    ...requiredString('Name'),
+    trim: true,
+    isLength: { options: { max: 255 }, errorMessage: 'Name is too long' }
+  },
+  phone: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Phone must be a string' }
+  },
+  roles: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { min: 1 }, errorMessage: 'Roles must be a non-empty array' }
+  },
+  'roles.*': {
+    in: ['body'],
+    isIn: { options: [Object.values(ROLES)], errorMessage: 'Unknown role' }
+  }
+};
+
+const loginSchema = {
+  email: emailField,
+  password: requiredString('Password'),
+  deviceName: optionalDeviceName
+};
+
+const verifyTwoFactorSchema = {
+  tempToken: requiredString('Temporary token'),
+  code: {
+    in: ['body'],
+    custom: {
+      // Either a 6-digit code or a backup code must be supplied
+      options: (value, { req }) => req.body.backupCode !== undefined || /^\d{6}$/.test(String(value ?? '').trim()),
+      errorMessage: 'Code must be 6 digits'
+    }
+  },
+  backupCode: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Backup code must be a string' },
+    isLength: { options: { min: 8, max: 16 }, errorMessage: 'Invalid backup code' }
+  },
+  deviceName: optionalDeviceName
+};
+
+const refreshSchema = {
+  refreshToken: requiredString('Refresh token')
+};
+
+const resetRequestSchema = {
+  email: emailField
+};
+
+const resetConfirmSchema = {
+  token: requiredString('Reset token'),
+  newPassword: requiredString('New password')
+};
+
+const confirmTwoFactorSchema = {
+  code: twoFactorCode
+};
+
+const disableTwoFactorSchema = {
+  password: requiredString('Password')
+};
+
+const resendTwoFactorSchema = {
+  tempToken: requiredString('Temporary token')
+};
+
+const twoFactorMethodSchema = {
+  method: {
+    in: ['body'],
+    isIn: { options: [['totp', 'sms', 'email']], errorMessage: 'Method must be totp, sms or email' }
+  }
+};
+
+const regenerateBackupCodesSchema = {
+  password: requiredString('Password')
+};
+
+const sessionIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid session id' }
+  }
+};
+
+const webAuthnResponse = {
+  in: ['body'],
+  isObject: { errorMessage: 'WebAuthn response is required' }
+};
+
+const passkeyRegisterSchema = {
+  response: webAuthnResponse,
+  name: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  }
+};
+
+const passkeyLoginSchema = {
+  challengeId: {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid challenge id' }
+  },
+  response: webAuthnResponse,
+  deviceName: optionalDeviceName
+};
+
+const passkeyTwoFactorSchema = {
+  ...passkeyLoginSchema,
+  tempToken: requiredString('Temporary token')
+};
+
+const passkeyIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid passkey id' }
+  }
+};
+
+const verifyEmailSchema = {
+  token: requiredString('Verification token')
+};
+
+const changeEmailSchema = {
+  newEmail: emailField,
+  password: requiredString('Password')
+};
+
+const unlockSchema = {
+  token: requiredString('Unlock token')
+};
+
+const lockoutUserSchema = {
+  userId: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid user id' }
+  }
+};
+
+const updateRolesSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid user id' }
+  },
+  roles: {
+    in: ['body'],
+    isArray: { options: { min: 1 }, errorMessage: 'Roles must be a non-empty array' }
+  },
+  'roles.*': {
+    in: ['body'],
+    isIn: { options: [Object.values(ROLES)], errorMessage: 'Unknown role' }
+  }
+};
+
+// Public routes
+router.post('/signup', rateLimiter.auth, validate(signupSchema), authController.signup);
+router.post('/login', rateLimiter.auth, validate(loginSchema), authController.login);
+router.post('/verify-2fa', rateLimiter.auth, validate(verifyTwoFactorSchema), authController.verifyTwoFactor);
+router.post('/verify-email', rateLimiter.auth, validate(verifyEmailSchema), authController.verifyEmail);
+router.post('/unlock', rateLimiter.strict, validate(unlockSchema), authController.unlockAccount);
+router.post('/verify-2fa/resend', rateLimiter.auth, validate(resendTwoFactorSchema), authController.resendTwoFactorCode);
+router.post('/refresh', rateLimiter.auth, validate(refreshSchema), authController.refreshTokens);
+router.post('/reset-password/request', rateLimiter.strict, validate(resetRequestSchema), authController.resetPasswordRequest);
+router.post('/reset-password/confirm', rateLimiter.strict, validate(resetConfirmSchema), authController.resetPassword);
+router.post('/webauthn/login/options', rateLimiter.auth, webAuthnController.loginOptions);
+router.post('/webauthn/login/verify', rateLimiter.auth, validate(passkeyLoginSchema), webAuthnController.login);
+router.post('/webauthn/2fa/options', rateLimiter.auth, validate(resendTwoFactorSchema), webAuthnController.twoFactorOptions);
+router.post('/webauthn/2fa/verify', rateLimiter.auth, validate(passkeyTwoFactorSchema), webAuthnController.verifyTwoFactor);
+
+// Authenticated routes
+router.post('/logout', authenticate, authController.logout);
+router.post('/verify-email/resend', authenticate, rateLimiter.strict, authController.resendVerificationEmail);
+router.post('/change-email', authenticate, rateLimiter.strict, validate(changeEmailSchema), authController.changeEmail);
+router.get('/sessions', authenticate, authController.listSessions);
+router.post('/sessions/revoke-others', authenticate, rateLimiter.strict, authController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, validate(sessionIdSchema), authController.revokeSession);
+router.post('/2fa/enable', authenticate, rateLimiter.auth, authController.enableTwoFactor);
+router.post('/2fa/confirm', authenticate, rateLimiter.auth, validate(confirmTwoFactorSchema), authController.confirmTwoFactor);
+router.post('/2fa/method', authenticate, rateLimiter.auth, validate(twoFactorMethodSchema), authController.changeTwoFactorMethod);
+router.post('/2fa/method/confirm', authenticate, rateLimiter.auth, validate(confirmTwoFactorSchema), authController.confirmTwoFactorMethod);
+router.post('/2fa/backup-codes', authenticate, rateLimiter.strict, validate(regenerateBackupCodesSchema), authController.regenerateBackupCodes);
+router.post('/2fa/disable', authenticate, rateLimiter.strict, validate(disableTwoFactorSchema), authController.disableTwoFactor);
+router.post('/webauthn/register/options', authenticate, rateLimiter.auth, webAuthnController.registrationOptions);
+router.post('/webauthn/register/verify', authenticate, rateLimiter.auth, validate(passkeyRegisterSchema), webAuthnController.register);
+router.get('/webauthn/credentials', authenticate, webAuthnController.listCredentials);
+router.delete('/webauthn/credentials/:id', authenticate, validate(passkeyIdSchema), webAuthnController.deleteCredential);
+
+// Admin routes
+router.get('/lockouts', authenticate, requirePermission('lockouts:manage'), authController.listLockouts);
+router.delete('/lockouts/:userId', authenticate, requirePermission('lockouts:manage'), validate(lockoutUserSchema), authController.clearLockout);
+router.put('/users/:id/roles', authenticate, requirePermission('roles:assign'), validate(updateRolesSchema), authController.updateUserRoles);
+
 module.exports = router;
@@ -0,0 +1,369 @@
+const billingService = require('./clockwork-billing-service');
+const invoicingService = require('./clockwork-invoicing-service');
+const { PLATFORM_FEE_PERCENT } = require('./clockwork-invoicing-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+const parseLineItems = (value) => (typeof value === 'string' ? JSON.parse(value) : value || []);
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// The current calendar month, as [first day, first day of next month)
+const currentMonth = (now = new Date()) => [
+  toDateString(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))),
+  toDateString(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)))
+];
+
+// Shape an invoice for API responses
+const formatInvoice = (invoice) => ({
+  id: invoice.id,
+  clientId: invoice.client_id,
+  subscriptionId: invoice.subscription_id,
+  specialistId: invoice.specialist_id,
+  number: invoice.number,
+  status: invoice.status,
+  currency: invoice.currency,
+  subtotalCents: invoice.subtotal_cents,
+  taxCents: invoice.tax_cents,
+  totalCents: invoice.total_cents,
+  amountDueCents: invoice.amount_due_cents,
+  amountPaidCents: invoice.amount_paid_cents,
+  lineItems: parseLineItems(invoice.line_items),
+  dueDate: invoice.due_date,
+  paidAt: invoice.paid_at,
+  hostedInvoiceUrl: invoice.hosted_invoice_url,
+  pdfUrl: invoice.pdf_url,
+  createdAt: invoice.created_at
+});
+
+// An issued invoice as its specialist sees it, with the platform's cut
+const formatIssuedInvoice = (invoice) => ({
+  ...formatInvoice(invoice),
+  clientName: invoice.client_name,
+  platformFeeCents: invoice.platform_fee_cents,
+  netCents: invoice.total_cents - invoice.platform_fee_cents
+});
+
+// Shape a session pack for API responses
+const formatPack = (pack) => ({
+  id: pack.id,
+  specialistId: pack.specialist_id,
+  specialistName: pack.specialist_name,
+  clientId: pack.client_id,
+  clientName: pack.client_name,
+  invoiceId: pack.invoice_id,
+  name: pack.name,
+  sessionsTotal: pack.sessions_total,
+  sessionsRemaining: pack.sessions_remaining,
+  priceCents: pack.price_cents,
+  status: pack.status,
+  expiresOn: pack.expires_on,
+  createdAt: pack.created_at
+});
+
+// Shape a subscription for API responses
+const formatSubscription = (subscription) => ({
+  id: subscription.id,
+  plan: subscription.plan,
+  status: subscription.status,
+  currentPeriodStart: subscription.current_period_start,
+  currentPeriodEnd: subscription.current_period_end,
+  cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  canceledAt: subscription.canceled_at,
+  createdAt: subscription.created_at
+});
+
+// Plans available for checkout
+const listPlans = async (req, res) => {
+  try {
+    res.json({
+      currentPlan: req.user.subscription_plan,
+      plans: billingService.listPlans()
+    });
+  } catch (error) {
+    console.error('List plans error:', error);
+    res.status(500).json({ error: 'Failed to load plans' });
+  }
+};
+
+// Start a Stripe Checkout session for a plan
+const createCheckout = async (req, res) => {
+  try {
+    const session = await billingService.createCheckoutSession(req.user, req.body);
+    
+    res.status(201).json({ checkout: session });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create checkout error:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+};
+
+// The caller's subscriptions
+const listSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await billingService.listSubscriptions(req.user.id);
+    
+    res.json({ subscriptions: subscriptions.map(formatSubscription) });
+  } catch (error) {
+    console.error('List subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to load subscriptions' });
+  }
+};
+
+// Cancel one of the caller's subscriptions
+const cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await billingService.cancelSubscription(req.user, req.params.id, {
+      immediately: req.query.immediately === 'true'
+    });
+    
+    res.json({
+      subscription: formatSubscription(subscription),
+      message: subscription.cancel_at_period_end
+        ? 'Subscription will end at the close of the current period'
+        : 'Subscription cancelled'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+};
+
+// The caller's invoices
+const listInvoices = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    const { rows, total } = await billingService.listInvoices(req.user.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      invoices: rows.map(formatInvoice),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(500).json({ error: 'Failed to load invoices' });
+  }
+};
+
+// Get one invoice
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await billingService.findInvoice(req.params.id);
+    const canView = invoice && (
+      [invoice.client_id, invoice.specialist_id].includes(req.user.id) || hasPermission(req.user, 'billing:manage')
+    );
+    if (!canView) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    res.json({ invoice: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to load invoice' });
+  }
+};
+
+// Load an invoice the caller issued
+const loadIssuedInvoice = async (req, res) => {
+  const invoice = await invoicingService.findIssued(req.user.id, req.params.id);
+  if (!invoice) {
+    res.status(404).json({ error: 'Invoice not found' });
+    return null;
+  }
+  
+  return invoice;
+};
+
+// Invoices the caller has issued to clients
+const listIssuedInvoices = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    const { rows, total } = await invoicingService.listIssued(req.user.id, {
+      clientId: req.query.clientId,
+      status: req.query.status,
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      invoices: rows.map(formatIssuedInvoice),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List issued invoices error:', error);
+    res.status(500).json({ error: 'Failed to load invoices' });
+  }
+};
+
+// Bill a client for one-off items
+const createClientInvoice = async (req, res) => {
+  try {
+    const invoice = await invoicingService.createInvoice(req.user, req.body);
+    
+    res.status(201).json({
+      invoice: formatIssuedInvoice(invoice),
+      message: 'Invoice sent'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create client invoice error:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+};
+
+// Void an unpaid invoice the caller issued
+const voidClientInvoice = async (req, res) => {
+  try {
+    const existing = await loadIssuedInvoice(req, res);
+    if (!existing) return;
+    
+    const invoice = await invoicingService.voidInvoice(existing);
+    
+    res.json({
+      invoice: formatIssuedInvoice({ ...invoice, client_name: existing.client_name }),
+      message: 'Invoice voided'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Void client invoice error:', error);
+    res.status(500).json({ error: 'Failed to void invoice' });
+  }
+};
+
+// Record an invoice as paid outside Stripe
+const markClientInvoicePaid = async (req, res) => {
+  try {
+    const existing = await loadIssuedInvoice(req, res);
+    if (!existing) return;
+    
+    const invoice = await invoicingService.markPaid(existing);
+    
+    res.json({
+      invoice: formatIssuedInvoice({ ...invoice, client_name: existing.client_name }),
+      message: 'Invoice marked as paid'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mark invoice paid error:', error);
+    res.status(500).json({ error: 'Failed to mark invoice as paid' });
+  }
+};
+
+// Session packs the caller sold or bought
+const listSessionPacks = async (req, res) => {
+  try {
+    const { clientId, specialistId, status } = req.query;
+    const packs = await invoicingService.listPacks(req.user, { clientId, specialistId, status });
+    
+    res.json({ packs: packs.map(formatPack) });
+  } catch (error) {
+    console.error('List session packs error:', error);
+    res.status(500).json({ error: 'Failed to load session packs' });
+  }
+};
+
+// Sell a client a session pack and invoice it
+const createSessionPack = async (req, res) => {
+  try {
+    const { pack, invoice } = await invoicingService.createPack(req.user, req.body);
+    
+    res.status(201).json({
+      pack: formatPack(pack),
+      invoice: formatIssuedInvoice(invoice),
+      message: 'Session pack created and invoiced'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create session pack error:', error);
+    res.status(500).json({ error: 'Failed to create session pack' });
+  }
+};
+
+// Payouts per specialist for [from, to); billing managers may see every specialist
+const getPayouts = async (req, res) => {
+  try {
+    const [monthStart, nextMonthStart] = currentMonth();
+    const from = req.query.from || monthStart;
+    const to = req.query.to || nextMonthStart;
+    const specialistId = hasPermission(req.user, 'billing:manage') ? req.query.specialistId : req.user.id;
+    
+    const payouts = await invoicingService.payouts({ specialistId, from, to });
+    
+    res.json({
+      from,
+      to,
+      platformFeePercent: PLATFORM_FEE_PERCENT,
+      payouts
+    });
+  } catch (error) {
+    console.error('Payouts error:', error);
+    res.status(500).json({ error: 'Failed to load payouts' });
+  }
+};
+
+// Stripe webhook; answers 2xx once an event is stored so Stripe stops retrying
+const handleWebhook = async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({ error: 'Missing request body' });
+    }
+    
+    const event = billingService.constructEvent(req.rawBody, req.headers['stripe-signature']);
+    const { processed } = await billingService.handleEvent(event);
+    
+    res.json({ received: true, duplicate: !processed });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Stripe webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+};
+
+module.exports = {
+  listPlans,
+  createCheckout,
+  listSubscriptions,
+  cancelSubscription,
+  listInvoices,
+  getInvoice,
+  listIssuedInvoices,
+  createClientInvoice,
+  voidClientInvoice,
+  markClientInvoicePaid,
+  listSessionPacks,
+  createSessionPack,
+  getPayouts,
+  handleWebhook
+};
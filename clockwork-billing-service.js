@@ -0,0 +1,397 @@
+const Stripe = require('stripe');
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const smsService = require('./clockwork-sms-service');
+const reminderService = require('./clockwork-reminder-service');
+const sessionPacks = require('./clockwork-session-packs');
+const { allowsChannel } = require('./clockwork-notification-preferences');
+
+// Paid plans and the Stripe price each one is sold at; 'basic' is the free default
+const PLANS = {
+  premium: () => process.env.STRIPE_PRICE_PREMIUM,
+  professional: () => process.env.STRIPE_PRICE_PROFESSIONAL,
+  enterprise: () => process.env.STRIPE_PRICE_ENTERPRISE
+};
+
+const PLAN_RANK = ['basic', 'premium', 'professional', 'enterprise'];
+
+// Subscription statuses that still grant the plan
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+const SUBSCRIPTION_EVENTS = ['customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted'];
+const INVOICE_EVENTS = ['invoice.created', 'invoice.updated', 'invoice.finalized', 'invoice.paid', 'invoice.payment_failed', 'invoice.voided', 'invoice.marked_uncollectible'];
+
+// Build an error carrying an HTTP status
+const billingError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Days overdue at which an unpaid invoice is chased again
+const PAYMENT_REMINDER_DAYS = [1, 3, 7, 14, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const toDateString = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value);
+
+let stripeClient = null;
+
+// Stripe client; STRIPE_API_HOST/PORT/PROTOCOL point it at a local stripe-mock
+const getStripe = () => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw billingError(503, 'Billing is not configured');
+  }
+
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      apiVersion: '2023-10-16',
+      ...(process.env.STRIPE_API_HOST && {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT || 12111,
+        protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+      })
+    });
+  }
+
+  return stripeClient;
+};
+
+const planForPrice = (priceId) => Object.keys(PLANS).find(plan => PLANS[plan]() === priceId);
+
+// Billing service class
+class BillingService {
+  // Plans that can be bought, with whether a price is configured
+  listPlans() {
+    return Object.keys(PLANS).map(plan => ({ plan, available: Boolean(PLANS[plan]()) }));
+  }
+
+  // The user's Stripe customer, created on first use
+  async getOrCreateCustomer(user) {
+    if (user.stripe_customer_id) {
+      return user.stripe_customer_id;
+    }
+
+    const customer = await getStripe().customers.create({
+      email: user.email,
+      name: user.name,
+      metadata: { userId: user.id }
+    });
+
+    await db('users').where({ id: user.id }).update({ stripe_customer_id: customer.id, updated_at: new Date() });
+    return customer.id;
+  }
+
+  // Start a hosted checkout for a plan
+  async createCheckoutSession(user, { plan, successUrl, cancelUrl }) {
+    const price = PLANS[plan]?.();
+    if (!price) {
+      throw billingError(400, `The ${plan} plan is not available`);
+    }
+
+    const existing = await db('subscriptions')
+      .where({ user_id: user.id })
+      .whereIn('status', ENTITLED_STATUSES)
+      .first();
+    if (existing) {
+      throw billingError(409, 'You already have an active subscription; cancel it before choosing another plan');
+    }
+
+    const session = await getStripe().checkout.sessions.create({
+      mode: 'subscription',
+      customer: await this.getOrCreateCustomer(user),
+      client_reference_id: user.id,
+      line_items: [{ price, quantity: 1 }],
+      metadata: { userId: user.id, plan },
+      subscription_data: { metadata: { userId: user.id, plan } },
+      success_url: successUrl || `${process.env.FRONTEND_URL}/billing?checkout=success`,
+      cancel_url: cancelUrl || `${process.env.FRONTEND_URL}/billing?checkout=cancelled`
+    });
+
+    return { id: session.id, url: session.url };
+  }
+
+  async listSubscriptions(userId) {
+    return await db('subscriptions').where({ user_id: userId }).orderBy('created_at', 'desc');
+  }
+
+  // A user's invoices, newest first
+  async listInvoices(userId, { limit = 20, offset = 0 } = {}) {
+    const query = db('invoices').where({ client_id: userId });
+
+    const [{ count }] = await query.clone().count('id as count');
+    const rows = await query.orderBy('created_at', 'desc').limit(limit).offset(offset);
+
+    return { rows, total: parseInt(count, 10) };
+  }
+
+  async findInvoice(id) {
+    return await db('invoices').where({ id }).first();
+  }
+
+  // Cancel at the end of the period, or straight away
+  async cancelSubscription(user, id, { immediately = false } = {}) {
+    const subscription = await db('subscriptions').where({ id, user_id: user.id }).first();
+    if (!subscription) {
+      throw billingError(404, 'Subscription not found');
+    }
+
+    if (!ENTITLED_STATUSES.includes(subscription.status)) {
+      throw billingError(409, 'This subscription is not active');
+    }
+
+    const stripe = getStripe();
+    const updated = immediately
+      ? await stripe.subscriptions.cancel(subscription.stripe_subscription_id)
+      : await stripe.subscriptions.update(subscription.stripe_subscription_id, { cancel_at_period_end: true });
+
+    await db.transaction(trx => this.syncSubscription(trx, updated));
+    return await db('subscriptions').where({ id }).first();
+  }
+
+  // Verify a webhook payload against STRIPE_WEBHOOK_SECRET
+  constructEvent(rawBody, signature) {
+    try {
+      return getStripe().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      if (error.status) throw error;
+      throw billingError(400, `Webhook signature verification failed: ${error.message}`);
+    }
+  }
+
+  // Apply a webhook event once; redelivered events are acknowledged and skipped
+  async handleEvent(event) {
+    const notifications = [];
+
+    const processed = await db.transaction(async (trx) => {
+      const inserted = await trx('stripe_events')
+        .insert({ id: event.id, type: event.type })
+        .onConflict('id')
+        .ignore()
+        .returning('id');
+      if (inserted.length === 0) {
+        return false;
+      }
+
+      const object = event.data.object;
+
+      if (event.type === 'checkout.session.completed') {
+        await this.linkCustomer(trx, object.client_reference_id, idOf(object.customer));
+        if (object.subscription) {
+          await this.syncSubscription(trx, await getStripe().subscriptions.retrieve(idOf(object.subscription)));
+        }
+      } else if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+        await this.syncSubscription(trx, object);
+      } else if (INVOICE_EVENTS.includes(event.type)) {
+        const invoice = await this.syncInvoice(trx, object);
+        if (invoice && event.type === 'invoice.voided') await sessionPacks.cancelForInvoice(invoice.id, trx);
+        if (invoice && event.type === 'invoice.finalized') notifications.push(() => this.sendInvoiceNotice(invoice));
+        if (invoice && event.type === 'invoice.payment_failed') notifications.push(() => this.sendPaymentFailedNotice(invoice));
+      }
+
+      return true;
+    });
+
+    // Notify only once the event is committed, so a retried event doesn't notify twice
+    for (const notify of notifications) {
+      try {
+        await notify();
+      } catch (error) {
+        console.error(`Billing notification error (${event.type}):`, error);
+      }
+    }
+
+    return { processed };
+  }
+
+  async linkCustomer(trx, userId, customerId) {
+    if (!userId || !customerId) {
+      return;
+    }
+
+    await trx('users')
+      .where({ id: userId })
+      .whereNull('stripe_customer_id')
+      .update({ stripe_customer_id: customerId, updated_at: new Date() });
+  }
+
+  async findUserForCustomer(trx, customerId, metadataUserId) {
+    if (metadataUserId) {
+      const user = await trx('users').where({ id: metadataUserId }).first();
+      if (user) return user;
+    }
+
+    return await trx('users').where({ stripe_customer_id: customerId }).first();
+  }
+
+  // Mirror a Stripe subscription locally and refresh the user's plan
+  async syncSubscription(trx, subscription) {
+    const customerId = idOf(subscription.customer);
+    const user = await this.findUserForCustomer(trx, customerId, subscription.metadata?.userId);
+    if (!user) {
+      console.warn(`Stripe subscription ${subscription.id} has no matching user`);
+      return;
+    }
+
+    const plan = planForPrice(subscription.items?.data?.[0]?.price?.id) || subscription.metadata?.plan || 'premium';
+
+    await trx('subscriptions')
+      .insert({
+        user_id: user.id,
+        stripe_subscription_id: subscription.id,
+        stripe_customer_id: customerId,
+        plan,
+        status: subscription.status,
+        current_period_start: fromUnix(subscription.current_period_start),
+        current_period_end: fromUnix(subscription.current_period_end),
+        cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+        canceled_at: fromUnix(subscription.canceled_at)
+      })
+      .onConflict('stripe_subscription_id')
+      .merge(['plan', 'status', 'current_period_start', 'current_period_end', 'cancel_at_period_end', 'canceled_at', 'updated_at']);
+
+    await this.refreshPlan(trx, user.id);
+  }
+
+  // Set users.subscription_plan to the best plan any live subscription grants
+  async refreshPlan(trx, userId) {
+    const plans = await trx('subscriptions')
+      .where({ user_id: userId })
+      .whereIn('status', ENTITLED_STATUSES)
+      .pluck('plan');
+
+    const plan = plans.reduce((best, current) => (
+      PLAN_RANK.indexOf(current) > PLAN_RANK.indexOf(best) ? current : best
+    ), 'basic');
+
+    await trx('users').where({ id: userId }).update({ subscription_plan: plan, updated_at: new Date() });
+  }
+
+  // Mirror a Stripe invoice locally; specialist invoices carry the issuer and fee in metadata
+  async syncInvoice(trx, invoice) {
+    const metadataUserId = invoice.metadata?.clientId || invoice.subscription_details?.metadata?.userId;
+    const user = await this.findUserForCustomer(trx, idOf(invoice.customer), metadataUserId);
+    if (!user) {
+      console.warn(`Stripe invoice ${invoice.id} has no matching user`);
+      return null;
+    }
+
+    const subscription = invoice.subscription
+      ? await trx('subscriptions').where({ stripe_subscription_id: idOf(invoice.subscription) }).first('id')
+      : null;
+
+    const [row] = await trx('invoices')
+      .insert({
+        client_id: user.id,
+        subscription_id: subscription?.id || null,
+        specialist_id: invoice.metadata?.specialistId || null,
+        platform_fee_cents: parseInt(invoice.metadata?.platformFeeCents, 10) || 0,
+        stripe_invoice_id: invoice.id,
+        number: invoice.number,
+        status: invoice.status,
+        currency: invoice.currency,
+        subtotal_cents: invoice.subtotal || 0,
+        tax_cents: invoice.tax || 0,
+        total_cents: invoice.total || 0,
+        amount_due_cents: invoice.amount_due || 0,
+        amount_paid_cents: invoice.amount_paid || 0,
+        line_items: JSON.stringify((invoice.lines?.data || []).map(line => ({
+          description: line.description,
+          amountCents: line.amount
+        }))),
+        due_date: toDateString(fromUnix(invoice.due_date || invoice.created)),
+        paid_at: fromUnix(invoice.status_transitions?.paid_at),
+        hosted_invoice_url: invoice.hosted_invoice_url,
+        pdf_url: invoice.invoice_pdf
+      })
+      .onConflict('stripe_invoice_id')
+      .merge([
+        'subscription_id', 'number', 'status', 'subtotal_cents', 'tax_cents', 'total_cents', 'amount_due_cents',
+        'amount_paid_cents', 'line_items', 'due_date', 'paid_at', 'hosted_invoice_url', 'pdf_url', 'updated_at'
+      ])
+      .returning('*');
+
+    return row;
+  }
+
+  // Email a newly finalized invoice once, whether the webhook or the issuing request gets there first
+  async sendInvoiceNotice(invoice) {
+    const user = await db('users').where({ id: invoice.client_id }).first();
+    const lineItems = typeof invoice.line_items === 'string' ? JSON.parse(invoice.line_items) : invoice.line_items;
+
+    const details = {
+      id: invoice.number || invoice.id,
+      date: invoice.created_at,
+      dueDate: invoice.due_date,
+      status: invoice.status,
+      items: lineItems.map(item => ({ description: item.description, amount: item.amountCents / 100 })),
+      amount: invoice.subtotal_cents / 100,
+      tax: invoice.tax_cents / 100,
+      total: invoice.total_cents / 100
+    };
+
+    await reminderService.deliver(user.id, 'invoice', invoice.id, 'email', () => (
+      emailService.sendInvoiceEmail(user.email, user.name, details)
+    ));
+  }
+
+  // Chase open invoices past their due date on a widening schedule
+  async sendPaymentReminders(now = new Date()) {
+    const today = toDateString(now);
+
+    const invoices = await db('invoices')
+      .join('users', 'users.id', 'invoices.client_id')
+      .select(
+        'invoices.id',
+        'invoices.amount_due_cents',
+        db.raw("to_char(invoices.due_date, 'YYYY-MM-DD') as due_date"),
+        'users.id as user_id',
+        'users.name',
+        'users.email',
+        'users.phone',
+        'users.sms_opt_out',
+        'users.notification_preferences'
+      )
+      .where('invoices.status', 'open')
+      .where('invoices.due_date', '<', today);
+
+    let sent = 0;
+
+    for (const invoice of invoices) {
+      const client = { ...invoice, id: invoice.user_id };
+      const daysOverdue = Math.floor((Date.parse(today) - Date.parse(invoice.due_date)) / DAY_MS);
+      const step = PAYMENT_REMINDER_DAYS.filter(days => days <= daysOverdue).pop();
+
+      if (step === undefined || !allowsChannel(client, 'paymentReminders', 'sms')) continue;
+
+      // One reminder per step, so a missed run catches up rather than repeating
+      const delivered = await reminderService.deliver(client.id, 'payment', `${invoice.id}:${step}`, 'sms', () => (
+        smsService.sendPaymentReminder(client.phone, client.name, invoice.amount_due_cents / 100)
+      ));
+      if (delivered) sent++;
+    }
+
+    return { sent };
+  }
+
+  // Text the customer when a card payment fails
+  async sendPaymentFailedNotice(invoice) {
+    const user = await db('users').where({ id: invoice.client_id }).first();
+    if (!allowsChannel(user, 'paymentReminders', 'sms')) {
+      return;
+    }
+
+    await smsService.sendPaymentReminder(user.phone, user.name, invoice.amount_due_cents / 100);
+  }
+}
+
+// Create and export singleton instance
+const billingService = new BillingService();
+
+module.exports = billingService;
+module.exports.PLANS = PLANS;
+module.exports.getStripe = getStripe;
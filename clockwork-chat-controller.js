@@ -0,0 +1,153 @@
+const chatService = require('./clockwork-chat-service');
+const chatSocket = require('./clockwork-chat-socket');
+const presenceService = require('./clockwork-presence-service');
+
+// Load a conversation the caller takes part in
+const loadConversation = async (req, res) => {
+  const conversation = await chatService.findForParticipant(req.params.id, req.user.id);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  
+  return conversation;
+};
+
+// The caller's conversations, most recently active first
+const listConversations = async (req, res) => {
+  try {
+    const conversations = await chatService.listConversations(req.user.id);
+    
+    res.json({
+      conversations: conversations.map(conversation => chatService.formatConversation(conversation, req.user.id))
+    });
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({ error: 'Failed to load conversations' });
+  }
+};
+
+// Open the conversation with one of the caller's specialists or clients
+const openConversation = async (req, res) => {
+  try {
+    const conversation = await chatService.open(req.user, req.body.userId);
+    
+    res.json({ conversation: chatService.formatConversation(conversation, req.user.id) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Open conversation error:', error);
+    res.status(500).json({ error: 'Failed to open conversation' });
+  }
+};
+
+// Get one conversation
+const getConversation = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    
+    res.json({ conversation: chatService.formatConversation(conversation, req.user.id) });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to load conversation' });
+  }
+};
+
+// Message history; page back with ?before=<id>, catch up after a reconnect with ?after=<id>
+const getMessages = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    
+    const { messages, hasMore } = await chatService.history(conversation.id, {
+      before: req.query.before,
+      after: req.query.after,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+    });
+    
+    res.json({
+      messages: messages.map(chatService.formatMessage),
+      hasMore,
+      cursors: {
+        before: messages[0]?.id || null,
+        after: messages[messages.length - 1]?.id || req.query.after || null
+      }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+};
+
+// Send a message without a socket connection
+const sendMessage = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    
+    const message = chatService.formatMessage(await chatService.sendMessage(req.user, conversation, req.body.body, req.body.attachmentIds));
+    chatSocket.emitToParticipants(conversation, 'new-message', { message, clientMessageId: req.body.clientMessageId });
+    
+    res.status(201).json({ message });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+};
+
+// Mark the other participant's messages as read
+const markRead = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    
+    const { readAt, messageIds } = await chatService.markRead(req.user, conversation, req.body.messageId);
+    if (messageIds.length > 0) {
+      chatSocket.emitToParticipants(conversation, 'messages-read', {
+        conversationId: conversation.id,
+        readerId: req.user.id,
+        readAt,
+        messageIds
+      });
+    }
+    
+    res.json({ readAt, count: messageIds.length });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to mark messages as read' });
+  }
+};
+
+// Online status of the caller's specialists and clients; live changes arrive as socket 'presence' events
+const getPresence = async (req, res) => {
+  try {
+    const contacts = await presenceService.listContacts(req.user.id);
+    
+    res.json({
+      presence: contacts.map(contact => ({
+        userId: contact.id,
+        name: contact.name,
+        online: contact.is_online,
+        lastSeen: contact.last_seen
+      }))
+    });
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(500).json({ error: 'Failed to load presence' });
+  }
+};
+
+module.exports = {
+  listConversations,
+  openConversation,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markRead,
+  getPresence
+};
@@ -0,0 +1,206 @@
+const { db } = require('../config/database');
+const relationshipService = require('./clockwork-relationship-service');
+const fileService = require('./clockwork-file-service');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_ATTACHMENTS = 10;
+const DEFAULT_HISTORY_LIMIT = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Build an error carrying an HTTP status
+const chatError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Messages are ordered by (created_at, id); a cursor is the id of the message to page from
+const cursorCondition = (operator) => `(messages.created_at, messages.id) ${operator} (select created_at, id from messages where id = ?)`;
+
+// Chat service class
+class ChatService {
+  // Conversations with the other participant's name, the latest message and the unread count
+  conversationQuery(userId) {
+    return db('conversations')
+      .join('users as specialist', 'specialist.id', 'conversations.specialist_id')
+      .join('users as client', 'client.id', 'conversations.client_id')
+      .select(
+        'conversations.*',
+        'specialist.name as specialist_name',
+        'client.name as client_name',
+        db.raw('(select count(*) from messages m where m.conversation_id = conversations.id and m.sender_id <> ? and m.read_at is null)::int as unread_count', [userId]),
+        db.raw('(select body from messages m where m.conversation_id = conversations.id order by m.created_at desc, m.id desc limit 1) as last_message')
+      );
+  }
+
+  async listConversations(userId) {
+    return await this.conversationQuery(userId)
+      .where(query => query
+        .where('conversations.specialist_id', userId)
+        .orWhere('conversations.client_id', userId))
+      .orderByRaw('conversations.last_message_at desc nulls last');
+  }
+
+  // A conversation, if the user takes part in it
+  async findForParticipant(id, userId) {
+    return await this.conversationQuery(userId)
+      .where('conversations.id', id)
+      .where(query => query
+        .where('conversations.specialist_id', userId)
+        .orWhere('conversations.client_id', userId))
+      .first();
+  }
+
+  // The conversation between the user and one of their specialists or clients, created on first use
+  async open(user, otherUserId) {
+    let pair;
+    if (await relationshipService.isActive(user.id, otherUserId)) {
+      pair = { specialist_id: user.id, client_id: otherUserId };
+    } else if (await relationshipService.isActive(otherUserId, user.id)) {
+      pair = { specialist_id: otherUserId, client_id: user.id };
+    } else {
+      throw chatError(403, 'You can only message your own specialists and clients');
+    }
+
+    await db('conversations')
+      .insert(pair)
+      .onConflict(['specialist_id', 'client_id'])
+      .ignore();
+
+    const conversation = await db('conversations').where(pair).first('id');
+    return await this.findForParticipant(conversation.id, user.id);
+  }
+
+  // Persist a message; ended relationships can still read but no longer write.
+  // A message may be attachments only, which must be the sender's own chat uploads
+  async sendMessage(user, conversation, body, attachmentIds = []) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if ((!text && attachmentIds.length === 0) || text.length > MAX_MESSAGE_LENGTH) {
+      throw chatError(400, `Message must be 1-${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    if (attachmentIds.length > MAX_ATTACHMENTS) {
+      throw chatError(400, `A message can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    if (!attachmentIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+      throw chatError(400, 'Invalid attachment id');
+    }
+
+    if (!(await relationshipService.isActive(conversation.specialist_id, conversation.client_id))) {
+      throw chatError(403, 'This conversation is closed');
+    }
+
+    const files = attachmentIds.length > 0 ? await fileService.findAttachable(user, attachmentIds) : [];
+
+    const message = await db.transaction(async (trx) => {
+      const [inserted] = await trx('messages')
+        .insert({ conversation_id: conversation.id, sender_id: user.id, body: text })
+        .returning('*');
+
+      if (files.length > 0) {
+        await trx('message_attachments').insert(files.map(file => ({ message_id: inserted.id, file_id: file.id })));
+      }
+
+      await trx('conversations')
+        .where({ id: conversation.id })
+        .update({ last_message_at: inserted.created_at, updated_at: new Date() });
+
+      return inserted;
+    });
+
+    await this.withAttachments([message]);
+    return message;
+  }
+
+  // Attach described files (with signed links) to each message in place
+  async withAttachments(messages) {
+    const attachments = await fileService.attachmentsFor(messages.map(message => message.id));
+    for (const message of messages) {
+      message.attachments = attachments.get(message.id) || [];
+    }
+
+    return messages;
+  }
+
+  // A page of history in chronological order: older than `before`, or newer than `after` when catching up
+  async history(conversationId, { before, after, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const query = db('messages').where({ conversation_id: conversationId });
+
+    if (after) {
+      query.whereRaw(cursorCondition('>'), [after]).orderBy([
+        { column: 'created_at', order: 'asc' },
+        { column: 'id', order: 'asc' }
+      ]);
+    } else {
+      if (before) query.whereRaw(cursorCondition('<'), [before]);
+      query.orderBy([
+        { column: 'created_at', order: 'desc' },
+        { column: 'id', order: 'desc' }
+      ]);
+    }
+
+    const rows = await query.limit(limit + 1);
+    const hasMore = rows.length > limit;
+    const page = await this.withAttachments(rows.slice(0, limit));
+
+    return {
+      messages: after ? page : page.reverse(),
+      hasMore
+    };
+  }
+
+  // Mark the other participant's messages read, up to and including messageId when given
+  async markRead(user, conversation, messageId) {
+    const readAt = new Date();
+
+    const query = db('messages')
+      .where({ conversation_id: conversation.id })
+      .whereNot('sender_id', user.id)
+      .whereNull('read_at');
+    if (messageId) query.whereRaw(cursorCondition('<='), [messageId]);
+
+    const updated = await query.update({ read_at: readAt }).returning('id');
+
+    return { readAt, messageIds: updated.map(row => row.id) };
+  }
+
+  // Shape a message for API responses and socket events
+  formatMessage(message) {
+    return {
+      id: message.id,
+      conversationId: message.conversation_id,
+      senderId: message.sender_id,
+      body: message.body,
+      attachments: message.attachments || [],
+      readAt: message.read_at,
+      createdAt: message.created_at
+    };
+  }
+
+  // Shape a conversation from one participant's point of view
+  formatConversation(conversation, userId) {
+    const isSpecialist = conversation.specialist_id === userId;
+
+    return {
+      id: conversation.id,
+      specialistId: conversation.specialist_id,
+      clientId: conversation.client_id,
+      participant: {
+        id: isSpecialist ? conversation.client_id : conversation.specialist_id,
+        name: isSpecialist ? conversation.client_name : conversation.specialist_name
+      },
+      lastMessage: conversation.last_message,
+      lastMessageAt: conversation.last_message_at,
+      unreadCount: conversation.unread_count,
+      createdAt: conversation.created_at
+    };
+  }
+}
+
+// Create and export singleton instance
+const chatService = new ChatService();
+
+module.exports = chatService;
+module.exports.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
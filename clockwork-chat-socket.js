@@ -0,0 +1,226 @@
+const { Server } = require('socket.io');
+const chatService = require('./clockwork-chat-service');
+const presenceService = require('./clockwork-presence-service');
+const rateLimiter = require('./clockwork-rate-limiter');
+const sessionService = require('./clockwork-session-service');
+const { verifyAccessToken } = require('./clockwork-auth-middleware');
+const { hasPermission } = require('./clockwork-rbac');
+const { HEARTBEAT_INTERVAL_SECONDS } = require('./clockwork-presence-service');
+
+// Everyone with the conversation open (typing indicators)
+const conversationRoom = (id) => `conversation:${id}`;
+
+// Every connected device of one user (messages and read receipts)
+const userRoom = (id) => `user:${id}`;
+
+// Devices signed in with one device session, so logout can close them
+const sessionRoom = (id) => `session:${id}`;
+
+let io = null;
+
+// Build an error carrying an HTTP status
+const chatError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Send an event to all of both participants' devices; a no-op when no socket server is running
+const emitToParticipants = (conversation, event, payload) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(userRoom(conversation.specialist_id)).to(userRoom(conversation.client_id)).emit(event, payload);
+};
+
+// Authenticate the handshake with an access token and cap connections per user
+const authenticateSocket = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers.authorization || '';
+    const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const { user, sessionId } = await verifyAccessToken(token);
+    if (!hasPermission(user, 'chat:use')) {
+      return next(new Error('Chat is not available for this account'));
+    }
+
+    if (!rateLimiter.websocket.checkLimit(user.id)) {
+      return next(new Error('Too many open connections'));
+    }
+
+    socket.data.user = user;
+    socket.data.sessionId = sessionId;
+    socket.data.conversations = new Set();
+    next();
+  } catch (error) {
+    if (!error.status) console.error('Socket authentication error:', error);
+    next(new Error(error.status ? error.message : 'Authentication failed'));
+  }
+};
+
+// Run an event handler and answer through the client's acknowledgement callback
+const handle = (socket, event, handler) => {
+  socket.on(event, async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      reply({ ok: true, ...(await handler(payload || {})) });
+    } catch (error) {
+      if (!error.status) console.error(`Chat ${event} error:`, error);
+      reply({ ok: false, error: error.status ? error.message : 'Something went wrong' });
+    }
+  });
+};
+
+const loadConversation = async (conversationId, user) => {
+  const conversation = conversationId && await chatService.findForParticipant(conversationId, user.id);
+  if (!conversation) {
+    throw chatError(404, 'Conversation not found');
+  }
+
+  return conversation;
+};
+
+const emitTyping = (socket, conversationId, isTyping) => {
+  socket.to(conversationRoom(conversationId)).emit('typing', {
+    conversationId,
+    userId: socket.data.user.id,
+    name: socket.data.user.name,
+    isTyping
+  });
+};
+
+// Tell a user's specialists and clients when they come online or go offline
+const broadcastPresence = async ({ userId, online, lastSeen }) => {
+  try {
+    const contactIds = await presenceService.getContactIds(userId);
+    if (io && contactIds.length > 0) {
+      io.to(contactIds.map(userRoom)).emit('presence', { userId, online, lastSeen });
+    }
+  } catch (error) {
+    console.error('Presence broadcast error:', error);
+  }
+};
+
+// Drop devices that stopped sending heartbeats but never closed their connection
+const sweepStaleDevices = () => {
+  for (const { userId, deviceId } of presenceService.staleDevices()) {
+    const socket = io.sockets.sockets.get(deviceId);
+    if (socket) {
+      socket.disconnect(true);
+    } else {
+      presenceService.disconnect(userId, deviceId);
+    }
+  }
+};
+
+// Close every connection opened with a device session once it is revoked (logout, revoked devices, password changes)
+const disconnectSession = (sessionId) => {
+  if (io && sessionId) {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+};
+
+const onConnection = (socket) => {
+  const { user, sessionId } = socket.data;
+  socket.join(userRoom(user.id));
+  if (sessionId) socket.join(sessionRoom(sessionId));
+
+  presenceService.connect(user.id, socket.id).catch(error => console.error('Presence update error:', error));
+  socket.emit('connected', { userId: user.id, heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS });
+
+  socket.on('heartbeat', () => presenceService.heartbeat(user.id, socket.id));
+
+  // Open a conversation by id, or with a specialist or client by their user id
+  handle(socket, 'join-conversation', async ({ conversationId, userId }) => {
+    const conversation = userId
+      ? await chatService.open(user, userId)
+      : await loadConversation(conversationId, user);
+
+    socket.join(conversationRoom(conversation.id));
+    socket.data.conversations.add(conversation.id);
+
+    return { conversation: chatService.formatConversation(conversation, user.id) };
+  });
+
+  handle(socket, 'leave-conversation', async ({ conversationId }) => {
+    if (socket.data.conversations.delete(conversationId)) {
+      emitTyping(socket, conversationId, false);
+      socket.leave(conversationRoom(conversationId));
+    }
+
+    return {};
+  });
+
+  // clientMessageId is echoed back so the sender can match its optimistic copy
+  handle(socket, 'send-message', async ({ conversationId, body, attachmentIds = [], clientMessageId }) => {
+    if (!Array.isArray(attachmentIds)) {
+      throw chatError(400, 'attachmentIds must be an array');
+    }
+
+    const conversation = await loadConversation(conversationId, user);
+    const message = chatService.formatMessage(await chatService.sendMessage(user, conversation, body, attachmentIds));
+
+    emitTyping(socket, conversation.id, false);
+    emitToParticipants(conversation, 'new-message', { message, clientMessageId });
+
+    return { message };
+  });
+
+  // Only for conversations this socket has joined, so keystrokes never hit the database
+  handle(socket, 'typing', async ({ conversationId, isTyping = true }) => {
+    if (!socket.data.conversations.has(conversationId)) {
+      throw chatError(403, 'Join the conversation first');
+    }
+
+    emitTyping(socket, conversationId, Boolean(isTyping));
+    return {};
+  });
+
+  handle(socket, 'mark-read', async ({ conversationId, messageId }) => {
+    const conversation = await loadConversation(conversationId, user);
+    const { readAt, messageIds } = await chatService.markRead(user, conversation, messageId);
+
+    if (messageIds.length > 0) {
+      emitToParticipants(conversation, 'messages-read', { conversationId, readerId: user.id, readAt, messageIds });
+    }
+
+    return { readAt, count: messageIds.length };
+  });
+
+  socket.on('disconnect', () => {
+    socket.data.conversations.forEach(conversationId => emitTyping(socket, conversationId, false));
+    rateLimiter.websocket.removeConnection(user.id);
+    presenceService.disconnect(user.id, socket.id);
+  });
+};
+
+// Attach the chat socket server to the HTTP server
+const attach = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || '*',
+      credentials: true
+    }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', onConnection);
+
+  presenceService.on('change', broadcastPresence);
+  sessionService.on('revoked', sessionIds => sessionIds.forEach(disconnectSession));
+  presenceService.reset().catch(error => console.error('Presence reset error:', error));
+  setInterval(sweepStaleDevices, HEARTBEAT_INTERVAL_SECONDS * 1000).unref();
+
+  return io;
+};
+
+module.exports = {
+  attach,
+  emitToParticipants,
+  disconnectSession
+};
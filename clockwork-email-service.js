@@ -4,6 +4,14 @@ const { db } = require('../config/database');
 // Initialize SendGrid
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
+// Escape user- or request-supplied text before it goes into an HTML email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Email templates
 const emailTemplates = {
   welcome: {
@@ -58,6 +66,54 @@ const emailTemplates = {
     `
   },
   
+  emailVerification: {
+    subject: 'Verify Your ClockWork Email Address',
+    template: (name, verifyLink, isEmailChange) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #0f172a 0%, #3b82f6 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>✉️ Verify Your Email</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name},</h2>
+      <p>${isEmailChange
+        ? 'Please confirm this is the new email address for your ClockWork account. Your email will change once you click the button below:'
+        : 'Thanks for signing up! Please confirm your email address so we can send you invoices, session reminders and account notices:'}</p>
+      
+      <center>
+        <a href="${verifyLink}" class="button">Verify Email Address</a>
+      </center>
+      
+      <p><small>Or copy and paste this link into your browser:</small><br>
+      <small>${verifyLink}</small></p>
+      
+      <div class="warning">
+        <strong>⚠️ Important:</strong> This link expires in 24 hours. If you didn't request this, you can safely ignore this email.
+      </div>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+      <p>This is an automated email. Please do not reply.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
   passwordReset: {
     subject: 'Reset Your ClockWork Password',
     template: (name, resetLink) => `
@@ -161,6 +217,200 @@ const emailTemplates = {
     `
   },
   
+  twoFactorCode: {
+    subject: 'Your ClockWork Verification Code',
+    template: (name, code) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #0f172a; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .code { font-size: 36px; font-weight: bold; letter-spacing: 8px; text-align: center; background: white; border: 2px dashed #3b82f6; border-radius: 8px; padding: 20px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+    .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Verification Code</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name},</h2>
+      <p>Use this code to finish signing in to ClockWork:</p>
+      
+      <div class="code">${code}</div>
+      
+      <div class="warning">
+        <strong>⚠️ Important:</strong> This code expires in 5 minutes. Never share it with anyone - ClockWork staff will never ask for it. If you didn't try to sign in, change your password.
+      </div>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+      <p>This is an automated security email. Please do not reply.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
+  securityAlert: {
+    subject: 'Security Alert: Activity on Your ClockWork Account',
+    template: (name, alertDetails) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #ef4444; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .details { background: white; border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin: 20px 0; }
+    .button { display: inline-block; background: #ef4444; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔒 ${alertDetails.title}</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name},</h2>
+      <p>${alertDetails.description}</p>
+      
+      <div class="details">
+        <strong>When:</strong> ${new Date().toLocaleString()}<br>
+        ${alertDetails.ipAddress ? `<strong>IP address:</strong> ${escapeHtml(alertDetails.ipAddress)}<br>` : ''}
+        ${alertDetails.userAgent ? `<strong>Device:</strong> ${escapeHtml(alertDetails.userAgent)}` : ''}
+      </div>
+      
+      <p>To keep your account secure:</p>
+      <ul>
+        <li>Review your signed-in devices and sign out any you don't recognise</li>
+        <li>Change your password if you suspect it has been compromised</li>
+        <li>Enable two-factor authentication if you haven't already</li>
+      </ul>
+      
+      <center>
+        <a href="${process.env.FRONTEND_URL}/settings/security" class="button">Review Account Security</a>
+      </center>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+      <p>This is an automated security email. Please do not reply.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
+  accountLocked: {
+    subject: 'Your ClockWork Account Has Been Temporarily Locked',
+    template: (name, unlockLink, lockDetails) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #f59e0b; color: #0f172a; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+    .alert { background: #fee; border-left: 4px solid #ef4444; padding: 15px; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔐 Account Temporarily Locked</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name},</h2>
+      <p>We locked your ClockWork account after several unsuccessful sign-in attempts. It will unlock automatically at <strong>${new Date(lockDetails.lockedUntil).toLocaleString()}</strong>.</p>
+      
+      ${lockDetails.ipAddress ? `<p><strong>Last attempt from:</strong> ${escapeHtml(lockDetails.ipAddress)}</p>` : ''}
+      
+      <p>If these attempts were you, you can unlock your account right away:</p>
+      
+      <center>
+        <a href="${unlockLink}" class="button">Unlock My Account</a>
+      </center>
+      
+      <p><small>Or copy and paste this link into your browser:</small><br>
+      <small>${unlockLink}</small></p>
+      
+      <div class="alert">
+        <strong>🚨 Wasn't you?</strong> Someone may be trying to guess your password. Don't unlock your account - reset your password instead and enable two-factor authentication.
+      </div>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+      <p>This is an automated security email. Please do not reply.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
+  clientInvitation: {
+    subject: 'You\'ve Been Invited to Train on ClockWork',
+    template: (clientName, specialistName, acceptLink, message) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #0f172a 0%, #3b82f6 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .message-box { background: white; border-left: 4px solid #3b82f6; padding: 15px; margin: 20px 0; font-style: italic; }
+    .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🤝 New Invitation</h1>
+    </div>
+    <div class="content">
+      <h2>Hi${clientName ? ` ${escapeHtml(clientName)}` : ''}!</h2>
+      <p>${escapeHtml(specialistName)} has invited you to work together on ClockWork.</p>
+      
+      ${message ? `<div class="message-box">"${escapeHtml(message)}"</div>` : ''}
+      
+      <p>Once you accept, ${escapeHtml(specialistName)} will be able to:</p>
+      <ul>
+        <li>Build workouts and nutrition plans for you</li>
+        <li>Track your measurements and progress</li>
+        <li>Schedule sessions and chat with you</li>
+      </ul>
+      
+      <center>
+        <a href="${acceptLink}" class="button">View Invitation</a>
+      </center>
+      
+      <p style="margin-top: 30px; font-size: 14px; color: #666;">
+        Don't know ${escapeHtml(specialistName)}? You can safely ignore this email.
+      </p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
   workoutAssigned: {
     subject: 'New Workout Plan Ready! 💪',
     template: (clientName, specialistName, workoutName) => `
@@ -213,6 +463,108 @@ const emailTemplates = {
     `
   },
   
+  goalMilestone: {
+    subject: 'Goal Milestone Reached! 🎯',
+    template: (name, details) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #10b981 0%, #34d399 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .goal-box { background: white; border: 2px solid #10b981; border-radius: 8px; padding: 20px; margin: 20px 0; }
+    .progress { background: #e5e7eb; border-radius: 999px; height: 12px; overflow: hidden; }
+    .progress-bar { background: #10b981; height: 12px; }
+    .button { display: inline-block; background: #10b981; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${details.achieved ? '🏆 Goal Achieved!' : '🎯 Milestone Reached!'}</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name}!</h2>
+      <p>${details.clientName
+        ? `Your client ${escapeHtml(details.clientName)} just ${details.achieved ? 'achieved their goal' : 'reached a milestone'}.`
+        : `You just ${details.achieved ? 'achieved your goal' : 'reached a milestone'}. Keep it up!`}</p>
+      
+      <div class="goal-box">
+        <h3 style="margin-top: 0;">${escapeHtml(details.goalTitle)}</h3>
+        <p>${escapeHtml(details.milestoneText)}</p>
+        <div class="progress">
+          <div class="progress-bar" style="width: ${details.progressPercent}%;"></div>
+        </div>
+        <p style="font-size: 14px; color: #666;">${details.progressPercent}% of the way there</p>
+      </div>
+      
+      <center>
+        <a href="${process.env.FRONTEND_URL}/goals" class="button">View Goals</a>
+      </center>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
+  messageDigest: {
+    subject: 'You have unread messages on ClockWork',
+    template: (name, details) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #3b82f6 0%, #6366f1 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .conversation { background: white; border-left: 4px solid #3b82f6; border-radius: 8px; padding: 15px 20px; margin: 15px 0; }
+    .preview { color: #555; margin: 5px 0 0; }
+    .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>💬 ${details.count} unread message${details.count === 1 ? '' : 's'}</h1>
+    </div>
+    <div class="content">
+      <h2>Hi ${name}!</h2>
+      <p>Here's what you missed while you were away:</p>
+      
+      ${details.conversations.map(conversation => `
+        <div class="conversation">
+          <strong>${escapeHtml(conversation.senderName)}</strong>
+          <span style="color: #666;">(${conversation.count} message${conversation.count === 1 ? '' : 's'})</span>
+          <p class="preview">${escapeHtml(conversation.preview)}</p>
+        </div>
+      `).join('')}
+      
+      <center>
+        <a href="${process.env.FRONTEND_URL}/messages" class="button">Reply in ClockWork</a>
+      </center>
+      
+      <p style="margin-top: 30px; font-size: 14px; color: #666;">
+        You can change how you're notified about messages in your notification settings.
+      </p>
+    </div>
+    <div class="footer">
+      <p>© ${new Date().getFullYear()} ClockWork Platform. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `
+  },
+  
   invoiceCreated: {
     subject: 'New Invoice from ClockWork',
     template: (clientName, invoiceDetails) => `
@@ -444,6 +796,19 @@ class EmailService {
     );
   }
   
+  // Send email verification link
+  async sendEmailVerification(email, name, verificationToken, { isEmailChange = false } = {}) {
+    const verifyLink = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+    const template = emailTemplates.emailVerification;
+    
+    return await this.send(
+      email,
+      template.subject,
+      template.template(name, verifyLink, isEmailChange),
+      { template_id: 'email_verification' }
+    );
+  }
+  
   // Send password reset email
   async sendPasswordResetEmail(email, name, resetToken) {
     const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
@@ -474,6 +839,61 @@ class EmailService {
     );
   }
   
+  // Send two-factor verification code
+  async sendTwoFactorCodeEmail(email, name, code) {
+    const template = emailTemplates.twoFactorCode;
+    return await this.send(
+      email,
+      template.subject,
+      template.template(name, code),
+      { 
+        template_id: 'two_factor_code',
+        priority: 'high'
+      }
+    );
+  }
+  
+  // Send security alert
+  async sendSecurityAlertEmail(email, name, alertDetails) {
+    const template = emailTemplates.securityAlert;
+    return await this.send(
+      email,
+      template.subject,
+      template.template(name, alertDetails),
+      { 
+        template_id: 'security_alert',
+        priority: 'high'
+      }
+    );
+  }
+  
+  // Send account locked notification with unlock link
+  async sendAccountLockedEmail(email, name, lockDetails) {
+    const unlockLink = `${process.env.FRONTEND_URL}/unlock-account?token=${lockDetails.unlockToken}`;
+    const template = emailTemplates.accountLocked;
+    
+    return await this.send(
+      email,
+      template.subject,
+      template.template(name, unlockLink, lockDetails),
+      { 
+        template_id: 'account_locked',
+        priority: 'high'
+      }
+    );
+  }
+  
+  // Send specialist invitation to a client
+  async sendClientInvitationEmail(email, clientName, specialistName, acceptLink, message) {
+    const template = emailTemplates.clientInvitation;
+    return await this.send(
+      email,
+      template.subject,
+      template.template(clientName, specialistName, acceptLink, message),
+      { template_id: 'client_invitation' }
+    );
+  }
+  
   // Send workout assigned notification
   async sendWorkoutAssignedEmail(email, clientName, specialistName, workoutName) {
     const template = emailTemplates.workoutAssigned;
@@ -485,6 +905,28 @@ class EmailService {
     );
   }
   
+  // Send goal milestone or achievement notification
+  async sendGoalMilestoneEmail(email, name, details) {
+    const template = emailTemplates.goalMilestone;
+    return await this.send(
+      email,
+      details.achieved ? 'Goal Achieved! 🏆' : template.subject,
+      template.template(name, details),
+      { template_id: 'goal_milestone' }
+    );
+  }
+  
+  // Send a digest of unread chat messages
+  async sendMessageDigest(email, name, details) {
+    const template = emailTemplates.messageDigest;
+    return await this.send(
+      email,
+      template.subject,
+      template.template(name, details),
+      { template_id: 'message_digest' }
+    );
+  }
+  
   // Send invoice created notification
   async sendInvoiceEmail(email, clientName, invoiceDetails) {
     const template = emailTemplates.invoiceCreated;
@@ -504,7 +946,7 @@ class EmailService {
     const template = emailTemplates.appointmentReminder;
     return await this.send(
       email,
-      template.subject,
+      sessionDetails.day === 'today' ? 'Reminder: Upcoming Session Today' : template.subject,
       template.template(clientName, sessionDetails),
       { 
         template_id: 'appointment_reminder',
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const emailService = require('./clockwork-email-service');
+
+// Verification links stay valid for 24 hours
+const VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Features unverified accounts can't use (comma-separated, e.g. "billing,invites")
+const getRestrictedFeatures = () => (process.env.UNVERIFIED_EMAIL_RESTRICTIONS ?? 'billing,invites')
+  .split(',')
+  .map(feature => feature.trim())
+  .filter(Boolean);
+
+// Email verification service class
+class EmailVerificationService {
+  // Email a signed verification link for the given address
+  async sendVerification(user, email = user.email) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      { id: user.id, email: email.toLowerCase(), type: 'email_verification' },
+      process.env.JWT_SECRET,
+      { expiresIn: VERIFICATION_TTL_SECONDS, jwtid: jti }
+    );
+
+    // Only the most recently sent link for a user is honoured
+    await redis.setex(`email_verify_${user.id}`, VERIFICATION_TTL_SECONDS, jti);
+
+    await emailService.sendEmailVerification(email, user.name, token, {
+      isEmailChange: email.toLowerCase() !== user.email
+    });
+  }
+
+  // Start an email change; the address only changes once the new one is verified
+  async requestEmailChange(user, newEmail) {
+    const email = newEmail.toLowerCase();
+
+    const existingUser = await db('users').where({ email }).first();
+    if (existingUser) {
+      const error = new Error('Email already registered');
+      error.status = 409;
+      throw error;
+    }
+
+    await this.sendVerification(user, email);
+
+    // Let the current address know a change was requested
+    try {
+      await emailService.sendSecurityAlertEmail(user.email, user.name, {
+        title: 'Email change requested',
+        description: `A request was made to change your ClockWork email to ${email}. The change takes effect once the new address is verified. If this wasn't you, change your password.`
+      });
+    } catch (error) {
+      console.error('Email change alert error:', error);
+    }
+  }
+
+  // Verify a token; returns the updated user or null if the token is invalid
+  async verify(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'email_verification') {
+      return null;
+    }
+
+    const storedJti = await redis.get(`email_verify_${decoded.id}`);
+    if (!storedJti || storedJti !== decoded.jti) {
+      return null;
+    }
+
+    const user = await db('users').where({ id: decoded.id }).first();
+    if (!user) {
+      return null;
+    }
+
+    const isEmailChange = decoded.email !== user.email;
+    if (isEmailChange) {
+      const existingUser = await db('users').where({ email: decoded.email }).first();
+      if (existingUser) {
+        const error = new Error('Email already registered');
+        error.status = 409;
+        throw error;
+      }
+    }
+
+    await redis.del(`email_verify_${decoded.id}`);
+
+    const [updatedUser] = await db('users')
+      .where({ id: user.id })
+      .update({
+        email: decoded.email,
+        email_verified: true,
+        email_verified_at: new Date(),
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    return { user: updatedUser, previousEmail: isEmailChange ? user.email : null };
+  }
+
+  // Check whether a user may use a feature given their verification state
+  isAllowed(user, feature) {
+    return Boolean(user.email_verified) || !getRestrictedFeatures().includes(feature);
+  }
+}
+
+// Create and export singleton instance
+const emailVerificationService = new EmailVerificationService();
+
+module.exports = emailVerificationService;
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const FileType = require('file-type');
+const { db } = require('../config/database');
+const relationshipService = require('./clockwork-relationship-service');
+const { getStorage } = require('./clockwork-storage');
+const { hasPermission } = require('./clockwork-rbac');
+
+const MB = 1024 * 1024;
+
+// Progress photos are for the client and their specialists only, so admin access does not extend to them
+const PRIVATE_TO_CLIENT = { allowAdmins: false };
+
+// Images that are re-encoded on upload: resized, rotated upright and stripped of metadata such as GPS
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// What each kind of upload accepts, how large it may be, and the sizes images are stored at
+const PURPOSES = {
+  profile_picture: {
+    types: RESIZABLE_TYPES,
+    maxBytes: 5 * MB,
+    image: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 128, height: 128, fit: 'cover' }
+  },
+  progress_photo: {
+    types: RESIZABLE_TYPES,
+    maxBytes: 15 * MB,
+    image: { width: 2048, height: 2048, fit: 'inside' },
+    thumbnail: { width: 320, height: 320, fit: 'inside' }
+  },
+  chat_attachment: {
+    types: [...RESIZABLE_TYPES, 'image/gif', 'application/pdf'],
+    maxBytes: 10 * MB,
+    image: { width: 2048, height: 2048, fit: 'inside' },
+    thumbnail: { width: 320, height: 320, fit: 'inside' }
+  }
+};
+
+// Build an error carrying an HTTP status
+const fileError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Re-encode an image as WebP at a preset size, never enlarging it
+const renderImage = async (buffer, { width, height, fit }) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, mimeType: 'image/webp', ext: 'webp', width: info.width, height: info.height };
+};
+
+const withExtension = (filename, ext) => `${filename.replace(/\.[^./\\]*$/, '') || 'file'}.${ext}`;
+
+// File service class
+class FileService {
+  // Check, process and store an upload; images also get a thumbnail variant
+  async upload(owner, purpose, { buffer, originalname }) {
+    const config = PURPOSES[purpose];
+
+    if (buffer.length > config.maxBytes) {
+      throw fileError(413, `File must be at most ${config.maxBytes / MB} MB`);
+    }
+
+    // Trust the bytes, not the extension or the client's Content-Type
+    const detected = await FileType.fromBuffer(buffer);
+    if (!detected || !config.types.includes(detected.mime)) {
+      throw fileError(415, `Unsupported file type; allowed types are ${config.types.join(', ')}`);
+    }
+
+    let original = { buffer, mimeType: detected.mime, ext: detected.ext, width: null, height: null };
+    let thumbnail = null;
+
+    if (RESIZABLE_TYPES.includes(detected.mime)) {
+      try {
+        original = await renderImage(buffer, config.image);
+        thumbnail = await renderImage(buffer, config.thumbnail);
+      } catch (error) {
+        throw fileError(415, 'The image could not be read');
+      }
+    }
+
+    const id = crypto.randomUUID();
+    const filename = withExtension((originalname || 'file').slice(0, 200), original.ext);
+    const prefix = `${purpose}/${owner.id}/${id}`;
+
+    const rows = [{
+      id,
+      owner_id: owner.id,
+      purpose,
+      storage_key: `${prefix}.${original.ext}`,
+      filename,
+      mime_type: original.mimeType,
+      size_bytes: original.buffer.length,
+      width: original.width,
+      height: original.height,
+      buffer: original.buffer
+    }];
+
+    if (thumbnail) {
+      rows.push({
+        id: crypto.randomUUID(),
+        owner_id: owner.id,
+        parent_id: id,
+        variant: 'thumbnail',
+        purpose,
+        storage_key: `${prefix}_thumbnail.${thumbnail.ext}`,
+        filename: withExtension(filename, thumbnail.ext),
+        mime_type: thumbnail.mimeType,
+        size_bytes: thumbnail.buffer.length,
+        width: thumbnail.width,
+        height: thumbnail.height,
+        buffer: thumbnail.buffer
+      });
+    }
+
+    const storage = getStorage();
+    for (const row of rows) {
+      await storage.put(row.storage_key, row.buffer, row.mime_type);
+    }
+
+    try {
+      await db('files').insert(rows.map(({ buffer: data, ...row }) => row));
+    } catch (error) {
+      await this.removeObjects(rows);
+      throw error;
+    }
+
+    return await this.find(id);
+  }
+
+  // An uploaded file (never a variant) with its variants attached
+  async find(id) {
+    const file = await db('files').where({ id }).whereNull('parent_id').first();
+    if (!file) {
+      return null;
+    }
+
+    file.variants = await db('files').where({ parent_id: id });
+    return file;
+  }
+
+  // Several uploaded files with their variants, keyed by id
+  async findMany(ids) {
+    const files = ids.length > 0 ? await db('files').whereIn('id', ids).whereNull('parent_id') : [];
+    const variants = files.length > 0
+      ? await db('files').whereIn('parent_id', files.map(file => file.id))
+      : [];
+
+    return new Map(files.map(file => [file.id, {
+      ...file,
+      variants: variants.filter(variant => variant.parent_id === file.id)
+    }]));
+  }
+
+  // Any stored object by id, original or variant
+  async findStored(id) {
+    return await db('files').where({ id }).first();
+  }
+
+  // The user's other profile pictures, replaced by a new upload
+  async listProfilePictures(userId, exceptId) {
+    const files = await db('files')
+      .where({ owner_id: userId, purpose: 'profile_picture' })
+      .whereNull('parent_id')
+      .whereNot('id', exceptId);
+
+    const variants = files.length > 0
+      ? await db('files').whereIn('parent_id', files.map(file => file.id))
+      : [];
+
+    return files.map(file => ({ ...file, variants: variants.filter(variant => variant.parent_id === file.id) }));
+  }
+
+  // Owners always; progress photos (owned by the client, whoever uploaded them) only to the client's
+  // specialists, not admins. Otherwise admins always, profile pictures any signed-in user, and chat
+  // attachments the participants of a conversation they were sent in
+  async canAccess(user, file) {
+    if (file.purpose === 'progress_photo') {
+      return await relationshipService.canAccessClient(user, file.owner_id, PRIVATE_TO_CLIENT);
+    }
+
+    if (file.owner_id === user.id || hasPermission(user, 'users:read:any') || file.purpose === 'profile_picture') {
+      return true;
+    }
+
+    const sharedIn = await db('message_attachments')
+      .join('messages', 'messages.id', 'message_attachments.message_id')
+      .join('conversations', 'conversations.id', 'messages.conversation_id')
+      .where('message_attachments.file_id', file.id)
+      .where(query => query
+        .where('conversations.specialist_id', user.id)
+        .orWhere('conversations.client_id', user.id))
+      .first('message_attachments.file_id');
+
+    return Boolean(sharedIn);
+  }
+
+  // Shape a file for API responses, with short-lived download links
+  async describe(file) {
+    const storage = getStorage();
+    const thumbnail = file.variants?.find(variant => variant.variant === 'thumbnail');
+
+    return {
+      id: file.id,
+      purpose: file.purpose,
+      filename: file.filename,
+      mimeType: file.mime_type,
+      sizeBytes: file.size_bytes,
+      width: file.width,
+      height: file.height,
+      url: await storage.getSignedUrl(file),
+      thumbnailUrl: thumbnail ? await storage.getSignedUrl(thumbnail) : null,
+      createdAt: file.created_at
+    };
+  }
+
+  // Files attached to each message, keyed by message id
+  async attachmentsFor(messageIds) {
+    if (messageIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await db('message_attachments')
+      .join('files', 'files.id', 'message_attachments.file_id')
+      .select('message_attachments.message_id', 'files.*')
+      .whereIn('message_attachments.message_id', messageIds);
+
+    const variants = rows.length > 0
+      ? await db('files').whereIn('parent_id', rows.map(row => row.id))
+      : [];
+
+    const attachments = new Map();
+    for (const { message_id: messageId, ...file } of rows) {
+      file.variants = variants.filter(variant => variant.parent_id === file.id);
+      attachments.set(messageId, [...(attachments.get(messageId) || []), await this.describe(file)]);
+    }
+
+    return attachments;
+  }
+
+  // The sender's own chat uploads, checked before they are attached to a message
+  async findAttachable(owner, fileIds) {
+    const files = await db('files')
+      .whereIn('id', fileIds)
+      .where({ owner_id: owner.id, purpose: 'chat_attachment' })
+      .whereNull('parent_id');
+
+    if (files.length !== new Set(fileIds).size) {
+      throw fileError(400, 'Attachments must be your own chat uploads');
+    }
+
+    return files;
+  }
+
+  async removeObjects(rows) {
+    const storage = getStorage();
+
+    for (const row of rows) {
+      try {
+        await storage.remove(row.storage_key);
+      } catch (error) {
+        console.error(`Storage delete error (${row.storage_key}):`, error);
+      }
+    }
+  }
+
+  // Delete a file, its variants and their stored objects
+  async remove(file) {
+    await this.removeObjects([file, ...(file.variants || [])]);
+    await db('files').where({ id: file.id }).del();
+  }
+
+  // Stored objects for everything a user uploaded; their rows go with the user by cascade
+  async removeAllForUser(userId) {
+    await this.removeObjects(await db('files').where({ owner_id: userId }));
+  }
+}
+
+// Create and export singleton instance
+const fileService = new FileService();
+
+module.exports = fileService;
+module.exports.PURPOSES = PURPOSES;
+module.exports.PRIVATE_TO_CLIENT = PRIVATE_TO_CLIENT;
@@ -0,0 +1,159 @@
+const { db } = require('../config/database');
+const fileService = require('./clockwork-file-service');
+const { getStorage, publicApiUrl, verifyLocalSignature } = require('./clockwork-storage');
+
+// Stable link to a profile picture; it redirects to a fresh signed URL on every request
+const profilePictureUrl = (file) => `${publicApiUrl()}/api/files/${file.id}/view`;
+
+// Load a file the caller may see
+const loadFile = async (req, res) => {
+  const file = await fileService.find(req.params.id);
+  if (!file) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  
+  if (!(await fileService.canAccess(req.user, file))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  
+  return file;
+};
+
+// Serve a file from local disk through a signed link; S3 links go straight to the bucket
+const serveRaw = async (req, res) => {
+  try {
+    const storage = getStorage();
+    if (storage.driver !== 'local') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (!verifyLocalSignature(req.params.id, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+    
+    const file = await fileService.findStored(req.params.id);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    res.set({
+      'Content-Type': file.mime_type,
+      'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.filename)}`,
+      'Cache-Control': 'private, max-age=300',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(storage.pathFor(file.storage_key));
+  } catch (error) {
+    console.error('Serve file error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+};
+
+// Public redirect for profile pictures, so profile_picture_url can be used directly in <img> tags
+const viewProfilePicture = async (req, res) => {
+  try {
+    const file = await fileService.find(req.params.id);
+    if (!file || file.purpose !== 'profile_picture') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const thumbnail = file.variants.find(variant => variant.variant === 'thumbnail');
+    const target = req.query.size === 'thumbnail' && thumbnail ? thumbnail : file;
+    
+    res.set('Cache-Control', 'private, max-age=60');
+    res.redirect(302, await getStorage().getSignedUrl(target));
+  } catch (error) {
+    console.error('View profile picture error:', error);
+    res.status(500).json({ error: 'Failed to load profile picture' });
+  }
+};
+
+// Upload a file to attach to chat messages
+const uploadAttachment = async (req, res) => {
+  try {
+    const file = await fileService.upload(req.user, 'chat_attachment', req.file);
+    
+    res.status(201).json({ file: await fileService.describe(file) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+};
+
+// Replace the caller's profile picture
+const uploadProfilePicture = async (req, res) => {
+  try {
+    const file = await fileService.upload(req.user, 'profile_picture', req.file);
+    const profilePicture = profilePictureUrl(file);
+    
+    await db('users')
+      .where({ id: req.user.id })
+      .update({ profile_picture_url: profilePicture, updated_at: new Date() });
+    
+    for (const previous of await fileService.listProfilePictures(req.user.id, file.id)) {
+      await fileService.remove(previous);
+    }
+    
+    res.status(201).json({ file: await fileService.describe(file), profilePicture });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload profile picture error:', error);
+    res.status(500).json({ error: 'Failed to upload profile picture' });
+  }
+};
+
+// File details with signed download links
+const getFile = async (req, res) => {
+  try {
+    const file = await loadFile(req, res);
+    if (!file) return;
+    
+    res.json({ file: await fileService.describe(file) });
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+};
+
+// Delete one of the caller's own uploads
+const deleteFile = async (req, res) => {
+  try {
+    const file = await fileService.find(req.params.id);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (file.owner_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    if (file.purpose === 'profile_picture') {
+      await db('users')
+        .where({ id: req.user.id, profile_picture_url: profilePictureUrl(file) })
+        .update({ profile_picture_url: null, updated_at: new Date() });
+    }
+    
+    await fileService.remove(file);
+    
+    res.json({ message: 'File deleted' });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+};
+
+module.exports = {
+  serveRaw,
+  viewProfilePicture,
+  uploadAttachment,
+  uploadProfilePicture,
+  getFile,
+  deleteFile
+};
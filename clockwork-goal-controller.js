@@ -0,0 +1,188 @@
+const goalService = require('./clockwork-goal-service');
+const measurementService = require('./clockwork-measurement-service');
+const relationshipService = require('./clockwork-relationship-service');
+const { goalUnit } = require('./clockwork-goal-service');
+const { fromMetric } = require('./clockwork-measurement-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+// Values follow ?units=, then the caller's saved preference
+const resolveUnitSystem = (req) => req.query.units || req.user.unit_system || 'metric';
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// Clients manage their own goals; anyone else needs goals:manage
+const canWriteGoals = (user, clientId) => (
+  user.id === clientId ? hasPermission(user, 'goals:write:own') : hasPermission(user, 'goals:manage')
+);
+
+// Shape a goal for API responses, converting values to the caller's units
+const formatGoal = (goal, unitSystem) => {
+  const unit = goalUnit(goal);
+  const convert = (value) => round(fromMetric(value, unit, unitSystem));
+  
+  return {
+    id: goal.id,
+    clientId: goal.client_id,
+    clientName: goal.client_name,
+    title: goal.title,
+    source: goal.source,
+    metric: goal.metric,
+    exerciseId: goal.exercise_id,
+    exerciseName: goal.exercise_name,
+    unit: measurementService.getUnits(unitSystem)[unit] || unit,
+    startValue: convert(goal.start_value),
+    targetValue: convert(goal.target_value),
+    currentValue: convert(goal.current_value),
+    progressPercent: goal.progress_percent,
+    startDate: goal.start_date,
+    deadline: goal.deadline,
+    status: goal.status,
+    achievedAt: goal.achieved_at,
+    evaluatedAt: goal.evaluated_at,
+    milestones: goal.milestones?.map(milestone => ({
+      id: milestone.id,
+      targetValue: convert(milestone.target_value),
+      dueDate: milestone.due_date,
+      reachedAt: milestone.reached_at
+    })),
+    createdBy: goal.created_by,
+    createdAt: goal.created_at
+  };
+};
+
+// Load a goal the caller may see
+const loadGoal = async (req, res) => {
+  const goal = await goalService.findGoal(req.params.id);
+  const allowed = goal && await relationshipService.canAccessClient(req.user, goal.client_id);
+  if (!allowed) {
+    res.status(404).json({ error: 'Goal not found' });
+    return null;
+  }
+  
+  return goal;
+};
+
+// List a client's goals
+const listGoals = async (req, res) => {
+  try {
+    const goals = await goalService.listForClient(req.clientId, { status: req.query.status });
+    const unitSystem = resolveUnitSystem(req);
+    
+    res.json({ goals: goals.map(goal => formatGoal(goal, unitSystem)) });
+  } catch (error) {
+    console.error('List goals error:', error);
+    res.status(500).json({ error: 'Failed to load goals' });
+  }
+};
+
+// Get one goal with its milestones
+const getGoal = async (req, res) => {
+  try {
+    const goal = await loadGoal(req, res);
+    if (!goal) return;
+    
+    res.json({ goal: formatGoal(goal, resolveUnitSystem(req)) });
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({ error: 'Failed to load goal' });
+  }
+};
+
+// Create a goal for the caller or one of their clients
+const createGoal = async (req, res) => {
+  try {
+    if (!canWriteGoals(req.user, req.clientId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    const unitSystem = resolveUnitSystem(req);
+    const goal = await goalService.create(req.clientId, req.user.id, req.body, unitSystem);
+    
+    res.status(201).json({
+      goal: formatGoal(goal, unitSystem),
+      message: 'Goal created'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create goal error:', error);
+    res.status(500).json({ error: 'Failed to create goal' });
+  }
+};
+
+// Update a goal's title, target, deadline or status
+const updateGoal = async (req, res) => {
+  try {
+    const existing = await loadGoal(req, res);
+    if (!existing) return;
+    
+    if (!canWriteGoals(req.user, existing.client_id)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    const unitSystem = resolveUnitSystem(req);
+    const goal = await goalService.update(existing, req.body, unitSystem);
+    
+    res.json({
+      goal: formatGoal(goal, unitSystem),
+      message: 'Goal updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update goal error:', error);
+    res.status(500).json({ error: 'Failed to update goal' });
+  }
+};
+
+// Delete a goal and its milestones
+const deleteGoal = async (req, res) => {
+  try {
+    const goal = await loadGoal(req, res);
+    if (!goal) return;
+    
+    if (!canWriteGoals(req.user, goal.client_id)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    await goalService.remove(goal.id);
+    
+    res.json({ message: 'Goal deleted' });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({ error: 'Failed to delete goal' });
+  }
+};
+
+// Active goals across the caller's clients, behind-schedule ones first
+const getDashboard = async (req, res) => {
+  try {
+    const behindOnly = req.query.behindOnly === 'true';
+    const goals = await goalService.dashboard(req.user.id, { behindOnly });
+    const unitSystem = resolveUnitSystem(req);
+    
+    res.json({
+      goals: goals.map(goal => ({
+        ...formatGoal(goal, unitSystem),
+        expectedPercent: goal.expected_percent,
+        overdueMilestones: goal.overdue_milestones,
+        behindSchedule: goal.behind_schedule
+      })),
+      behindSchedule: goals.filter(goal => goal.behind_schedule).length
+    });
+  } catch (error) {
+    console.error('Goal dashboard error:', error);
+    res.status(500).json({ error: 'Failed to load goal dashboard' });
+  }
+};
+
+module.exports = {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  getDashboard
+};
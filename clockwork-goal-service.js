@@ -0,0 +1,404 @@
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const smsService = require('./clockwork-sms-service');
+const relationshipService = require('./clockwork-relationship-service');
+const measurementService = require('./clockwork-measurement-service');
+const { metricUnit, toMetric, fromMetric } = require('./clockwork-measurement-service');
+
+const RECORD_TYPES = ['max_load', 'estimated_1rm', 'max_reps'];
+const CHECKPOINTS = ['weekly', 'monthly'];
+
+// Progress this far behind the elapsed time counts as behind schedule
+const BEHIND_SCHEDULE_MARGIN = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build an error carrying an HTTP status
+const goalError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const parseDate = (value) => (value instanceof Date ? value : new Date(`${value}T00:00:00Z`));
+
+const clampPercent = (value) => Math.min(100, Math.max(0, Math.round(value)));
+
+// Goals can aim up (strength, muscle) or down (weight, body fat)
+const hasReached = (value, target, start) => (target >= start ? value >= target : value <= target);
+
+// Kind of unit a goal's values are measured in
+const goalUnit = (goal) => {
+  if (goal.source === 'measurement') return metricUnit(goal.metric);
+  return goal.metric === 'max_reps' ? 'reps' : 'mass';
+};
+
+// Human-readable value in a recipient's unit system
+const describeValue = (value, unit, unitSystem) => {
+  const converted = Math.round(fromMetric(value, unit, unitSystem) * 10) / 10;
+  const label = measurementService.getUnits(unitSystem)[unit];
+  return label ? `${converted}${label === '%' ? '' : ' '}${label}` : `${converted} ${unit}`;
+};
+
+// Checkpoint dates between the start and the deadline with evenly interpolated targets
+const generateMilestones = (start, target, startDate, deadline, checkpoint) => {
+  const begin = parseDate(startDate);
+  const end = parseDate(deadline);
+  const milestones = [];
+
+  for (let step = 1; ; step++) {
+    const due = new Date(begin);
+    if (checkpoint === 'weekly') {
+      due.setUTCDate(due.getUTCDate() + step * 7);
+    } else {
+      due.setUTCMonth(due.getUTCMonth() + step);
+    }
+    if (due >= end) break;
+
+    const fraction = (due - begin) / (end - begin);
+    milestones.push({
+      target_value: Math.round((start + (target - start) * fraction) * 100) / 100,
+      due_date: toDateString(due)
+    });
+  }
+
+  return milestones;
+};
+
+// Goal service class
+class GoalService {
+  // Current value of whatever a goal tracks, in stored units
+  async currentValue(clientId, { source, metric, exercise_id: exerciseId }) {
+    if (source === 'measurement') {
+      return await measurementService.latestValue(clientId, metric);
+    }
+
+    const record = await db('personal_records')
+      .where({ client_id: clientId, exercise_id: exerciseId, record_type: metric })
+      .first();
+
+    return record ? Number(record.value) : null;
+  }
+
+  // Load a goal with its milestones
+  async findGoal(id) {
+    const goal = await db('goals')
+      .leftJoin('exercises', 'exercises.id', 'goals.exercise_id')
+      .select('goals.*', 'exercises.name as exercise_name')
+      .where('goals.id', id)
+      .first();
+
+    if (!goal) {
+      return null;
+    }
+
+    goal.milestones = await db('goal_milestones').where({ goal_id: id }).orderBy('due_date', 'asc');
+    return goal;
+  }
+
+  // A client's goals with their milestones
+  async listForClient(clientId, { status } = {}) {
+    const query = db('goals')
+      .leftJoin('exercises', 'exercises.id', 'goals.exercise_id')
+      .select('goals.*', 'exercises.name as exercise_name')
+      .where('goals.client_id', clientId)
+      .orderBy('goals.deadline', 'asc');
+
+    if (status) query.where('goals.status', status);
+
+    const goals = await query;
+    if (goals.length === 0) {
+      return goals;
+    }
+
+    const milestones = await db('goal_milestones')
+      .whereIn('goal_id', goals.map(goal => goal.id))
+      .orderBy('due_date', 'asc');
+
+    return goals.map(goal => ({
+      ...goal,
+      milestones: milestones.filter(milestone => milestone.goal_id === goal.id)
+    }));
+  }
+
+  // Create a goal; values arrive in the caller's unit system
+  async create(clientId, createdBy, data, unitSystem) {
+    const { title, metric, exerciseId, recordType, startValue, targetValue, deadline, milestones, checkpoints } = data;
+    const today = toDateString(new Date());
+
+    const goal = {
+      source: exerciseId ? 'personal_record' : 'measurement',
+      metric: exerciseId ? (recordType || 'max_load') : metric,
+      exercise_id: exerciseId || null
+    };
+    const unit = goalUnit(goal);
+
+    if (exerciseId && !(await db('exercises').where({ id: exerciseId }).first('id'))) {
+      throw goalError(404, 'Exercise not found');
+    }
+
+    if (deadline <= today) {
+      throw goalError(400, 'Deadline must be in the future');
+    }
+
+    const current = await this.currentValue(clientId, goal);
+    const start = startValue !== undefined ? toMetric(startValue, unit, unitSystem) : current;
+    if (start === null) {
+      throw goalError(400, 'No current value recorded for this metric; provide a startValue');
+    }
+
+    const target = toMetric(targetValue, unit, unitSystem);
+    if (target === start) {
+      throw goalError(400, 'Target must differ from the starting value');
+    }
+
+    const milestoneRows = milestones
+      ? milestones.map(milestone => ({
+        target_value: toMetric(milestone.targetValue, unit, unitSystem),
+        due_date: milestone.dueDate
+      }))
+      : checkpoints ? generateMilestones(start, target, today, deadline, checkpoints) : [];
+
+    if (milestoneRows.some(milestone => milestone.due_date > deadline)) {
+      throw goalError(400, 'Milestones must fall on or before the deadline');
+    }
+
+    const goalId = await db.transaction(async (trx) => {
+      const [created] = await trx('goals')
+        .insert({
+          client_id: clientId,
+          created_by: createdBy,
+          title,
+          ...goal,
+          start_value: start,
+          target_value: target,
+          current_value: current,
+          start_date: today,
+          deadline
+        })
+        .returning(['id']);
+
+      if (milestoneRows.length > 0) {
+        await trx('goal_milestones').insert(milestoneRows.map(milestone => ({ ...milestone, goal_id: created.id })));
+      }
+
+      return created.id;
+    });
+
+    await this.evaluate(await db('goals').where({ id: goalId }).first());
+    return await this.findGoal(goalId);
+  }
+
+  // Update a goal's title, target, deadline or status; a new target or deadline re-plots the checkpoints not yet reached
+  async update(goal, { title, targetValue, deadline, status }, unitSystem) {
+    const updates = { updated_at: new Date() };
+    if (title !== undefined) updates.title = title;
+    if (targetValue !== undefined) updates.target_value = toMetric(targetValue, goalUnit(goal), unitSystem);
+    if (deadline !== undefined) updates.deadline = deadline;
+    if (status !== undefined) updates.status = status;
+
+    if (deadline !== undefined && deadline <= toDateString(new Date())) {
+      throw goalError(400, 'Deadline must be in the future');
+    }
+
+    const start = Number(goal.start_value);
+    if (updates.target_value === start) {
+      throw goalError(400, 'Target must differ from the starting value');
+    }
+
+    const updated = await db.transaction(async (trx) => {
+      const [row] = await trx('goals').where({ id: goal.id }).update(updates).returning('*');
+
+      if (targetValue !== undefined || deadline !== undefined) {
+        await this.replotMilestones(row, trx);
+      }
+
+      return row;
+    });
+
+    if (updated.status === 'active') {
+      await this.evaluate(updated);
+    }
+
+    return await this.findGoal(goal.id);
+  }
+
+  // Keep pending checkpoints on the straight line from the start to the (new) target,
+  // dropping any that no longer fall before the deadline
+  async replotMilestones(goal, trx) {
+    const start = Number(goal.start_value);
+    const target = Number(goal.target_value);
+    const begin = parseDate(goal.start_date);
+    const end = parseDate(goal.deadline);
+
+    const pending = await trx('goal_milestones').where({ goal_id: goal.id }).whereNull('reached_at');
+
+    for (const milestone of pending) {
+      const due = parseDate(milestone.due_date);
+      if (due >= end) {
+        await trx('goal_milestones').where({ id: milestone.id }).del();
+        continue;
+      }
+
+      const fraction = (due - begin) / (end - begin);
+      await trx('goal_milestones')
+        .where({ id: milestone.id })
+        .update({ target_value: Math.round((start + (target - start) * fraction) * 100) / 100 });
+    }
+  }
+
+  async remove(id) {
+    await db('goals').where({ id }).del();
+  }
+
+  // Recompute progress of a client's active goals after new data arrives
+  async evaluateForClient(clientId, { source } = {}) {
+    const query = db('goals').where({ client_id: clientId, status: 'active' });
+    if (source) query.where({ source });
+
+    const goals = await query;
+    for (const goal of goals) {
+      await this.evaluate(goal);
+    }
+  }
+
+  // Update progress, mark milestones reached and notify on anything new
+  async evaluate(goal) {
+    const current = await this.currentValue(goal.client_id, goal);
+    if (current === null) {
+      return;
+    }
+
+    const start = Number(goal.start_value);
+    const target = Number(goal.target_value);
+    const progress = clampPercent(((current - start) / (target - start)) * 100);
+    const achieved = hasReached(current, target, start);
+
+    const pending = await db('goal_milestones')
+      .where({ goal_id: goal.id })
+      .whereNull('reached_at')
+      .orderBy('due_date', 'asc');
+    const reached = pending.filter(milestone => hasReached(current, Number(milestone.target_value), start));
+
+    await db('goals')
+      .where({ id: goal.id })
+      .update({
+        current_value: current,
+        progress_percent: progress,
+        evaluated_at: new Date(),
+        ...(achieved && { status: 'achieved', achieved_at: new Date() }),
+        updated_at: new Date()
+      });
+
+    if (reached.length > 0) {
+      await db('goal_milestones')
+        .whereIn('id', reached.map(milestone => milestone.id))
+        .update({ reached_at: new Date() });
+    }
+
+    // One notification per evaluation, however many checkpoints were passed
+    if (achieved || reached.length > 0) {
+      await this.notify(goal, {
+        achieved,
+        milestone: reached[reached.length - 1],
+        current,
+        progress
+      });
+    }
+  }
+
+  // Tell the client and their specialists about a milestone or achievement
+  async notify(goal, { achieved, milestone, current, progress }) {
+    const client = await db('users').where({ id: goal.client_id }).first();
+    const specialistIds = await relationshipService.getSpecialistIds(client.id);
+    const specialists = specialistIds.length > 0 ? await db('users').whereIn('id', specialistIds) : [];
+    const unit = goalUnit(goal);
+
+    for (const recipient of [client, ...specialists]) {
+      const isClient = recipient.id === client.id;
+      const unitSystem = recipient.unit_system || 'metric';
+      const milestoneText = achieved
+        ? `Goal reached at ${describeValue(current, unit, unitSystem)}`
+        : `Checkpoint of ${describeValue(milestone.target_value, unit, unitSystem)} reached, now at ${describeValue(current, unit, unitSystem)}`;
+
+      try {
+        await emailService.sendGoalMilestoneEmail(recipient.email, recipient.name, {
+          goalTitle: goal.title,
+          milestoneText,
+          achieved,
+          progressPercent: progress,
+          clientName: isClient ? null : client.name
+        });
+      } catch (error) {
+        console.error('Goal milestone email error:', error);
+      }
+
+      if (recipient.phone && !recipient.sms_opt_out) {
+        try {
+          await smsService.sendGoalMilestone(
+            recipient.phone,
+            isClient ? recipient.name : client.name,
+            goal.title,
+            milestoneText
+          );
+        } catch (error) {
+          console.error('Goal milestone SMS error:', error);
+        }
+      }
+    }
+  }
+
+  // Active goals of a specialist's clients, flagged when behind schedule
+  async dashboard(specialistId, { behindOnly = false } = {}) {
+    const clientIds = await relationshipService.getClientIds(specialistId);
+    if (clientIds.length === 0) {
+      return [];
+    }
+
+    const today = toDateString(new Date());
+
+    const goals = await db('goals')
+      .join('users as client', 'client.id', 'goals.client_id')
+      .leftJoin('exercises', 'exercises.id', 'goals.exercise_id')
+      .select(
+        'goals.*',
+        'client.name as client_name',
+        'exercises.name as exercise_name',
+        db.raw(
+          '(select count(*) from goal_milestones where goal_id = goals.id and reached_at is null and due_date < ?) as overdue_milestones',
+          [today]
+        )
+      )
+      .whereIn('goals.client_id', clientIds)
+      .where('goals.status', 'active');
+
+    const now = Date.now();
+    const flagged = goals.map((goal) => {
+      const startTime = parseDate(goal.start_date).getTime();
+      const deadlineTime = parseDate(goal.deadline).getTime();
+      const expected = clampPercent(((now - startTime) / Math.max(deadlineTime - startTime, DAY_MS)) * 100);
+      const overdue = Number(goal.overdue_milestones);
+
+      return {
+        ...goal,
+        expected_percent: expected,
+        overdue_milestones: overdue,
+        behind_schedule: overdue > 0 || now > deadlineTime || goal.progress_percent + BEHIND_SCHEDULE_MARGIN < expected
+      };
+    });
+
+    return flagged
+      .filter(goal => !behindOnly || goal.behind_schedule)
+      .sort((a, b) => Number(b.behind_schedule) - Number(a.behind_schedule) || parseDate(a.deadline) - parseDate(b.deadline));
+  }
+}
+
+// Create and export singleton instance
+const goalService = new GoalService();
+
+module.exports = goalService;
+module.exports.RECORD_TYPES = RECORD_TYPES;
+module.exports.CHECKPOINTS = CHECKPOINTS;
+module.exports.goalUnit = goalUnit;
@@ -0,0 +1,227 @@
+const { db } = require('../config/database');
+const billingService = require('./clockwork-billing-service');
+const relationshipService = require('./clockwork-relationship-service');
+const sessionPacks = require('./clockwork-session-packs');
+const { getStripe } = require('./clockwork-billing-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+// Share of each specialist invoice the platform keeps, fixed on the invoice when it is issued
+const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT ?? 10);
+
+const DEFAULT_DAYS_UNTIL_DUE = 14;
+const DEFAULT_CURRENCY = 'usd';
+
+// Build an error carrying an HTTP status
+const invoicingError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const platformFee = (amountCents) => Math.round(amountCents * PLATFORM_FEE_PERCENT / 100);
+
+// Invoicing service class
+class InvoicingService {
+  // Specialists bill only their own active clients, once both account flags are on
+  async assertCanInvoice(specialist, clientId) {
+    if (!specialist.billing_enabled || !specialist.can_train_clients) {
+      throw invoicingError(403, 'Client billing is not enabled for your account');
+    }
+
+    if (!(await relationshipService.isActive(specialist.id, clientId))) {
+      throw invoicingError(403, 'You can only invoice your own clients');
+    }
+
+    return await db('users').where({ id: clientId }).first();
+  }
+
+  // Create, itemize and finalize a Stripe invoice for the client, then mirror it
+  async issue(specialist, client, { items, currency = DEFAULT_CURRENCY, daysUntilDue = DEFAULT_DAYS_UNTIL_DUE, description }) {
+    const stripe = getStripe();
+    const customer = await billingService.getOrCreateCustomer(client);
+    const totalCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+
+    const draft = await stripe.invoices.create({
+      customer,
+      currency,
+      description: description || `Training with ${specialist.name}`,
+      collection_method: 'send_invoice',
+      days_until_due: daysUntilDue,
+      auto_advance: false,
+      pending_invoice_items_behavior: 'exclude',
+      metadata: {
+        clientId: client.id,
+        specialistId: specialist.id,
+        platformFeeCents: String(platformFee(totalCents))
+      }
+    });
+
+    for (const item of items) {
+      await stripe.invoiceItems.create({
+        customer,
+        invoice: draft.id,
+        currency,
+        amount: item.amountCents,
+        description: item.description
+      });
+    }
+
+    const finalized = await stripe.invoices.finalizeInvoice(draft.id);
+    return await db.transaction(trx => billingService.syncInvoice(trx, finalized));
+  }
+
+  // The invoice email is also sent from the invoice.finalized webhook; the ledger keeps it to one
+  async notify(invoice) {
+    try {
+      await billingService.sendInvoiceNotice(invoice);
+    } catch (error) {
+      console.error('Invoice notification error:', error);
+    }
+  }
+
+  // Bill a client for one-off items
+  async createInvoice(specialist, { clientId, items, daysUntilDue, description }) {
+    const client = await this.assertCanInvoice(specialist, clientId);
+
+    const invoice = await this.issue(specialist, client, { items, daysUntilDue, description });
+    await this.notify(invoice);
+
+    return invoice;
+  }
+
+  // Sell a client a pack of sessions, drawn down as sessions are completed
+  async createPack(specialist, { clientId, name, sessions, priceCents, expiresOn, daysUntilDue }) {
+    const client = await this.assertCanInvoice(specialist, clientId);
+
+    const invoice = await this.issue(specialist, client, {
+      items: [{ description: `${name} (${sessions} sessions)`, amountCents: priceCents }],
+      daysUntilDue
+    });
+
+    const [pack] = await db('session_packs')
+      .insert({
+        specialist_id: specialist.id,
+        client_id: clientId,
+        invoice_id: invoice.id,
+        name,
+        sessions_total: sessions,
+        sessions_remaining: sessions,
+        price_cents: priceCents,
+        expires_on: expiresOn || null
+      })
+      .returning('*');
+
+    await this.notify(invoice);
+
+    return { pack, invoice };
+  }
+
+  // Invoices a specialist has issued, newest first
+  async listIssued(specialistId, { clientId, status, limit = 20, offset = 0 } = {}) {
+    const query = db('invoices').where({ 'invoices.specialist_id': specialistId });
+    if (clientId) query.where('invoices.client_id', clientId);
+    if (status) query.where('invoices.status', status);
+
+    const [{ count }] = await query.clone().count('invoices.id as count');
+    const rows = await query
+      .join('users as client', 'client.id', 'invoices.client_id')
+      .select('invoices.*', 'client.name as client_name')
+      .orderBy('invoices.created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    return { rows, total: parseInt(count, 10) };
+  }
+
+  async findIssued(specialistId, id) {
+    return await db('invoices')
+      .join('users as client', 'client.id', 'invoices.client_id')
+      .select('invoices.*', 'client.name as client_name')
+      .where({ 'invoices.id': id, 'invoices.specialist_id': specialistId })
+      .first();
+  }
+
+  // Void an unpaid invoice; any session pack sold with it is cancelled
+  async voidInvoice(invoice) {
+    if (invoice.status !== 'open') {
+      throw invoicingError(409, `A ${invoice.status} invoice cannot be voided`);
+    }
+
+    const voided = await getStripe().invoices.voidInvoice(invoice.stripe_invoice_id);
+
+    return await db.transaction(async (trx) => {
+      const row = await billingService.syncInvoice(trx, voided);
+      await sessionPacks.cancelForInvoice(invoice.id, trx);
+      return row;
+    });
+  }
+
+  // Record payment taken outside Stripe, such as cash at the gym
+  async markPaid(invoice) {
+    if (invoice.status !== 'open') {
+      throw invoicingError(409, `A ${invoice.status} invoice cannot be marked paid`);
+    }
+
+    const paid = await getStripe().invoices.pay(invoice.stripe_invoice_id, { paid_out_of_band: true });
+    return await db.transaction(trx => billingService.syncInvoice(trx, paid));
+  }
+
+  // Packs the caller sold or bought; billing managers see everyone's
+  async listPacks(user, { clientId, specialistId, status } = {}) {
+    const query = db('session_packs')
+      .join('users as specialist', 'specialist.id', 'session_packs.specialist_id')
+      .join('users as client', 'client.id', 'session_packs.client_id')
+      .select('session_packs.*', 'specialist.name as specialist_name', 'client.name as client_name')
+      .orderBy('session_packs.created_at', 'desc');
+
+    if (!hasPermission(user, 'billing:manage')) {
+      query.where(scope => scope
+        .where('session_packs.specialist_id', user.id)
+        .orWhere('session_packs.client_id', user.id));
+    }
+
+    if (clientId) query.where('session_packs.client_id', clientId);
+    if (specialistId) query.where('session_packs.specialist_id', specialistId);
+    if (status) query.where('session_packs.status', status);
+
+    return await query;
+  }
+
+  // Paid revenue, platform fees and net payout per specialist over a period
+  async payouts({ specialistId, from, to }) {
+    const query = db('invoices')
+      .join('users as specialist', 'specialist.id', 'invoices.specialist_id')
+      .select(
+        'invoices.specialist_id',
+        'specialist.name as specialist_name',
+        db.raw("count(*) filter (where invoices.status = 'paid' and invoices.paid_at >= ? and invoices.paid_at < ?)::int as paid_invoices", [from, to]),
+        db.raw("coalesce(sum(invoices.amount_paid_cents) filter (where invoices.status = 'paid' and invoices.paid_at >= ? and invoices.paid_at < ?), 0)::int as gross_cents", [from, to]),
+        db.raw("coalesce(sum(invoices.platform_fee_cents) filter (where invoices.status = 'paid' and invoices.paid_at >= ? and invoices.paid_at < ?), 0)::int as fee_cents", [from, to]),
+        // Outstanding is what is owed now, regardless of the period
+        db.raw("coalesce(sum(invoices.amount_due_cents) filter (where invoices.status = 'open'), 0)::int as outstanding_cents")
+      )
+      .whereNotNull('invoices.specialist_id')
+      .groupBy('invoices.specialist_id', 'specialist.name')
+      .orderBy('specialist.name');
+
+    if (specialistId) query.where('invoices.specialist_id', specialistId);
+
+    const rows = await query;
+
+    return rows.map(row => ({
+      specialistId: row.specialist_id,
+      specialistName: row.specialist_name,
+      paidInvoices: row.paid_invoices,
+      grossCents: row.gross_cents,
+      platformFeeCents: row.fee_cents,
+      netCents: row.gross_cents - row.fee_cents,
+      outstandingCents: row.outstanding_cents
+    }));
+  }
+}
+
+// Create and export singleton instance
+const invoicingService = new InvoicingService();
+
+module.exports = invoicingService;
+module.exports.PLATFORM_FEE_PERCENT = PLATFORM_FEE_PERCENT;
@@ -0,0 +1,108 @@
+const cron = require('node-cron');
+const reminderService = require('./clockwork-reminder-service');
+const programService = require('./clockwork-program-service');
+const billingService = require('./clockwork-billing-service');
+
+// Jobs by name and the run they belong to
+const JOBS = {
+  'appointment-reminders': { schedule: 'hourly', run: () => reminderService.sendAppointmentReminders() },
+  'workout-reminders': { schedule: 'hourly', run: () => reminderService.sendWorkoutReminders() },
+  'message-digests': { schedule: 'frequent', run: () => reminderService.sendMessageDigests() },
+  'payment-reminders': { schedule: 'daily', run: () => billingService.sendPaymentReminders() },
+  'program-reviews': { schedule: 'daily', run: async () => ({ adjusted: await programService.reviewAllMissedSessions() }) }
+};
+
+// UTC cron expressions; keep in sync with the crons in vercel.json
+const SCHEDULES = {
+  frequent: '*/5 * * * *',
+  hourly: '0 * * * *',
+  daily: '0 6 * * *'
+};
+
+// Build an error carrying an HTTP status
+const jobError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Job scheduler class
+class JobScheduler {
+  constructor() {
+    this.running = new Set();
+    this.tasks = [];
+  }
+
+  // Run one job; a run still in progress in this process is not started twice
+  async runJob(name) {
+    const job = JOBS[name];
+    if (!job) {
+      throw jobError(404, `Unknown job: ${name}`);
+    }
+
+    if (this.running.has(name)) {
+      return { name, skipped: true };
+    }
+
+    this.running.add(name);
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.run();
+      return { name, result, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      // One failing job must not stop the rest of the run
+      console.error(`Job ${name} error:`, error);
+      return { name, error: error.message, durationMs: Date.now() - startedAt };
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  // Run every job in the hourly or daily group, one after another
+  async runSchedule(schedule) {
+    if (!SCHEDULES[schedule]) {
+      throw jobError(404, `Unknown schedule: ${schedule}`);
+    }
+
+    const results = [];
+    for (const [name, job] of Object.entries(JOBS)) {
+      if (job.schedule === schedule) {
+        results.push(await this.runJob(name));
+      }
+    }
+
+    return results;
+  }
+
+  listJobs() {
+    return Object.entries(JOBS).map(([name, job]) => ({
+      name,
+      schedule: job.schedule,
+      cron: SCHEDULES[job.schedule],
+      running: this.running.has(name)
+    }));
+  }
+
+  // In-process cron for long-running servers; serverless deployments use the HTTP trigger
+  start() {
+    if (this.tasks.length > 0) {
+      return;
+    }
+
+    for (const [schedule, expression] of Object.entries(SCHEDULES)) {
+      this.tasks.push(cron.schedule(expression, () => this.runSchedule(schedule), { timezone: 'UTC' }));
+    }
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+}
+
+// Create and export singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
+module.exports.SCHEDULES = SCHEDULES;
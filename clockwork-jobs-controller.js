@@ -0,0 +1,51 @@
+const jobScheduler = require('./clockwork-job-scheduler');
+
+// List scheduled jobs
+const listJobs = async (req, res) => {
+  try {
+    res.json({ jobs: jobScheduler.listJobs() });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to load jobs' });
+  }
+};
+
+// Run every job in the hourly or daily group
+const runSchedule = async (req, res) => {
+  try {
+    const results = await jobScheduler.runSchedule(req.params.schedule);
+    
+    res.json({
+      schedule: req.params.schedule,
+      results,
+      failed: results.filter(result => result.error).length
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Run job schedule error:', error);
+    res.status(500).json({ error: 'Failed to run jobs' });
+  }
+};
+
+// Run a single job by name
+const runJob = async (req, res) => {
+  try {
+    const result = await jobScheduler.runJob(req.params.name);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Run job error:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+};
+
+module.exports = {
+  listJobs,
+  runSchedule,
+  runJob
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const emailService = require('./clockwork-email-service');
+
+// Hash unlock tokens before storing them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Lockout service class
+class LockoutService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+    this.backoffThreshold = parseInt(process.env.LOGIN_BACKOFF_THRESHOLD) || 3;
+    this.failureWindowSeconds = 60 * 60; // Failures older than an hour are forgotten
+    this.maxBackoffSeconds = 5 * 60;
+  }
+
+  // Current lockout or back-off state for a user
+  async getStatus(userId) {
+    const lockout = await this.findActiveLockout(userId);
+    if (lockout) {
+      return {
+        locked: true,
+        lockedUntil: lockout.locked_until,
+        retryAfter: Math.ceil((new Date(lockout.locked_until) - Date.now()) / 1000)
+      };
+    }
+
+    const backoffUntil = await redis.get(`login_backoff_${userId}`);
+    if (backoffUntil && Number(backoffUntil) > Date.now()) {
+      return {
+        locked: false,
+        retryAfter: Math.ceil((Number(backoffUntil) - Date.now()) / 1000)
+      };
+    }
+
+    return { locked: false, retryAfter: 0 };
+  }
+
+  // Count a failed attempt, applying back-off and locking the account at the limit
+  async recordFailure(user, req, reason = 'failed_login') {
+    const key = `login_failures_${user.id}`;
+
+    // INCR is atomic, so parallel guesses each count; the window starts with the first failure
+    const failures = await redis.incr(key);
+    if (failures === 1) {
+      await redis.expire(key, this.failureWindowSeconds);
+    }
+
+    // Only the failure that reaches the limit locks, so parallel guesses past it share one lockout and one email
+    if (failures >= this.maxAttempts) {
+      const lockout = failures === this.maxAttempts
+        ? await this.lock(user, req, { failures, reason })
+        : await this.findActiveLockout(user.id);
+
+      return {
+        locked: true,
+        lockedUntil: lockout ? lockout.locked_until : new Date(Date.now() + this.lockoutMinutes * 60 * 1000),
+        retryAfter: this.lockoutMinutes * 60
+      };
+    }
+
+    // Delay doubles with each failure past the threshold
+    if (failures >= this.backoffThreshold) {
+      const delaySeconds = Math.min(
+        2 ** (failures - this.backoffThreshold + 1),
+        this.maxBackoffSeconds
+      );
+      await redis.setex(
+        `login_backoff_${user.id}`,
+        delaySeconds,
+        String(Date.now() + delaySeconds * 1000)
+      );
+
+      return { locked: false, retryAfter: delaySeconds, attemptsRemaining: this.maxAttempts - failures };
+    }
+
+    return { locked: false, retryAfter: 0, attemptsRemaining: this.maxAttempts - failures };
+  }
+
+  // Clear failure counters after a successful sign-in
+  async recordSuccess(userId) {
+    await redis.del(`login_failures_${userId}`);
+    await redis.del(`login_backoff_${userId}`);
+  }
+
+  // Lock an account and email the owner an unlock link
+  async lock(user, req, { failures, reason }) {
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+    const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+
+    const [lockout] = await db('account_lockouts')
+      .insert({
+        user_id: user.id,
+        failed_attempts: failures,
+        reason,
+        ip_address: req.ip,
+        unlock_token_hash: hashToken(unlockToken),
+        locked_until: lockedUntil
+      })
+      .returning('*');
+
+    await redis.del(`login_failures_${user.id}`);
+    await redis.del(`login_backoff_${user.id}`);
+
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'account_locked',
+      resource: 'user',
+      resource_id: user.id,
+      details: `Account locked after ${failures} failed attempts (${reason})`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    try {
+      await emailService.sendAccountLockedEmail(user.email, user.name, {
+        unlockToken,
+        lockedUntil,
+        ipAddress: req.ip
+      });
+    } catch (error) {
+      console.error('Account locked email error:', error);
+    }
+
+    return lockout;
+  }
+
+  // Find the lockout currently in force for a user
+  async findActiveLockout(userId) {
+    return await db('account_lockouts')
+      .where({ user_id: userId })
+      .whereNull('unlocked_at')
+      .where('locked_until', '>', new Date())
+      .orderBy('locked_at', 'desc')
+      .first();
+  }
+
+  // Unlock using the token from the lockout email; returns the user id
+  async unlockWithToken(token) {
+    const lockout = await db('account_lockouts')
+      .where({ unlock_token_hash: hashToken(token) })
+      .whereNull('unlocked_at')
+      .where('locked_until', '>', new Date())
+      .first();
+
+    if (!lockout) {
+      return null;
+    }
+
+    await this.unlock(lockout.user_id);
+    return lockout.user_id;
+  }
+
+  // Lift every active lockout for a user
+  async unlock(userId, { unlockedBy = null } = {}) {
+    const count = await db('account_lockouts')
+      .where({ user_id: userId })
+      .whereNull('unlocked_at')
+      .where('locked_until', '>', new Date())
+      .update({
+        unlocked_at: new Date(),
+        unlocked_by: unlockedBy,
+        unlock_token_hash: null
+      });
+
+    await this.recordSuccess(userId);
+
+    return count > 0;
+  }
+
+  // List lockouts currently in force
+  async listActive() {
+    return await db('account_lockouts')
+      .join('users', 'users.id', 'account_lockouts.user_id')
+      .select(
+        'account_lockouts.id',
+        'account_lockouts.user_id',
+        'users.email',
+        'users.name',
+        'account_lockouts.failed_attempts',
+        'account_lockouts.reason',
+        'account_lockouts.ip_address',
+        'account_lockouts.locked_at',
+        'account_lockouts.locked_until'
+      )
+      .whereNull('account_lockouts.unlocked_at')
+      .where('account_lockouts.locked_until', '>', new Date())
+      .orderBy('account_lockouts.locked_at', 'desc');
+  }
+}
+
+// Create and export singleton instance
+const lockoutService = new LockoutService();
+
+module.exports = lockoutService;
@@ -0,0 +1,195 @@
+const measurementService = require('./clockwork-measurement-service');
+const relationshipService = require('./clockwork-relationship-service');
+const goalService = require('./clockwork-goal-service');
+const { METRICS } = require('./clockwork-measurement-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units follow ?units=, then the caller's saved preference
+const resolveUnitSystem = (req) => req.query.units || req.user.unit_system || 'metric';
+
+// Parse a from/to date range with a default look-back window
+const resolveRange = (query, defaultDays) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * DAY_MS);
+  return { from, to };
+};
+
+// Load a measurement the caller is allowed to see
+const loadMeasurement = async (req, res) => {
+  const measurement = await measurementService.findById(req.params.id);
+  if (!measurement) {
+    res.status(404).json({ error: 'Measurement not found' });
+    return null;
+  }
+  
+  const allowed = await relationshipService.canAccessClient(req.user, measurement.client_id);
+  if (!allowed) {
+    res.status(403).json({ error: 'You do not have access to this client' });
+    return null;
+  }
+  
+  return measurement;
+};
+
+// Refresh goal progress from new data without failing the request
+const evaluateGoals = async (clientId) => {
+  try {
+    await goalService.evaluateForClient(clientId, { source: 'measurement' });
+  } catch (error) {
+    console.error('Goal evaluation error:', error);
+  }
+};
+
+// List a client's measurements
+const listMeasurements = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    
+    const { rows, total } = await measurementService.list(req.clientId, {
+      from: req.query.from && new Date(req.query.from),
+      to: req.query.to && new Date(req.query.to),
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      measurements: rows.map(row => measurementService.format(row, unitSystem)),
+      units: measurementService.getUnits(unitSystem),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List measurements error:', error);
+    res.status(500).json({ error: 'Failed to load measurements' });
+  }
+};
+
+// Get one measurement
+const getMeasurement = async (req, res) => {
+  try {
+    const measurement = await loadMeasurement(req, res);
+    if (!measurement) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    
+    res.json({
+      measurement: measurementService.format(measurement, unitSystem),
+      units: measurementService.getUnits(unitSystem)
+    });
+  } catch (error) {
+    console.error('Get measurement error:', error);
+    res.status(500).json({ error: 'Failed to load measurement' });
+  }
+};
+
+// Record a measurement for the caller or one of their clients
+const createMeasurement = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    
+    if (!Object.keys(METRICS).some(name => req.body[name] !== undefined && req.body[name] !== null)) {
+      return res.status(400).json({ error: 'At least one measurement value is required' });
+    }
+    
+    const measurement = await measurementService.create(req.clientId, req.user.id, req.body, unitSystem);
+    
+    await evaluateGoals(req.clientId);
+    
+    res.status(201).json({
+      measurement: measurementService.format(measurement, unitSystem),
+      units: measurementService.getUnits(unitSystem),
+      message: 'Measurement recorded'
+    });
+  } catch (error) {
+    console.error('Create measurement error:', error);
+    res.status(500).json({ error: 'Failed to record measurement' });
+  }
+};
+
+// Update a measurement
+const updateMeasurement = async (req, res) => {
+  try {
+    const existing = await loadMeasurement(req, res);
+    if (!existing) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    const measurement = await measurementService.update(existing.id, req.body, unitSystem);
+    
+    await evaluateGoals(existing.client_id);
+    
+    res.json({
+      measurement: measurementService.format(measurement, unitSystem),
+      units: measurementService.getUnits(unitSystem),
+      message: 'Measurement updated'
+    });
+  } catch (error) {
+    console.error('Update measurement error:', error);
+    res.status(500).json({ error: 'Failed to update measurement' });
+  }
+};
+
+// Delete a measurement
+const deleteMeasurement = async (req, res) => {
+  try {
+    const measurement = await loadMeasurement(req, res);
+    if (!measurement) return;
+    
+    await measurementService.remove(measurement.id);
+    
+    res.json({ message: 'Measurement deleted' });
+  } catch (error) {
+    console.error('Delete measurement error:', error);
+    res.status(500).json({ error: 'Failed to delete measurement' });
+  }
+};
+
+// Aggregate a metric over a date range
+const getSeries = async (req, res) => {
+  try {
+    const { metric, interval = 'day' } = req.query;
+    const { from, to } = resolveRange(req.query, 90);
+    
+    const series = await measurementService.series(
+      req.clientId,
+      metric,
+      { from, to, interval },
+      resolveUnitSystem(req)
+    );
+    
+    res.json({ clientId: req.clientId, from, to, ...series });
+  } catch (error) {
+    console.error('Measurement series error:', error);
+    res.status(500).json({ error: 'Failed to load measurement series' });
+  }
+};
+
+// Compare every metric between two dates
+const getDeltas = async (req, res) => {
+  try {
+    const { from, to } = resolveRange(req.query, 30);
+    
+    const deltas = await measurementService.deltas(req.clientId, { from, to }, resolveUnitSystem(req));
+    
+    res.json({ clientId: req.clientId, ...deltas });
+  } catch (error) {
+    console.error('Measurement deltas error:', error);
+    res.status(500).json({ error: 'Failed to compare measurements' });
+  }
+};
+
+module.exports = {
+  listMeasurements,
+  getMeasurement,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+  getSeries,
+  getDeltas
+};
@@ -0,0 +1,330 @@
+const { db } = require('../config/database');
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_INCH = 2.54;
+
+// Stored metrics by API name, with their column and kind of unit
+const METRICS = {
+  weight: { column: 'weight_kg', unit: 'mass' },
+  height: { column: 'height_cm', unit: 'length' },
+  bodyFat: { column: 'body_fat_percentage', unit: 'percent' },
+  muscleMass: { column: 'muscle_mass_kg', unit: 'mass' },
+  waist: { column: 'waist_cm', unit: 'length' },
+  hips: { column: 'hips_cm', unit: 'length' },
+  chest: { column: 'chest_cm', unit: 'length' },
+  arms: { column: 'arms_cm', unit: 'length' },
+  thighs: { column: 'thighs_cm', unit: 'length' },
+  restingHeartRate: { column: 'resting_heart_rate', unit: 'bpm' }
+};
+
+// Metrics computed from the latest known weight, height and body fat
+const DERIVED_METRICS = {
+  bmi: {
+    unit: 'index',
+    compute: ({ weight, height }) => (weight && height ? weight / ((height / 100) ** 2) : null)
+  },
+  leanMass: {
+    unit: 'mass',
+    compute: ({ weight, bodyFat }) => (weight && bodyFat !== undefined ? weight * (1 - bodyFat / 100) : null)
+  },
+  fatMass: {
+    unit: 'mass',
+    compute: ({ weight, bodyFat }) => (weight && bodyFat !== undefined ? weight * (bodyFat / 100) : null)
+  }
+};
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const INTERVALS = ['day', 'week', 'month'];
+
+const UNIT_LABELS = {
+  metric: { mass: 'kg', length: 'cm', percent: '%', bpm: 'bpm', index: 'kg/m²' },
+  imperial: { mass: 'lb', length: 'in', percent: '%', bpm: 'bpm', index: 'kg/m²' }
+};
+
+const round = (value, places = 1) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Convert a stored metric value for display
+const fromMetric = (value, unit, unitSystem) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (unitSystem !== 'imperial') return number;
+  if (unit === 'mass') return number / KG_PER_LB;
+  if (unit === 'length') return number / CM_PER_INCH;
+  return number;
+};
+
+// Convert an input value to the stored metric unit
+const toMetric = (value, unit, unitSystem) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (unitSystem !== 'imperial') return number;
+  if (unit === 'mass') return number * KG_PER_LB;
+  if (unit === 'length') return number * CM_PER_INCH;
+  return number;
+};
+
+// Carry forward the latest known value of each stored metric
+const applyEntry = (state, row) => {
+  for (const [name, { column }] of Object.entries(METRICS)) {
+    if (row[column] !== null && row[column] !== undefined) {
+      state[name] = Number(row[column]);
+    }
+  }
+  return state;
+};
+
+// Value of a stored or derived metric from a carried-forward state
+const metricValue = (state, name) => {
+  if (METRICS[name]) {
+    return state[name] ?? null;
+  }
+  return DERIVED_METRICS[name].compute(state);
+};
+
+// Kind of unit a stored or derived metric is measured in
+const metricUnit = (name) => (METRICS[name] || DERIVED_METRICS[name]).unit;
+
+// Start of the UTC day, ISO week or month containing a date
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    interval === 'month' ? 1 : date.getUTCDate()
+  ));
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  return start;
+};
+
+// Measurement service class
+class MeasurementService {
+  // Unit labels for a unit system
+  getUnits(unitSystem) {
+    return UNIT_LABELS[unitSystem] || UNIT_LABELS.metric;
+  }
+
+  // Shape a measurement row in the caller's unit system
+  format(row, unitSystem) {
+    const values = {};
+    for (const [name, { column, unit }] of Object.entries(METRICS)) {
+      values[name] = round(fromMetric(row[column], unit, unitSystem), unit === 'bpm' ? 0 : 1);
+    }
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      recordedBy: row.recorded_by,
+      measuredAt: row.measured_at,
+      ...values,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Map API fields onto stored columns, converting to metric
+  toColumns(data, unitSystem) {
+    const columns = {};
+    for (const [name, { column, unit }] of Object.entries(METRICS)) {
+      if (data[name] !== undefined) {
+        columns[column] = toMetric(data[name], unit, unitSystem);
+      }
+    }
+
+    if (data.measuredAt !== undefined) columns.measured_at = new Date(data.measuredAt);
+    if (data.notes !== undefined) columns.notes = data.notes;
+
+    return columns;
+  }
+
+  // List a client's measurements, newest first
+  async list(clientId, { from, to, limit = 50, offset = 0 } = {}) {
+    const query = db('measurements').where({ client_id: clientId });
+
+    if (from) query.where('measured_at', '>=', from);
+    if (to) query.where('measured_at', '<=', to);
+
+    const [{ count }] = await query.clone().count('id as count');
+    const rows = await query
+      .orderBy('measured_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    return { rows, total: parseInt(count, 10) };
+  }
+
+  async findById(id) {
+    return await db('measurements').where({ id }).first();
+  }
+
+  async create(clientId, recordedBy, data, unitSystem) {
+    const [row] = await db('measurements')
+      .insert({
+        client_id: clientId,
+        recorded_by: recordedBy,
+        ...this.toColumns(data, unitSystem)
+      })
+      .returning('*');
+
+    return row;
+  }
+
+  async update(id, data, unitSystem) {
+    const [row] = await db('measurements')
+      .where({ id })
+      .update({
+        ...this.toColumns(data, unitSystem),
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    return row;
+  }
+
+  async remove(id) {
+    await db('measurements').where({ id }).del();
+  }
+
+  // Latest known value of a stored or derived metric, in metric units
+  async latestValue(clientId, metric) {
+    const [latest] = await db.select(Object.entries(METRICS).map(([name, { column }]) => db.raw(
+      '(select ?? from measurements where client_id = ? and ?? is not null order by measured_at desc limit 1) as ??',
+      [column, clientId, column, name]
+    )));
+
+    const state = {};
+    for (const name of Object.keys(METRICS)) {
+      if (latest[name] !== null) state[name] = Number(latest[name]);
+    }
+
+    return metricValue(state, metric);
+  }
+
+  // Aggregate one metric into day, week or month buckets
+  async series(clientId, metric, { from, to, interval = 'day' }, unitSystem) {
+    const stored = METRICS[metric];
+    const unit = stored ? stored.unit : DERIVED_METRICS[metric].unit;
+
+    const query = db('measurements')
+      .where({ client_id: clientId })
+      .where('measured_at', '<=', to)
+      .orderBy('measured_at', 'asc');
+
+    if (stored) {
+      // Stored metrics only need entries inside the range
+      query.where('measured_at', '>=', from).whereNotNull(stored.column);
+    }
+
+    const rows = await query;
+    const buckets = new Map();
+    const state = {};
+
+    for (const row of rows) {
+      applyEntry(state, row);
+
+      // Derived metrics are sampled whenever a new weight is recorded
+      if (new Date(row.measured_at) < from || (!stored && row.weight_kg === null)) {
+        continue;
+      }
+
+      const value = metricValue(state, metric);
+      if (value === null) {
+        continue;
+      }
+
+      const key = periodStart(new Date(row.measured_at), interval).toISOString();
+      const bucket = buckets.get(key) || { sum: 0, count: 0, min: value, max: value };
+      bucket.sum += value;
+      bucket.count += 1;
+      bucket.min = Math.min(bucket.min, value);
+      bucket.max = Math.max(bucket.max, value);
+      buckets.set(key, bucket);
+    }
+
+    const convert = (value) => round(fromMetric(value, unit, unitSystem));
+
+    return {
+      metric,
+      interval,
+      unit: this.getUnits(unitSystem)[unit],
+      points: [...buckets.entries()].map(([period, bucket]) => ({
+        period,
+        average: convert(bucket.sum / bucket.count),
+        min: convert(bucket.min),
+        max: convert(bucket.max),
+        count: bucket.count
+      }))
+    };
+  }
+
+  // Change in every metric between two dates
+  async deltas(clientId, { from, to }, unitSystem) {
+    const rows = await db('measurements')
+      .where({ client_id: clientId })
+      .where('measured_at', '<=', to)
+      .orderBy('measured_at', 'asc');
+
+    const startState = {};
+    const firstInRange = {};
+    const endState = {};
+
+    for (const row of rows) {
+      if (new Date(row.measured_at) <= from) {
+        applyEntry(startState, row);
+      } else {
+        // Fall back to the first value inside the range when nothing precedes it
+        const entry = applyEntry({}, row);
+        for (const [name, value] of Object.entries(entry)) {
+          if (firstInRange[name] === undefined) firstInRange[name] = value;
+        }
+      }
+      applyEntry(endState, row);
+    }
+
+    const start = { ...firstInRange, ...startState };
+    const units = this.getUnits(unitSystem);
+    const metrics = {};
+
+    for (const name of [...Object.keys(METRICS), ...Object.keys(DERIVED_METRICS)]) {
+      const startValue = metricValue(start, name);
+      const endValue = metricValue(endState, name);
+      if (startValue === null || endValue === null) {
+        continue;
+      }
+
+      const unit = METRICS[name]?.unit || DERIVED_METRICS[name].unit;
+      const change = endValue - startValue;
+
+      metrics[name] = {
+        start: round(fromMetric(startValue, unit, unitSystem)),
+        end: round(fromMetric(endValue, unit, unitSystem)),
+        change: round(fromMetric(change, unit, unitSystem)),
+        percentChange: startValue ? round((change / startValue) * 100) : null,
+        unit: units[unit]
+      };
+    }
+
+    return { from, to, metrics };
+  }
+}
+
+// Create and export singleton instance
+const measurementService = new MeasurementService();
+
+module.exports = measurementService;
+module.exports.METRICS = METRICS;
+module.exports.DERIVED_METRICS = DERIVED_METRICS;
+module.exports.UNIT_SYSTEMS = UNIT_SYSTEMS;
+module.exports.INTERVALS = INTERVALS;
+module.exports.toMetric = toMetric;
+module.exports.fromMetric = fromMetric;
+module.exports.metricUnit = metricUnit;
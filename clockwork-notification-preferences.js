@@ -0,0 +1,94 @@
+const { DEFAULT_TIMEZONE, toZoned } = require('./clockwork-timezone');
+
+// Channels each notification type can use, and whether they are on by default
+const NOTIFICATION_DEFAULTS = {
+  appointmentReminders: { email: true, sms: true },
+  workoutReminders: { sms: true },
+  paymentReminders: { sms: true },
+  messageDigests: { email: true, sms: false }
+};
+
+// Local times during which deferrable notifications are held back; users can change or turn them off
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+// Stored preferences may come back as a JSON string or already parsed
+const parsePreferences = (value) => {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// A user's effective preferences: defaults overlaid with their saved choices
+const resolvePreferences = (user) => {
+  const saved = parsePreferences(user.notification_preferences);
+
+  return Object.fromEntries(Object.entries(NOTIFICATION_DEFAULTS).map(([type, channels]) => [
+    type,
+    Object.fromEntries(Object.entries(channels).map(([channel, enabled]) => [
+      channel,
+      typeof saved[type]?.[channel] === 'boolean' ? saved[type][channel] : enabled
+    ]))
+  ]));
+};
+
+// Whether a notification may go out to a user on a channel
+const allowsChannel = (user, type, channel) => {
+  if (!resolvePreferences(user)[type]?.[channel]) {
+    return false;
+  }
+
+  if (channel === 'sms') {
+    return Boolean(user.phone) && !user.sms_opt_out;
+  }
+
+  return Boolean(user.email);
+};
+
+// A user's quiet hours, or null when they turned them off
+const resolveQuietHours = (user) => {
+  const saved = parsePreferences(user.notification_preferences);
+  return saved.quietHours === undefined ? DEFAULT_QUIET_HOURS : saved.quietHours;
+};
+
+// Whether it is currently inside the user's quiet hours in their own time zone
+const isQuietTime = (user, now = new Date()) => {
+  const quietHours = resolveQuietHours(user);
+  if (!quietHours) {
+    return false;
+  }
+
+  const { time } = toZoned(now, user.timezone || DEFAULT_TIMEZONE);
+  const { start, end } = quietHours;
+
+  // Windows such as 22:00-07:00 wrap past midnight
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Merge changes into saved preferences, dropping unknown types and channels; quietHours null turns them off
+const mergePreferences = (current, changes = {}, quietHours) => {
+  const merged = parsePreferences(current);
+
+  if (quietHours !== undefined) {
+    merged.quietHours = quietHours && { start: quietHours.start, end: quietHours.end };
+  }
+
+  for (const [type, channels] of Object.entries(changes)) {
+    if (!NOTIFICATION_DEFAULTS[type]) continue;
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (NOTIFICATION_DEFAULTS[type][channel] === undefined) continue;
+      merged[type] = { ...merged[type], [channel]: Boolean(enabled) };
+    }
+  }
+
+  return merged;
+};
+
+module.exports = {
+  NOTIFICATION_DEFAULTS,
+  DEFAULT_QUIET_HOURS,
+  resolvePreferences,
+  resolveQuietHours,
+  isQuietTime,
+  allowsChannel,
+  mergePreferences
+};
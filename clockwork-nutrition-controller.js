@@ -0,0 +1,209 @@
+const nutritionService = require('./clockwork-nutrition-service');
+const relationshipService = require('./clockwork-relationship-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ADHERENCE_DAYS = 366;
+const MAX_LOG_DAYS = 31; // Raw entries, so a shorter window than the aggregated adherence
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// A from/to range runs forwards and spans at most maxDays
+const isValidRange = ({ from, to }, maxDays) => from <= to && Date.parse(to) - Date.parse(from) <= maxDays * DAY_MS;
+
+// Parse a from/to date range with a default look-back window
+const resolveRange = (query, defaultDays) => {
+  const to = query.to || toDateString(new Date());
+  const from = query.from || toDateString(new Date(Date.parse(`${to}T00:00:00Z`) - (defaultDays - 1) * DAY_MS));
+  return { from, to };
+};
+
+// Shape a food for API responses
+const formatFood = (food) => ({
+  id: food.id,
+  name: food.name,
+  brand: food.brand,
+  servingSize: Number(food.serving_size),
+  servingUnit: food.serving_unit,
+  calories: Number(food.calories),
+  protein: Number(food.protein_g),
+  carbs: Number(food.carbs_g),
+  fat: Number(food.fat_g),
+  fiber: Number(food.fiber_g)
+});
+
+// Shape a food-log entry for API responses
+const formatEntry = (entry) => ({
+  id: entry.id,
+  foodId: entry.food_id,
+  name: entry.name,
+  date: entry.date,
+  meal: entry.meal,
+  servings: Number(entry.servings),
+  calories: Number(entry.calories),
+  protein: Number(entry.protein_g),
+  carbs: Number(entry.carbs_g),
+  fat: Number(entry.fat_g),
+  fiber: Number(entry.fiber_g),
+  water: entry.water_ml,
+  notes: entry.notes,
+  loggedBy: entry.logged_by,
+  createdAt: entry.created_at
+});
+
+// Get a client's plan with intake for one day
+const getNutrition = async (req, res) => {
+  try {
+    const date = req.query.date || toDateString(new Date());
+    const { plan, nutrients } = await nutritionService.getDay(req.clientId, date);
+    
+    if (!plan) {
+      return res.status(404).json({ error: 'No nutrition plan found' });
+    }
+    
+    res.json({
+      nutrition: {
+        id: plan.id,
+        clientId: plan.clientId,
+        assignedBy: plan.assignedBy,
+        date,
+        ...nutrients,
+        mealPlan: plan.mealPlan,
+        restrictions: plan.restrictions,
+        supplements: plan.supplements,
+        updatedAt: plan.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get nutrition error:', error);
+    res.status(500).json({ error: 'Failed to load nutrition plan' });
+  }
+};
+
+// Set a client's targets and meal plan
+const updateNutrition = async (req, res) => {
+  try {
+    const plan = await nutritionService.updatePlan(req.clientId, req.user.id, req.body);
+    
+    res.json({
+      nutrition: plan,
+      message: 'Nutrition plan updated'
+    });
+  } catch (error) {
+    console.error('Update nutrition error:', error);
+    res.status(500).json({ error: 'Failed to update nutrition plan' });
+  }
+};
+
+// Search the food database
+const searchFoods = async (req, res) => {
+  try {
+    const foods = await nutritionService.searchFoods(req.query.search);
+    
+    res.json({ foods: foods.map(formatFood) });
+  } catch (error) {
+    console.error('Search foods error:', error);
+    res.status(500).json({ error: 'Failed to search foods' });
+  }
+};
+
+// Add a food to the database
+const createFood = async (req, res) => {
+  try {
+    const food = await nutritionService.createFood(req.user, req.body);
+    
+    res.status(201).json({
+      food: formatFood(food),
+      message: 'Food added'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create food error:', error);
+    res.status(500).json({ error: 'Failed to add food' });
+  }
+};
+
+// List food-log entries for a date range
+const listEntries = async (req, res) => {
+  try {
+    const { from, to } = resolveRange(req.query, 1);
+    
+    if (!isValidRange({ from, to }, MAX_LOG_DAYS)) {
+      return res.status(400).json({ error: `Range must be between 1 and ${MAX_LOG_DAYS} days` });
+    }
+    
+    const entries = await nutritionService.listEntries(req.clientId, from, to);
+    
+    res.json({ from, to, entries: entries.map(formatEntry) });
+  } catch (error) {
+    console.error('List food logs error:', error);
+    res.status(500).json({ error: 'Failed to load food log' });
+  }
+};
+
+// Log a food or water entry
+const createEntry = async (req, res) => {
+  try {
+    const entry = await nutritionService.logEntry(req.clientId, req.user.id, req.body);
+    
+    res.status(201).json({
+      entry: formatEntry(entry),
+      message: 'Entry logged'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create food log error:', error);
+    res.status(500).json({ error: 'Failed to log entry' });
+  }
+};
+
+// Remove a food-log entry
+const deleteEntry = async (req, res) => {
+  try {
+    const entry = await nutritionService.findEntry(req.params.id);
+    const allowed = entry && await relationshipService.canAccessClient(req.user, entry.client_id);
+    if (!allowed) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    
+    await nutritionService.deleteEntry(entry.id);
+    
+    res.json({ message: 'Entry deleted' });
+  } catch (error) {
+    console.error('Delete food log error:', error);
+    res.status(500).json({ error: 'Failed to delete entry' });
+  }
+};
+
+// Adherence to targets per day or per week
+const getAdherence = async (req, res) => {
+  try {
+    const { period = 'day' } = req.query;
+    const { from, to } = resolveRange(req.query, period === 'week' ? 28 : 7);
+    
+    if (!isValidRange({ from, to }, MAX_ADHERENCE_DAYS)) {
+      return res.status(400).json({ error: `Range must be between 1 and ${MAX_ADHERENCE_DAYS} days` });
+    }
+    
+    const adherence = await nutritionService.adherence(req.clientId, { from, to, period });
+    
+    res.json({ clientId: req.clientId, from, to, ...adherence });
+  } catch (error) {
+    console.error('Nutrition adherence error:', error);
+    res.status(500).json({ error: 'Failed to load adherence' });
+  }
+};
+
+module.exports = {
+  getNutrition,
+  updateNutrition,
+  searchFoods,
+  createFood,
+  listEntries,
+  createEntry,
+  deleteEntry,
+  getAdherence
+};
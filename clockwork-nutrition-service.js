@@ -0,0 +1,311 @@
+const { db } = require('../config/database');
+
+// Plan nutrients mapped to their food-log columns
+const NUTRIENTS = {
+  calories: 'calories',
+  protein: 'protein_g',
+  carbs: 'carbs_g',
+  fat: 'fat_g',
+  fiber: 'fiber_g',
+  water: 'water_ml'
+};
+
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Within this fraction of a target counts as fully on target
+const ADHERENCE_TOLERANCE = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build an error carrying an HTTP status
+const nutritionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Plan columns may come back as JSON strings or already parsed
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Every date from one day to another, inclusive
+const eachDate = (from, to) => {
+  const dates = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += DAY_MS) {
+    dates.push(toDateString(new Date(time)));
+  }
+  return dates;
+};
+
+// Monday of the ISO week containing a date
+const weekStart = (dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return toDateString(date);
+};
+
+// How close a day's intake came to its target, 0-100
+const nutrientScore = (actual, target) => {
+  const deviation = Math.abs(actual / target - 1);
+  if (deviation <= ADHERENCE_TOLERANCE) return 100;
+  return Math.max(0, Math.round((1 - (deviation - ADHERENCE_TOLERANCE)) * 100));
+};
+
+// Nutrition service class
+class NutritionService {
+  // A client's plan with targets and meal plan
+  async getPlan(clientId) {
+    const plan = await db('nutrition').where({ client_id: clientId }).first();
+    if (!plan) {
+      return null;
+    }
+
+    const targets = {};
+    for (const nutrient of Object.keys(NUTRIENTS)) {
+      targets[nutrient] = Number(parseJson(plan[nutrient], {}).target || 0);
+    }
+
+    return {
+      id: plan.id,
+      clientId: plan.client_id,
+      assignedBy: plan.assigned_by,
+      targets,
+      mealPlan: parseJson(plan.meal_plan, {}),
+      restrictions: parseJson(plan.restrictions, []),
+      supplements: parseJson(plan.supplements, []),
+      updatedAt: plan.updated_at
+    };
+  }
+
+  // Set targets and the meal plan, creating the plan if needed
+  async updatePlan(clientId, assignedBy, { targets = {}, mealPlan, restrictions, supplements }) {
+    const existing = await this.getPlan(clientId);
+    const merged = { ...(existing?.targets || {}), ...targets };
+
+    const row = { assigned_by: assignedBy, updated_at: new Date() };
+    for (const nutrient of Object.keys(NUTRIENTS)) {
+      // Only targets are stored; intake is summed from food logs
+      row[nutrient] = JSON.stringify({ target: merged[nutrient] || 0 });
+    }
+    if (mealPlan !== undefined) row.meal_plan = JSON.stringify(mealPlan);
+    if (restrictions !== undefined) row.restrictions = JSON.stringify(restrictions);
+    if (supplements !== undefined) row.supplements = JSON.stringify(supplements);
+
+    if (existing) {
+      await db('nutrition').where({ client_id: clientId }).update(row);
+    } else {
+      await db('nutrition').insert({
+        client_id: clientId,
+        meal_plan: JSON.stringify(mealPlan || { breakfast: '', lunch: '', dinner: '', snacks: '' }),
+        restrictions: JSON.stringify(restrictions || []),
+        supplements: JSON.stringify(supplements || []),
+        ...row
+      });
+    }
+
+    return await this.getPlan(clientId);
+  }
+
+  // Search the local food database
+  async searchFoods(search, limit = 25) {
+    const query = db('foods').orderBy('name', 'asc').limit(limit);
+
+    if (search) {
+      query.where(function () {
+        this.whereILike('name', `%${search}%`).orWhereILike('brand', `%${search}%`);
+      });
+    }
+
+    return await query;
+  }
+
+  // Add a food to the local database
+  async createFood(user, { name, brand, servingSize, servingUnit, calories, protein, carbs, fat, fiber }) {
+    const existing = await db('foods')
+      .whereRaw("lower(name) = ? and lower(coalesce(brand, '')) = ?", [name.toLowerCase(), (brand || '').toLowerCase()])
+      .first();
+    if (existing) {
+      throw nutritionError(409, 'This food is already in the database');
+    }
+
+    const [food] = await db('foods')
+      .insert({
+        name,
+        brand,
+        serving_size: servingSize,
+        serving_unit: servingUnit,
+        calories,
+        protein_g: protein,
+        carbs_g: carbs,
+        fat_g: fat,
+        fiber_g: fiber,
+        created_by: user.id
+      })
+      .returning('*');
+
+    return food;
+  }
+
+  // Log a food (by reference or entered by hand) or water intake
+  async logEntry(clientId, loggedBy, { foodId, servings = 1, meal = 'snack', loggedOn, name, calories, protein, carbs, fat, fiber, water, notes }) {
+    const entry = {
+      client_id: clientId,
+      logged_by: loggedBy,
+      logged_on: loggedOn || toDateString(new Date()),
+      meal,
+      servings,
+      water_ml: water || 0,
+      notes
+    };
+
+    if (foodId) {
+      const food = await db('foods').where({ id: foodId }).first();
+      if (!food) {
+        throw nutritionError(404, 'Food not found');
+      }
+
+      Object.assign(entry, {
+        food_id: food.id,
+        name: food.brand ? `${food.name} (${food.brand})` : food.name,
+        calories: Number(food.calories) * servings,
+        protein_g: Number(food.protein_g) * servings,
+        carbs_g: Number(food.carbs_g) * servings,
+        fat_g: Number(food.fat_g) * servings,
+        fiber_g: Number(food.fiber_g) * servings
+      });
+    } else {
+      Object.assign(entry, {
+        name: name || (water ? 'Water' : 'Custom entry'),
+        calories: calories || 0,
+        protein_g: protein || 0,
+        carbs_g: carbs || 0,
+        fat_g: fat || 0,
+        fiber_g: fiber || 0
+      });
+    }
+
+    const [log] = await db('food_logs').insert(entry).returning('*');
+    return { ...log, date: entry.logged_on };
+  }
+
+  async findEntry(id) {
+    return await db('food_logs').where({ id }).first();
+  }
+
+  async deleteEntry(id) {
+    await db('food_logs').where({ id }).del();
+  }
+
+  // Food-log entries for a range of days
+  async listEntries(clientId, from, to) {
+    return await db('food_logs')
+      .select('*', db.raw("to_char(logged_on, 'YYYY-MM-DD') as date"))
+      .where({ client_id: clientId })
+      .whereBetween('logged_on', [from, to])
+      .orderBy(['logged_on', 'created_at']);
+  }
+
+  // Summed intake per day, keyed by date
+  async dailyTotals(clientId, from, to) {
+    const rows = await db('food_logs')
+      .select(
+        db.raw("to_char(logged_on, 'YYYY-MM-DD') as date"),
+        db.raw('count(*) as entries'),
+        ...Object.entries(NUTRIENTS).map(([nutrient, column]) => db.raw('sum(??) as ??', [column, nutrient]))
+      )
+      .where({ client_id: clientId })
+      .whereBetween('logged_on', [from, to])
+      .groupBy('logged_on');
+
+    const totals = new Map();
+    for (const row of rows) {
+      const day = { entries: Number(row.entries) };
+      for (const nutrient of Object.keys(NUTRIENTS)) {
+        day[nutrient] = round(Number(row[nutrient] || 0));
+      }
+      totals.set(row.date, day);
+    }
+
+    return totals;
+  }
+
+  // Intake for one day against the plan's targets
+  async getDay(clientId, date) {
+    const plan = await this.getPlan(clientId);
+    const totals = (await this.dailyTotals(clientId, date, date)).get(date) || {};
+
+    const nutrients = {};
+    for (const nutrient of Object.keys(NUTRIENTS)) {
+      nutrients[nutrient] = {
+        target: plan?.targets[nutrient] || 0,
+        current: totals[nutrient] || 0
+      };
+    }
+
+    return { plan, date, nutrients };
+  }
+
+  // Adherence scores per day, or averaged per ISO week
+  async adherence(clientId, { from, to, period = 'day' }) {
+    const plan = await this.getPlan(clientId);
+    const targeted = Object.keys(NUTRIENTS).filter(nutrient => plan?.targets[nutrient] > 0);
+    const totals = await this.dailyTotals(clientId, from, to);
+
+    const days = eachDate(from, to).map((date) => {
+      const day = totals.get(date);
+      const scores = {};
+      for (const nutrient of targeted) {
+        scores[nutrient] = day ? nutrientScore(day[nutrient], plan.targets[nutrient]) : 0;
+      }
+
+      const values = Object.values(scores);
+      return {
+        date,
+        logged: Boolean(day),
+        score: values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+        nutrients: scores
+      };
+    });
+
+    if (period === 'day') {
+      return { period, targets: plan?.targets || null, days };
+    }
+
+    const weeks = new Map();
+    for (const day of days) {
+      const key = weekStart(day.date);
+      const week = weeks.get(key) || { weekStart: key, days: 0, daysLogged: 0, scoreTotal: 0, scoredDays: 0 };
+      week.days += 1;
+      week.daysLogged += day.logged ? 1 : 0;
+      if (day.score !== null) {
+        week.scoreTotal += day.score;
+        week.scoredDays += 1;
+      }
+      weeks.set(key, week);
+    }
+
+    return {
+      period,
+      targets: plan?.targets || null,
+      weeks: [...weeks.values()].map(week => ({
+        weekStart: week.weekStart,
+        days: week.days,
+        daysLogged: week.daysLogged,
+        score: week.scoredDays > 0 ? Math.round(week.scoreTotal / week.scoredDays) : null
+      }))
+    };
+  }
+}
+
+// Create and export singleton instance
+const nutritionService = new NutritionService();
+
+module.exports = nutritionService;
+module.exports.NUTRIENTS = NUTRIENTS;
+module.exports.MEALS = MEALS;
@@ -0,0 +1,119 @@
+const EventEmitter = require('events');
+const { db } = require('../config/database');
+const relationshipService = require('./clockwork-relationship-service');
+
+// How often connected clients should send a heartbeat
+const HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS, 10) || 25;
+
+// A device that misses two heartbeats in a row is treated as gone
+const HEARTBEAT_TIMEOUT_MS = HEARTBEAT_INTERVAL_SECONDS * 2 * 1000;
+
+// How long a user stays online after their last device drops, so reloads and brief network loss don't flap
+const GRACE_PERIOD_MS = (parseInt(process.env.PRESENCE_GRACE_SECONDS, 10) || 30) * 1000;
+
+// Presence service class; emits 'change' with { userId, online, lastSeen }
+class PresenceService extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = new Map(); // userId -> Map(deviceId -> last heartbeat)
+    this.offlineTimers = new Map(); // userId -> pending offline timeout
+  }
+
+  isOnline(userId) {
+    return this.devices.has(userId) || this.offlineTimers.has(userId);
+  }
+
+  // A device connected; the user comes online unless they already were or are inside the grace period
+  async connect(userId, deviceId, now = Date.now()) {
+    const wasOnline = this.isOnline(userId);
+
+    clearTimeout(this.offlineTimers.get(userId));
+    this.offlineTimers.delete(userId);
+
+    const devices = this.devices.get(userId) || new Map();
+    devices.set(deviceId, now);
+    this.devices.set(userId, devices);
+
+    if (!wasOnline) {
+      await this.setOnline(userId, true);
+    }
+  }
+
+  heartbeat(userId, deviceId, now = Date.now()) {
+    const devices = this.devices.get(userId);
+    if (devices?.has(deviceId)) {
+      devices.set(deviceId, now);
+    }
+  }
+
+  // A device went away; the user goes offline once the grace period passes with no device back
+  disconnect(userId, deviceId) {
+    const devices = this.devices.get(userId);
+    if (!devices?.delete(deviceId) || devices.size > 0) {
+      return;
+    }
+
+    this.devices.delete(userId);
+
+    const timer = setTimeout(() => {
+      this.offlineTimers.delete(userId);
+      this.setOnline(userId, false).catch(error => console.error('Presence update error:', error));
+    }, GRACE_PERIOD_MS);
+    timer.unref();
+
+    this.offlineTimers.set(userId, timer);
+  }
+
+  // Devices whose heartbeat has lapsed
+  staleDevices(now = Date.now()) {
+    const stale = [];
+
+    for (const [userId, devices] of this.devices) {
+      for (const [deviceId, lastHeartbeat] of devices) {
+        if (now - lastHeartbeat > HEARTBEAT_TIMEOUT_MS) {
+          stale.push({ userId, deviceId });
+        }
+      }
+    }
+
+    return stale;
+  }
+
+  async setOnline(userId, online) {
+    const lastSeen = new Date();
+    await db('users').where({ id: userId }).update({ is_online: online, last_seen: lastSeen });
+
+    this.emit('change', { userId, online, lastSeen });
+  }
+
+  // Everyone who may see a user's presence: their specialists and their clients
+  async getContactIds(userId) {
+    const [clientIds, specialistIds] = await Promise.all([
+      relationshipService.getClientIds(userId),
+      relationshipService.getSpecialistIds(userId)
+    ]);
+
+    return [...new Set([...clientIds, ...specialistIds])];
+  }
+
+  // Presence of a user's specialists and clients
+  async listContacts(userId) {
+    const ids = await this.getContactIds(userId);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return await db('users').whereIn('id', ids).select('id', 'name', 'is_online', 'last_seen');
+  }
+
+  // Nobody is connected when the process starts, so clear flags left by the previous run
+  async reset() {
+    await db('users').where({ is_online: true }).update({ is_online: false });
+  }
+}
+
+// Create and export singleton instance
+const presenceService = new PresenceService();
+
+module.exports = presenceService;
+module.exports.HEARTBEAT_INTERVAL_SECONDS = HEARTBEAT_INTERVAL_SECONDS;
@@ -0,0 +1,284 @@
+const programService = require('./clockwork-program-service');
+const relationshipService = require('./clockwork-relationship-service');
+const { formatLoad } = require('./clockwork-workout-service');
+const { toMetric } = require('./clockwork-measurement-service');
+
+// Loads follow ?units=, then the caller's saved preference
+const resolveUnitSystem = (req) => req.query.units || req.user.unit_system || 'metric';
+
+const loadUnit = (unitSystem) => (unitSystem === 'imperial' ? 'lb' : 'kg');
+
+// Store the weekly increment in kg whatever unit it was entered in
+const toStoredProgression = (progression, unitSystem) => {
+  if (!progression) {
+    return progression;
+  }
+  
+  const { increment, ...rest } = progression;
+  return {
+    ...rest,
+    incrementKg: increment === undefined ? 0 : toMetric(increment, 'mass', unitSystem)
+  };
+};
+
+// Shape a program for API responses
+const formatProgram = (program, unitSystem) => ({
+  id: program.id,
+  name: program.name,
+  description: program.description,
+  durationWeeks: program.duration_weeks,
+  progression: {
+    increment: formatLoad(program.progression.incrementKg || 0, unitSystem),
+    exerciseIds: program.progression.exerciseIds || [],
+    deloadEvery: program.progression.deloadEvery || null,
+    deloadPercent: program.progression.deloadPercent || null
+  },
+  workouts: program.workouts?.map(entry => ({
+    workoutId: entry.workout_id,
+    workoutName: entry.workout_name,
+    week: entry.week,
+    day: entry.day
+  })),
+  loadUnit: loadUnit(unitSystem),
+  createdBy: program.created_by,
+  createdAt: program.created_at,
+  updatedAt: program.updated_at
+});
+
+// Shape a program assignment for API responses
+const formatAssignment = (assignment) => ({
+  id: assignment.id,
+  programId: assignment.program_id,
+  programName: assignment.program_name,
+  durationWeeks: assignment.duration_weeks,
+  clientId: assignment.client_id,
+  startDate: assignment.start_date,
+  status: assignment.status,
+  createdAt: assignment.created_at
+});
+
+// Load a program the caller may change
+const loadEditableProgram = async (req, res) => {
+  const program = await programService.findProgram(req.params.id);
+  if (!program) {
+    res.status(404).json({ error: 'Program not found' });
+    return null;
+  }
+  
+  if (!programService.canEditProgram(req.user, program)) {
+    res.status(403).json({ error: 'Only the creator can change this program' });
+    return null;
+  }
+  
+  return program;
+};
+
+// Load a program assignment visible to the client, their specialists or the program's author
+const loadAssignment = async (req, res) => {
+  const assignment = await programService.findAssignment(req.params.id);
+  const visible = assignment && (assignment.program_created_by === req.user.id
+    || await relationshipService.canAccessClient(req.user, assignment.client_id));
+  
+  if (!visible) {
+    res.status(404).json({ error: 'Program assignment not found' });
+    return null;
+  }
+  
+  return assignment;
+};
+
+// List the caller's programs
+const listPrograms = async (req, res) => {
+  try {
+    const programs = await programService.listPrograms(req.user.id);
+    
+    res.json({ programs: programs.map(program => formatProgram(program, resolveUnitSystem(req))) });
+  } catch (error) {
+    console.error('List programs error:', error);
+    res.status(500).json({ error: 'Failed to load programs' });
+  }
+};
+
+// Get a program with its weekly schedule
+const getProgram = async (req, res) => {
+  try {
+    const program = await loadEditableProgram(req, res);
+    if (!program) return;
+    
+    res.json({ program: formatProgram(program, resolveUnitSystem(req)) });
+  } catch (error) {
+    console.error('Get program error:', error);
+    res.status(500).json({ error: 'Failed to load program' });
+  }
+};
+
+// Create a program
+const createProgram = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const program = await programService.createProgram(req.user, {
+      ...req.body,
+      progression: toStoredProgression(req.body.progression || {}, unitSystem)
+    });
+    
+    res.status(201).json({
+      program: formatProgram(program, unitSystem),
+      message: 'Program created'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create program error:', error);
+    res.status(500).json({ error: 'Failed to create program' });
+  }
+};
+
+// Update a program
+const updateProgram = async (req, res) => {
+  try {
+    const existing = await loadEditableProgram(req, res);
+    if (!existing) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    const program = await programService.updateProgram(req.user, existing, {
+      ...req.body,
+      progression: toStoredProgression(req.body.progression, unitSystem)
+    });
+    
+    res.json({
+      program: formatProgram(program, unitSystem),
+      message: 'Program updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update program error:', error);
+    res.status(500).json({ error: 'Failed to update program' });
+  }
+};
+
+// Delete a program along with its assignments
+const deleteProgram = async (req, res) => {
+  try {
+    const program = await loadEditableProgram(req, res);
+    if (!program) return;
+    
+    await programService.deleteProgram(program.id);
+    
+    res.json({ message: 'Program deleted' });
+  } catch (error) {
+    console.error('Delete program error:', error);
+    res.status(500).json({ error: 'Failed to delete program' });
+  }
+};
+
+// Assign a program to a client
+const assignProgram = async (req, res) => {
+  try {
+    const program = await loadEditableProgram(req, res);
+    if (!program) return;
+    
+    const assignment = await programService.assign(program, req.user, req.body);
+    
+    res.status(201).json({
+      assignment: {
+        ...formatAssignment({ ...assignment, program_name: program.name, duration_weeks: program.duration_weeks }),
+        sessionCount: assignment.session_count
+      },
+      message: 'Program assigned'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Assign program error:', error);
+    res.status(500).json({ error: 'Failed to assign program' });
+  }
+};
+
+// List a client's programs
+const listAssignments = async (req, res) => {
+  try {
+    const assignments = await programService.listAssignments(req.clientId);
+    
+    res.json({ assignments: assignments.map(formatAssignment) });
+  } catch (error) {
+    console.error('List program assignments error:', error);
+    res.status(500).json({ error: 'Failed to load programs' });
+  }
+};
+
+// Calendar of dated sessions for an assigned program
+const getAssignment = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req, res);
+    if (!assignment) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    const { sessions, adjustments } = await programService.getCalendar(assignment.id);
+    
+    res.json({
+      assignment: formatAssignment(assignment),
+      sessions: sessions.map(session => ({
+        id: session.id,
+        workoutId: session.workout_id,
+        workoutName: session.workout_name,
+        week: session.program_week,
+        scheduledFor: session.scheduled_for,
+        status: session.status,
+        completedAt: session.completed_at,
+        prescription: (session.prescription || []).map(target => ({
+          exerciseId: target.exerciseId,
+          sets: target.sets,
+          reps: target.reps,
+          load: formatLoad(target.loadKg, unitSystem),
+          restSeconds: target.restSeconds
+        }))
+      })),
+      adjustments: adjustments.map(adjustment => ({
+        id: adjustment.id,
+        sessionId: adjustment.workout_assignment_id,
+        reason: adjustment.reason,
+        details: adjustment.details,
+        createdAt: adjustment.created_at
+      })),
+      loadUnit: loadUnit(unitSystem)
+    });
+  } catch (error) {
+    console.error('Get program assignment error:', error);
+    res.status(500).json({ error: 'Failed to load program calendar' });
+  }
+};
+
+// Cancel an assigned program
+const cancelAssignment = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req, res);
+    if (!assignment) return;
+    
+    if (!programService.canEditProgram(req.user, { created_by: assignment.program_created_by })) {
+      return res.status(403).json({ error: 'Only the program author can cancel it' });
+    }
+    
+    await programService.cancelAssignment(assignment.id);
+    
+    res.json({ message: 'Program cancelled' });
+  } catch (error) {
+    console.error('Cancel program assignment error:', error);
+    res.status(500).json({ error: 'Failed to cancel program' });
+  }
+};
+
+module.exports = {
+  listPrograms,
+  getProgram,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  assignProgram,
+  listAssignments,
+  getAssignment,
+  cancelAssignment
+};
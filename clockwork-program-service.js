@@ -0,0 +1,491 @@
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const relationshipService = require('./clockwork-relationship-service');
+const workoutService = require('./clockwork-workout-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DELOAD_PERCENT = 60;
+
+// Build an error carrying an HTTP status
+const programError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateString, days) => toDateString(new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS));
+
+// Deload weeks fall on every Nth week of the program
+const isDeloadWeek = (week, progression) => Boolean(progression.deloadEvery) && week % progression.deloadEvery === 0;
+
+// Progression steps earned before a week; deload weeks don't count
+const progressionSteps = (week, progression) => {
+  let steps = 0;
+  for (let previous = 1; previous < week; previous++) {
+    if (!isDeloadWeek(previous, progression)) steps++;
+  }
+  return steps;
+};
+
+// Sets, reps and load for one workout in a given program week
+const prescribe = (exercises, week, progression) => {
+  const steps = progressionSteps(week, progression);
+  const deload = isDeloadWeek(week, progression);
+  const mainLifts = progression.exerciseIds?.length ? new Set(progression.exerciseIds) : null;
+
+  return exercises.map((exercise) => {
+    let load = exercise.load_kg === null ? null : Number(exercise.load_kg);
+    const progressed = load !== null && (!mainLifts || mainLifts.has(exercise.exercise_id));
+
+    if (progressed) {
+      load += (progression.incrementKg || 0) * steps;
+    }
+    if (load !== null && deload) {
+      load *= (progression.deloadPercent || DEFAULT_DELOAD_PERCENT) / 100;
+    }
+
+    return {
+      exerciseId: exercise.exercise_id,
+      sets: exercise.sets,
+      reps: exercise.reps,
+      loadKg: load === null ? null : Math.round(load * 100) / 100,
+      restSeconds: exercise.rest_seconds,
+      progressed
+    };
+  });
+};
+
+// Program service class
+class ProgramService {
+  // Load a program with its weekly schedule
+  async findProgram(id) {
+    const program = await db('programs').where({ id }).first();
+    if (!program) {
+      return null;
+    }
+
+    program.workouts = await db('program_workouts')
+      .join('workouts', 'workouts.id', 'program_workouts.workout_id')
+      .select('program_workouts.*', 'workouts.name as workout_name')
+      .where({ program_id: id })
+      .orderBy(['week', 'day']);
+
+    return program;
+  }
+
+  async listPrograms(createdBy) {
+    return await db('programs')
+      .where({ created_by: createdBy })
+      .orderBy('updated_at', 'desc');
+  }
+
+  // Only the creator or an admin may change or assign a program
+  canEditProgram(user, program) {
+    return program.created_by === user.id || hasPermission(user, 'users:update:any');
+  }
+
+  // Check the schedule fits the program and uses workouts the caller can see
+  async validateSchedule(user, durationWeeks, workouts) {
+    if (workouts.some(entry => entry.week > durationWeeks)) {
+      throw programError(400, 'Scheduled week is beyond the program duration');
+    }
+
+    const workoutIds = [...new Set(workouts.map(entry => entry.workoutId))];
+    const available = await db('workouts').whereIn('id', workoutIds).select('id', 'created_by');
+    if (available.length !== workoutIds.length) {
+      throw programError(400, 'Unknown workout in program');
+    }
+
+    if (available.some(workout => !workoutService.canEditWorkout(user, workout))) {
+      throw programError(403, 'Programs can only use workouts you created');
+    }
+  }
+
+  async createProgram(user, { name, description, durationWeeks, progression = {}, workouts = [] }) {
+    await this.validateSchedule(user, durationWeeks, workouts);
+
+    const programId = await db.transaction(async (trx) => {
+      const [program] = await trx('programs')
+        .insert({
+          created_by: user.id,
+          name,
+          description,
+          duration_weeks: durationWeeks,
+          progression: JSON.stringify(progression)
+        })
+        .returning(['id']);
+
+      if (workouts.length > 0) {
+        await trx('program_workouts').insert(workouts.map(entry => ({
+          program_id: program.id,
+          workout_id: entry.workoutId,
+          week: entry.week,
+          day: entry.day
+        })));
+      }
+
+      return program.id;
+    });
+
+    return await this.findProgram(programId);
+  }
+
+  // Update a program; a supplied schedule replaces the existing one. Existing assignments keep their dates
+  async updateProgram(user, program, { name, description, durationWeeks, progression, workouts }) {
+    const weeks = durationWeeks ?? program.duration_weeks;
+    await this.validateSchedule(user, weeks, workouts ?? program.workouts.map(entry => ({
+      workoutId: entry.workout_id,
+      week: entry.week
+    })));
+
+    await db.transaction(async (trx) => {
+      const updates = { updated_at: new Date() };
+      if (name !== undefined) updates.name = name;
+      if (description !== undefined) updates.description = description;
+      if (durationWeeks !== undefined) updates.duration_weeks = durationWeeks;
+      if (progression !== undefined) updates.progression = JSON.stringify(progression);
+
+      await trx('programs').where({ id: program.id }).update(updates);
+
+      if (workouts !== undefined) {
+        await trx('program_workouts').where({ program_id: program.id }).del();
+        if (workouts.length > 0) {
+          await trx('program_workouts').insert(workouts.map(entry => ({
+            program_id: program.id,
+            workout_id: entry.workoutId,
+            week: entry.week,
+            day: entry.day
+          })));
+        }
+      }
+    });
+
+    return await this.findProgram(program.id);
+  }
+
+  async deleteProgram(id) {
+    await db('programs').where({ id }).del();
+  }
+
+  // Assign a program and put every session on the client's calendar
+  async assign(program, specialist, { clientId, startDate }) {
+    const client = await db('users').where({ id: clientId }).first();
+    if (!client) {
+      throw programError(404, 'Client not found');
+    }
+
+    const allowed = clientId === specialist.id
+      || hasPermission(specialist, 'users:update:any')
+      || await relationshipService.isActive(specialist.id, clientId);
+    if (!allowed) {
+      throw programError(403, 'You can only assign programs to your own clients');
+    }
+
+    if (program.workouts.length === 0) {
+      throw programError(400, 'Program has no scheduled workouts');
+    }
+
+    // Template exercises for each distinct workout in the program
+    const templates = new Map();
+    for (const entry of program.workouts) {
+      if (!templates.has(entry.workout_id)) {
+        templates.set(entry.workout_id, await workoutService.findWorkout(entry.workout_id));
+      }
+    }
+
+    const start = startDate || toDateString(new Date());
+
+    const programAssignment = await db.transaction(async (trx) => {
+      const [assignment] = await trx('program_assignments')
+        .insert({
+          program_id: program.id,
+          client_id: clientId,
+          assigned_by: specialist.id,
+          start_date: start
+        })
+        .returning('*');
+
+      await trx('workout_assignments').insert(program.workouts.map(entry => ({
+        workout_id: entry.workout_id,
+        client_id: clientId,
+        assigned_by: specialist.id,
+        scheduled_for: addDays(start, (entry.week - 1) * 7 + (entry.day - 1)),
+        program_assignment_id: assignment.id,
+        program_week: entry.week,
+        prescription: JSON.stringify(prescribe(templates.get(entry.workout_id).exercises, entry.week, program.progression))
+      })));
+
+      return assignment;
+    });
+
+    if (clientId !== specialist.id) {
+      try {
+        await emailService.sendWorkoutAssignedEmail(client.email, client.name, specialist.name, program.name);
+      } catch (error) {
+        // The program stands even if the notification fails
+        console.error('Program assigned email error:', error);
+      }
+    }
+
+    return { ...programAssignment, session_count: program.workouts.length };
+  }
+
+  // A client's program assignments
+  async listAssignments(clientId) {
+    return await db('program_assignments')
+      .join('programs', 'programs.id', 'program_assignments.program_id')
+      .select('program_assignments.*', 'programs.name as program_name', 'programs.duration_weeks')
+      .where('program_assignments.client_id', clientId)
+      .orderBy('program_assignments.start_date', 'desc');
+  }
+
+  async findAssignment(id) {
+    return await db('program_assignments')
+      .join('programs', 'programs.id', 'program_assignments.program_id')
+      .select(
+        'program_assignments.*',
+        'programs.name as program_name',
+        'programs.duration_weeks',
+        'programs.progression',
+        'programs.created_by as program_created_by'
+      )
+      .where('program_assignments.id', id)
+      .first();
+  }
+
+  // Dated sessions and adaptation history for a program assignment
+  async getCalendar(programAssignmentId) {
+    const sessions = await db('workout_assignments')
+      .join('workouts', 'workouts.id', 'workout_assignments.workout_id')
+      .select('workout_assignments.*', 'workouts.name as workout_name')
+      .where({ program_assignment_id: programAssignmentId })
+      .orderBy('scheduled_for', 'asc');
+
+    const adjustments = await db('program_adjustments')
+      .where({ program_assignment_id: programAssignmentId })
+      .orderBy('created_at', 'asc');
+
+    return { sessions, adjustments };
+  }
+
+  // Cancel a program and drop the sessions not yet done
+  async cancelAssignment(programAssignmentId) {
+    await db.transaction(async (trx) => {
+      await trx('workout_assignments')
+        .where({ program_assignment_id: programAssignmentId, status: 'assigned' })
+        .del();
+
+      await trx('program_assignments')
+        .where({ id: programAssignmentId })
+        .update({ status: 'cancelled', updated_at: new Date() });
+    });
+  }
+
+  // Hold progression on lifts that fell short of the prescription
+  async handleCompletion(workoutAssignment, loggedSets) {
+    if (!workoutAssignment?.program_assignment_id) {
+      return [];
+    }
+
+    const programAssignment = await this.findAssignment(workoutAssignment.program_assignment_id);
+    const increment = programAssignment.progression.incrementKg || 0;
+    const adjustments = [];
+
+    for (const target of workoutAssignment.prescription || []) {
+      if (!target.progressed || !target.reps) {
+        continue;
+      }
+
+      // A set counts when it met both the prescribed reps and load
+      const successfulSets = loggedSets.filter(set => set.exercise_id === target.exerciseId
+        && set.reps >= target.reps
+        && Number(set.load_kg || 0) >= (target.loadKg || 0) - 0.01);
+
+      if (successfulSets.length >= target.sets || increment === 0) {
+        continue;
+      }
+
+      const held = await this.holdProgression(workoutAssignment, target, programAssignment.progression);
+
+      const [adjustment] = await db('program_adjustments')
+        .insert({
+          program_assignment_id: programAssignment.id,
+          workout_assignment_id: workoutAssignment.id,
+          reason: 'failed',
+          details: JSON.stringify({
+            exerciseId: target.exerciseId,
+            prescribedLoadKg: target.loadKg,
+            setsCompleted: successfulSets.length,
+            setsPrescribed: target.sets,
+            heldSessions: held
+          })
+        })
+        .returning('*');
+      adjustments.push(adjustment);
+    }
+
+    await this.completeIfFinished(programAssignment.id);
+    return adjustments;
+  }
+
+  // Heaviest load of an exercise last completed in full before a session: the latest earlier
+  // non-deload session with no failure recorded for it. Falls back to the failed load itself
+  async lastSuccessfulLoad(workoutAssignment, target, progression) {
+    const earlier = await db('workout_assignments')
+      .where({ program_assignment_id: workoutAssignment.program_assignment_id, status: 'completed' })
+      .where('program_week', '<=', workoutAssignment.program_week)
+      .whereNot('id', workoutAssignment.id)
+      .whereNotExists(function () {
+        this.select(1)
+          .from('program_adjustments')
+          .whereRaw('program_adjustments.workout_assignment_id = workout_assignments.id')
+          .where('program_adjustments.reason', 'failed')
+          .whereRaw("program_adjustments.details->>'exerciseId' = ?", [target.exerciseId]);
+      })
+      .orderBy([
+        { column: 'program_week', order: 'desc' },
+        { column: 'scheduled_for', order: 'desc' }
+      ]);
+
+    for (const session of earlier) {
+      if (isDeloadWeek(session.program_week, progression)) continue;
+
+      const previous = (session.prescription || []).find(entry => entry.exerciseId === target.exerciseId && entry.loadKg !== null);
+      if (previous) {
+        return Math.min(previous.loadKg, target.loadKg);
+      }
+    }
+
+    return target.loadKg;
+  }
+
+  // Restart an exercise's progression from its last successful load: later open sessions climb
+  // from there one increment per training week, never above what was planned. Deload weeks are left as
+  // they are, and repeated failures re-plan from the same load rather than cutting again
+  async holdProgression(workoutAssignment, target, progression) {
+    const heldLoad = await this.lastSuccessfulLoad(workoutAssignment, target, progression);
+    const increment = progression.incrementKg || 0;
+
+    const later = await db('workout_assignments')
+      .where({ program_assignment_id: workoutAssignment.program_assignment_id, status: 'assigned' })
+      .where('program_week', '>', workoutAssignment.program_week)
+      .orderBy([
+        { column: 'program_week', order: 'asc' },
+        { column: 'scheduled_for', order: 'asc' }
+      ]);
+
+    let held = 0;
+    const weeks = new Set();
+    for (const session of later) {
+      if (isDeloadWeek(session.program_week, progression)) continue;
+
+      // Every session in a week shares that week's step, like progressionSteps
+      const steps = weeks.size - (weeks.has(session.program_week) ? 1 : 0);
+      const cap = Math.round((heldLoad + increment * steps) * 100) / 100;
+      let changed = false;
+      let includesExercise = false;
+      const prescription = session.prescription.map((entry) => {
+        if (entry.exerciseId !== target.exerciseId || entry.loadKg === null) {
+          return entry;
+        }
+        includesExercise = true;
+        if (entry.loadKg <= cap) {
+          return entry;
+        }
+        changed = true;
+        return { ...entry, loadKg: cap };
+      });
+
+      if (includesExercise) weeks.add(session.program_week);
+
+      if (changed) {
+        await db('workout_assignments')
+          .where({ id: session.id })
+          .update({ prescription: JSON.stringify(prescription), updated_at: new Date() });
+        held++;
+      }
+    }
+
+    return held;
+  }
+
+  // Push the schedule back when a session was missed or its coached session cancelled
+  async reviewMissedSessions(programAssignmentId) {
+    const today = toDateString(new Date());
+
+    const missed = await db('workout_assignments')
+      .select('*', db.raw('greatest(?::date - scheduled_for, 1) as shift_days', [today]))
+      .where({ program_assignment_id: programAssignmentId, status: 'assigned' })
+      .where(function () {
+        this.where('scheduled_for', '<', today)
+          .orWhereExists(function () {
+            this.select(1)
+              .from('training_sessions')
+              .whereRaw('training_sessions.client_id = workout_assignments.client_id')
+              .whereRaw('training_sessions.date::date = workout_assignments.scheduled_for')
+              .where('training_sessions.status', 'cancelled');
+          });
+      })
+      .orderBy('scheduled_for', 'asc')
+      .first();
+
+    if (!missed) {
+      return null;
+    }
+
+    const shiftDays = Number(missed.shift_days);
+
+    // Later sessions move by the same amount so the weekly spacing is kept
+    const shifted = await db('workout_assignments')
+      .where({ program_assignment_id: programAssignmentId, status: 'assigned' })
+      .where('scheduled_for', '>=', missed.scheduled_for)
+      .update({
+        scheduled_for: db.raw('scheduled_for + ?::integer', [shiftDays]),
+        updated_at: new Date()
+      });
+
+    const [adjustment] = await db('program_adjustments')
+      .insert({
+        program_assignment_id: programAssignmentId,
+        workout_assignment_id: missed.id,
+        reason: 'missed',
+        details: JSON.stringify({ shiftDays, shiftedSessions: shifted })
+      })
+      .returning('*');
+
+    return adjustment;
+  }
+
+  // Review every active program for missed sessions
+  async reviewAllMissedSessions() {
+    const active = await db('program_assignments').where({ status: 'active' }).pluck('id');
+
+    let adjusted = 0;
+    for (const id of active) {
+      if (await this.reviewMissedSessions(id)) adjusted++;
+    }
+
+    return adjusted;
+  }
+
+  // Mark a program finished once nothing is left to do
+  async completeIfFinished(programAssignmentId) {
+    const remaining = await db('workout_assignments')
+      .where({ program_assignment_id: programAssignmentId, status: 'assigned' })
+      .first('id');
+
+    if (!remaining) {
+      await db('program_assignments')
+        .where({ id: programAssignmentId, status: 'active' })
+        .update({ status: 'completed', updated_at: new Date() });
+    }
+  }
+}
+
+// Create and export singleton instance
+const programService = new ProgramService();
+
+module.exports = programService;
@@ -0,0 +1,178 @@
+const progressPhotoService = require('./clockwork-progress-photo-service');
+const relationshipService = require('./clockwork-relationship-service');
+const { PRIVATE_TO_CLIENT } = require('./clockwork-file-service');
+
+// Units follow ?units=, then the caller's saved preference
+const resolveUnitSystem = (req) => req.query.units || req.user.unit_system || 'metric';
+
+// Load a progress photo the caller is allowed to see: the client or one of their specialists
+const loadPhoto = async (req, res) => {
+  const photo = await progressPhotoService.findById(req.params.id);
+  if (!photo) {
+    res.status(404).json({ error: 'Progress photo not found' });
+    return null;
+  }
+  
+  const allowed = await relationshipService.canAccessClient(req.user, photo.client_id, PRIVATE_TO_CLIENT);
+  if (!allowed) {
+    res.status(403).json({ error: 'You do not have access to this client' });
+    return null;
+  }
+  
+  return photo;
+};
+
+const formatAll = async (photos, unitSystem) => {
+  await progressPhotoService.hydrate(photos);
+  return await Promise.all(photos.map(photo => progressPhotoService.format(photo, unitSystem)));
+};
+
+// A client's photo timeline, newest first
+const listPhotos = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    
+    const { rows, total } = await progressPhotoService.list(req.clientId, {
+      pose: req.query.pose,
+      from: req.query.from,
+      to: req.query.to,
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      photos: await formatAll(rows, resolveUnitSystem(req)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List progress photos error:', error);
+    res.status(500).json({ error: 'Failed to load progress photos' });
+  }
+};
+
+// Get one photo
+const getPhoto = async (req, res) => {
+  try {
+    const photo = await loadPhoto(req, res);
+    if (!photo) return;
+    
+    const [formatted] = await formatAll([photo], resolveUnitSystem(req));
+    
+    res.json({ photo: formatted });
+  } catch (error) {
+    console.error('Get progress photo error:', error);
+    res.status(500).json({ error: 'Failed to load progress photo' });
+  }
+};
+
+// Upload a photo for the caller or one of their clients
+const createPhoto = async (req, res) => {
+  try {
+    const photo = await progressPhotoService.create(req.clientId, req.user.id, req.file, req.body);
+    const [formatted] = await formatAll([photo], resolveUnitSystem(req));
+    
+    res.status(201).json({ photo: formatted, message: 'Progress photo saved' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create progress photo error:', error);
+    res.status(500).json({ error: 'Failed to save progress photo' });
+  }
+};
+
+// Change a photo's pose, date or notes
+const updatePhoto = async (req, res) => {
+  try {
+    const existing = await loadPhoto(req, res);
+    if (!existing) return;
+    
+    const photo = await progressPhotoService.update(existing.id, req.body);
+    const [formatted] = await formatAll([photo], resolveUnitSystem(req));
+    
+    res.json({ photo: formatted, message: 'Progress photo updated' });
+  } catch (error) {
+    console.error('Update progress photo error:', error);
+    res.status(500).json({ error: 'Failed to update progress photo' });
+  }
+};
+
+// Delete a photo and its stored image
+const deletePhoto = async (req, res) => {
+  try {
+    const photo = await loadPhoto(req, res);
+    if (!photo) return;
+    
+    await progressPhotoService.remove(photo);
+    
+    res.json({ message: 'Progress photo deleted' });
+  } catch (error) {
+    console.error('Delete progress photo error:', error);
+    res.status(500).json({ error: 'Failed to delete progress photo' });
+  }
+};
+
+// Before/after pairs per pose for the photos closest to two dates
+const comparePhotos = async (req, res) => {
+  try {
+    const { from, to, pose } = req.query;
+    const unitSystem = resolveUnitSystem(req);
+    
+    const pairs = await progressPhotoService.compare(req.clientId, { from, to, pose });
+    
+    res.json({
+      clientId: req.clientId,
+      from,
+      to,
+      pairs: await Promise.all(pairs.map(async pair => ({
+        pose: pair.pose,
+        before: await progressPhotoService.format(pair.before, unitSystem),
+        after: await progressPhotoService.format(pair.after, unitSystem),
+        daysApart: Math.round((Date.parse(pair.after.taken_date) - Date.parse(pair.before.taken_date)) / (24 * 60 * 60 * 1000))
+      })))
+    });
+  } catch (error) {
+    console.error('Compare progress photos error:', error);
+    res.status(500).json({ error: 'Failed to compare progress photos' });
+  }
+};
+
+// The same comparison for one pose as a side-by-side JPEG
+const getComparisonImage = async (req, res) => {
+  try {
+    const { from, to, pose } = req.query;
+    
+    const [pair] = await progressPhotoService.compare(req.clientId, { from, to, pose });
+    if (!pair) {
+      return res.status(404).json({ error: `Not enough ${pose} photos to compare` });
+    }
+    
+    const image = await progressPhotoService.renderComparison(pair);
+    
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Content-Disposition': `inline; filename="progress-${pose}-${pair.before.taken_date}-${pair.after.taken_date}.jpg"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(image);
+  } catch (error) {
+    console.error('Progress comparison image error:', error);
+    res.status(500).json({ error: 'Failed to build comparison image' });
+  }
+};
+
+module.exports = {
+  listPhotos,
+  getPhoto,
+  createPhoto,
+  updatePhoto,
+  deletePhoto,
+  comparePhotos,
+  getComparisonImage
+};
@@ -0,0 +1,206 @@
+const sharp = require('sharp');
+const { db } = require('../config/database');
+const fileService = require('./clockwork-file-service');
+const measurementService = require('./clockwork-measurement-service');
+const { getStorage } = require('./clockwork-storage');
+
+const POSES = ['front', 'side', 'back'];
+
+// A photo is linked to the closest measurement taken within this many days of it
+const MEASUREMENT_LINK_DAYS = 7;
+
+// Size of each half of a comparison image, plus the caption strip beneath it
+const COMPARISON_PANEL = { width: 600, height: 800 };
+const CAPTION_HEIGHT = 56;
+const COMPARISON_BACKGROUND = '#111111';
+
+// Caption drawn under one side of a comparison
+const caption = (text) => Buffer.from(
+  `<svg width="${COMPARISON_PANEL.width}" height="${CAPTION_HEIGHT}">` +
+  `<text x="50%" y="36" font-family="sans-serif" font-size="26" fill="#ffffff" text-anchor="middle">${text}</text>` +
+  '</svg>'
+);
+
+// Progress photo service class
+class ProgressPhotoService {
+  // Photos with their date as YYYY-MM-DD and the id of the nearest measurement, looked up on read
+  // so photos and measurements can be recorded in any order
+  photoQuery() {
+    return db('progress_photos')
+      .select(
+        'progress_photos.*',
+        db.raw("to_char(progress_photos.taken_on, 'YYYY-MM-DD') as taken_date"),
+        'nearest.id as measurement_id'
+      )
+      .joinRaw(`
+        left join lateral (
+          select m.id from measurements m
+          where m.client_id = progress_photos.client_id
+            and m.measured_at >= progress_photos.taken_on - make_interval(days => ?)
+            and m.measured_at < progress_photos.taken_on + make_interval(days => ? + 1)
+          order by abs(extract(epoch from m.measured_at - (progress_photos.taken_on + time '12:00'))), m.measured_at desc
+          limit 1
+        ) nearest on true
+      `, [MEASUREMENT_LINK_DAYS, MEASUREMENT_LINK_DAYS]);
+  }
+
+  // A client's photos, newest first
+  async list(clientId, { pose, from, to, limit = 50, offset = 0 } = {}) {
+    const query = db('progress_photos').where({ client_id: clientId });
+
+    if (pose) query.where({ pose });
+    if (from) query.where('taken_on', '>=', from);
+    if (to) query.where('taken_on', '<=', to);
+
+    const [{ count }] = await query.clone().count('id as count');
+    const ids = query.select('id');
+
+    const rows = await this.photoQuery()
+      .whereIn('progress_photos.id', ids)
+      .orderBy([
+        { column: 'progress_photos.taken_on', order: 'desc' },
+        { column: 'progress_photos.pose', order: 'asc' },
+        { column: 'progress_photos.created_at', order: 'desc' }
+      ])
+      .limit(limit)
+      .offset(offset);
+
+    return { rows, total: parseInt(count, 10) };
+  }
+
+  async findById(id) {
+    return await this.photoQuery().where('progress_photos.id', id).first();
+  }
+
+  // Store the upload as the client's file, so it stays theirs whoever uploaded it
+  async create(clientId, uploadedBy, upload, { pose, takenOn, notes }) {
+    const file = await fileService.upload({ id: clientId }, 'progress_photo', upload);
+
+    try {
+      const [photo] = await db('progress_photos')
+        .insert({
+          client_id: clientId,
+          file_id: file.id,
+          uploaded_by: uploadedBy,
+          pose,
+          taken_on: takenOn,
+          notes: notes || null
+        })
+        .returning('id');
+
+      return await this.findById(photo.id);
+    } catch (error) {
+      await fileService.remove(file);
+      throw error;
+    }
+  }
+
+  async update(id, { pose, takenOn, notes }) {
+    const changes = {};
+    if (pose !== undefined) changes.pose = pose;
+    if (takenOn !== undefined) changes.taken_on = takenOn;
+    if (notes !== undefined) changes.notes = notes || null;
+
+    await db('progress_photos')
+      .where({ id })
+      .update({ ...changes, updated_at: new Date() });
+
+    return await this.findById(id);
+  }
+
+  // Removing the file removes the photo with it
+  async remove(photo) {
+    const file = await fileService.find(photo.file_id);
+    if (file) {
+      await fileService.remove(file);
+    } else {
+      await db('progress_photos').where({ id: photo.id }).del();
+    }
+  }
+
+  // Attach the stored file and the linked measurement row to each photo in place
+  async hydrate(photos) {
+    const files = await fileService.findMany(photos.map(photo => photo.file_id));
+    const measurementIds = photos.map(photo => photo.measurement_id).filter(Boolean);
+    const measurements = measurementIds.length > 0
+      ? await db('measurements').whereIn('id', measurementIds)
+      : [];
+
+    for (const photo of photos) {
+      photo.file = files.get(photo.file_id);
+      photo.measurement = measurements.find(measurement => measurement.id === photo.measurement_id) || null;
+    }
+
+    return photos;
+  }
+
+  // Shape a hydrated photo for API responses, with signed links and the linked measurement in the caller's units
+  async format(photo, unitSystem) {
+    return {
+      id: photo.id,
+      clientId: photo.client_id,
+      uploadedBy: photo.uploaded_by,
+      pose: photo.pose,
+      takenOn: photo.taken_date,
+      notes: photo.notes,
+      image: photo.file ? await fileService.describe(photo.file) : null,
+      measurement: photo.measurement ? measurementService.format(photo.measurement, unitSystem) : null,
+      createdAt: photo.created_at,
+      updatedAt: photo.updated_at
+    };
+  }
+
+  // The photo of a pose taken closest to a date; ties go to the earlier photo
+  async nearestTo(clientId, pose, date) {
+    return await this.photoQuery()
+      .where('progress_photos.client_id', clientId)
+      .where('progress_photos.pose', pose)
+      .orderByRaw('abs(progress_photos.taken_on - ?::date), progress_photos.taken_on, progress_photos.created_at desc', [date])
+      .first();
+  }
+
+  // Before/after pairs per pose for the photos closest to two dates; poses without two distinct photos are left out
+  async compare(clientId, { from, to, pose }) {
+    const pairs = [];
+
+    for (const name of pose ? [pose] : POSES) {
+      const before = await this.nearestTo(clientId, name, from);
+      const after = await this.nearestTo(clientId, name, to);
+
+      if (before && after && before.id !== after.id) {
+        pairs.push({ pose: name, before, after });
+      }
+    }
+
+    await this.hydrate(pairs.flatMap(pair => [pair.before, pair.after]));
+    return pairs;
+  }
+
+  // A side-by-side JPEG of a pair, each photo scaled into the same frame and captioned with its date
+  async renderComparison({ before, after }) {
+    const storage = getStorage();
+    const { width, height } = COMPARISON_PANEL;
+
+    const panels = await Promise.all([before, after].map(async photo => sharp(await storage.get(photo.file.storage_key))
+      .resize({ width, height, fit: 'contain', background: COMPARISON_BACKGROUND })
+      .toBuffer()));
+
+    return await sharp({
+      create: { width: width * 2, height: height + CAPTION_HEIGHT, channels: 3, background: COMPARISON_BACKGROUND }
+    })
+      .composite([
+        { input: panels[0], left: 0, top: 0 },
+        { input: panels[1], left: width, top: 0 },
+        { input: caption(before.taken_date), left: 0, top: height },
+        { input: caption(after.taken_date), left: width, top: height }
+      ])
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  }
+}
+
+// Create and export singleton instance
+const progressPhotoService = new ProgressPhotoService();
+
+module.exports = progressPhotoService;
+module.exports.POSES = POSES;
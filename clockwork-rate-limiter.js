@@ -1,6 +1,7 @@
 const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis');
 const { client: redisClient } = require('../config/redis');
+const { hasRole, ROLES } = require('./clockwork-rbac');
 
 // Custom key generator that includes user ID when authenticated
 const keyGenerator = (req) => {
@@ -23,7 +24,7 @@ const skipFunction = (req) => {
   if (whitelistedIPs.includes(clientIP)) return true;
   
   // Skip for admin users in development
-  if (process.env.NODE_ENV === 'development' && req.user?.roles?.includes('admin')) {
+  if (process.env.NODE_ENV === 'development' && hasRole(req.user, ROLES.ADMIN, ROLES.OWNER)) {
     return true;
   }
   
@@ -0,0 +1,114 @@
+// Roles a user can hold
+const ROLES = {
+  CLIENT: 'client',
+  SPECIALIST: 'specialist',
+  TRAINER: 'trainer', // Same permissions as specialist
+  ADMIN: 'admin',
+  OWNER: 'owner'
+};
+
+// Roles anyone can pick at signup
+const SELF_ASSIGNABLE_ROLES = [ROLES.CLIENT, ROLES.SPECIALIST, ROLES.TRAINER];
+
+// Roles that only an owner can grant or revoke
+const PRIVILEGED_ROLES = [ROLES.ADMIN, ROLES.OWNER];
+
+const clientPermissions = [
+  'profile:update:own',
+  'measurements:write',
+  'workouts:complete',
+  'nutrition:log',
+  'goals:write:own',
+  'appointments:book',
+  'billing:subscribe',
+  'chat:use'
+];
+
+const specialistPermissions = [
+  ...clientPermissions,
+  'clients:invite',
+  'clients:read',
+  'workouts:create',
+  'workouts:assign',
+  'programs:manage',
+  'nutrition:manage',
+  'goals:manage',
+  'appointments:manage',
+  'billing:invoice_clients'
+];
+
+const adminPermissions = [
+  ...specialistPermissions,
+  'users:read:any',
+  'users:update:any',
+  'users:delete:any',
+  'roles:assign',
+  'lockouts:manage',
+  'billing:manage',
+  'jobs:run'
+];
+
+// Permission matrix
+const ROLE_PERMISSIONS = {
+  [ROLES.CLIENT]: clientPermissions,
+  [ROLES.SPECIALIST]: specialistPermissions,
+  [ROLES.TRAINER]: specialistPermissions,
+  [ROLES.ADMIN]: adminPermissions,
+  [ROLES.OWNER]: [...adminPermissions, 'roles:assign:privileged']
+};
+
+// Normalize roles stored as a JSON string or an array
+const getRoles = (user) => {
+  if (!user?.roles) {
+    return [];
+  }
+  return Array.isArray(user.roles) ? user.roles : JSON.parse(user.roles);
+};
+
+// Check whether a user holds any of the given roles
+const hasRole = (user, ...roles) => getRoles(user).some(role => roles.includes(role));
+
+// Every permission granted by a user's roles
+const getPermissions = (user) => [
+  ...new Set(getRoles(user).flatMap(role => ROLE_PERMISSIONS[role] || []))
+];
+
+// Check whether a user has a permission
+const hasPermission = (user, permission) => getRoles(user)
+  .some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+
+// Middleware: allow users holding any of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({ error: 'Insufficient role', required: roles });
+  }
+  next();
+};
+
+// Middleware: allow users holding all of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ error: 'Insufficient permissions', required: missing });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  PRIVILEGED_ROLES,
+  ROLE_PERMISSIONS,
+  getRoles,
+  hasRole,
+  getPermissions,
+  hasPermission,
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,137 @@
+const { db } = require('../config/database');
+const relationshipService = require('./clockwork-relationship-service');
+
+// Shape a relationship row for API responses
+const formatRelationship = (row, userId) => ({
+  id: row.id,
+  status: row.status,
+  role: row.specialist_id === userId ? 'specialist' : 'client',
+  specialist: {
+    id: row.specialist_id,
+    name: row.specialist_name,
+    email: row.specialist_email
+  },
+  client: row.client_id
+    ? { id: row.client_id, name: row.client_name, email: row.client_email }
+    : null,
+  inviteEmail: row.invite_email,
+  invitePhone: row.invite_phone,
+  message: row.invite_message,
+  createdAt: row.created_at,
+  respondedAt: row.responded_at,
+  endedAt: row.ended_at
+});
+
+// Log a relationship change to the audit trail
+const logRelationshipEvent = async (req, action, relationship, details) => {
+  await db('audit_logs').insert({
+    user_id: req.user.id,
+    action,
+    resource: 'specialist_client',
+    resource_id: relationship.id,
+    details,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent')
+  });
+};
+
+// List the current user's clients, specialists and pending invitations
+const listRelationships = async (req, res) => {
+  try {
+    const rows = await relationshipService.listForUser(req.user);
+    
+    res.json({
+      relationships: rows.map(row => formatRelationship(row, req.user.id))
+    });
+  } catch (error) {
+    console.error('List relationships error:', error);
+    res.status(500).json({ error: 'Failed to load relationships' });
+  }
+};
+
+// Invite a client by email or SMS
+const inviteClient = async (req, res) => {
+  try {
+    const { email, phone, message } = req.body;
+    
+    const invitation = await relationshipService.invite(req.user, { email, phone, message });
+    
+    await logRelationshipEvent(req, 'client_invited', invitation, `Invitation sent to ${email || phone}`);
+    
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation: {
+        id: invitation.id,
+        status: invitation.status,
+        inviteEmail: invitation.invite_email,
+        invitePhone: invitation.invite_phone,
+        createdAt: invitation.created_at
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Invite client error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+};
+
+// Accept or decline an invitation addressed by id or by the emailed token
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.body;
+    
+    const relationship = await relationshipService.respond(req.user, { id, token }, accept);
+    
+    await logRelationshipEvent(
+      req,
+      accept ? 'invitation_accepted' : 'invitation_declined',
+      relationship,
+      `Invitation from specialist ${relationship.specialist_id} ${accept ? 'accepted' : 'declined'}`
+    );
+    
+    res.json({
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      relationship: {
+        id: relationship.id,
+        status: relationship.status,
+        specialistId: relationship.specialist_id,
+        clientId: relationship.client_id,
+        respondedAt: relationship.responded_at
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Invitation response error:', error);
+    res.status(500).json({ error: 'Failed to respond to invitation' });
+  }
+};
+
+// End a relationship or withdraw a pending invitation
+const endRelationship = async (req, res) => {
+  try {
+    const relationship = await relationshipService.end(req.user, req.params.id);
+    
+    await logRelationshipEvent(req, 'relationship_ended', relationship, 'Specialist-client relationship ended');
+    
+    res.json({ message: 'Relationship ended' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('End relationship error:', error);
+    res.status(500).json({ error: 'Failed to end relationship' });
+  }
+};
+
+module.exports = {
+  listRelationships,
+  inviteClient,
+  acceptInvitation: respondToInvitation(true),
+  declineInvitation: respondToInvitation(false),
+  endRelationship
+};
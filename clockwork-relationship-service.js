@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const smsService = require('./clockwork-sms-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+// Hash invitation tokens before storing them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Build an error carrying an HTTP status
+const relationshipError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Relationship service class
+class RelationshipService {
+  // Invite a client by email or phone
+  async invite(specialist, { email, phone, message }) {
+    const inviteEmail = email?.toLowerCase();
+
+    const account = inviteEmail
+      ? await db('users').where({ email: inviteEmail }).first()
+      : await db('users').where({ phone }).first();
+
+    if (account?.id === specialist.id) {
+      throw relationshipError(400, 'You cannot invite yourself');
+    }
+
+    // Link to an existing account when we can find one, but only once it has proven it owns the
+    // address; otherwise the invitation waits for the emailed token or for the address to be verified
+    const client = inviteEmail && !account?.email_verified ? null : account;
+
+    // One open invitation or relationship per person, whether or not the address has an account yet
+    const existing = await db('specialist_clients')
+      .where({ specialist_id: specialist.id })
+      .whereIn('status', ['pending', 'active'])
+      .where(function () {
+        if (account) {
+          this.orWhere({ client_id: account.id });
+        }
+        if (inviteEmail) {
+          this.orWhere({ invite_email: inviteEmail });
+        } else {
+          this.orWhere({ invite_phone: phone });
+        }
+      })
+      .first();
+
+    if (existing) {
+      throw relationshipError(409, existing.status === 'active'
+        ? 'This client is already connected to you'
+        : 'An invitation to this client is already pending');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const [invitation] = await db('specialist_clients')
+      .insert({
+        specialist_id: specialist.id,
+        client_id: client?.id || null,
+        status: 'pending',
+        invite_email: inviteEmail || client?.email || null,
+        invite_phone: phone || null,
+        invite_token_hash: hashToken(token),
+        invite_message: message
+      })
+      .returning('*');
+
+    const acceptLink = `${process.env.FRONTEND_URL}/invitations/accept?token=${token}`;
+
+    if (inviteEmail) {
+      await emailService.sendClientInvitationEmail(inviteEmail, client?.name, specialist.name, acceptLink, message);
+    } else {
+      await smsService.sendClientInvitation(phone, specialist.name, acceptLink);
+    }
+
+    return invitation;
+  }
+
+  // Attach invitations sent to an email address before the account existed or was verified: the newest
+  // one per specialist, skipping specialists the user already has an open invitation or relationship with
+  async linkInvitations(user) {
+    if (!user.email_verified) {
+      return;
+    }
+
+    const linked = new Set(await db('specialist_clients')
+      .where({ client_id: user.id })
+      .whereIn('status', ['pending', 'active'])
+      .pluck('specialist_id'));
+
+    const invitations = await db('specialist_clients')
+      .where({ invite_email: user.email, status: 'pending' })
+      .whereNull('client_id')
+      .orderBy('created_at', 'desc');
+
+    const ids = [];
+    for (const invitation of invitations) {
+      if (!linked.has(invitation.specialist_id)) {
+        linked.add(invitation.specialist_id);
+        ids.push(invitation.id);
+      }
+    }
+
+    if (ids.length > 0) {
+      await db('specialist_clients')
+        .whereIn('id', ids)
+        .update({
+          client_id: user.id,
+          updated_at: new Date()
+        });
+    }
+  }
+
+  // Find a pending invitation addressed to this user, by id or by emailed token.
+  // Matching on the invited address alone needs a verified email
+  async findPendingInvitation(user, { id, token }) {
+    const query = db('specialist_clients').where({ status: 'pending' });
+
+    if (token) {
+      query.where({ invite_token_hash: hashToken(token) });
+    } else {
+      query.where({ id }).where(function () {
+        this.where({ client_id: user.id });
+        if (user.email_verified) {
+          this.orWhere({ invite_email: user.email, client_id: null });
+        }
+      });
+    }
+
+    const invitation = await query.first();
+
+    // Token holders may accept, but not on someone else's linked invitation
+    if (!invitation || (invitation.client_id && invitation.client_id !== user.id)) {
+      return null;
+    }
+
+    if (invitation.specialist_id === user.id) {
+      throw relationshipError(400, 'You cannot accept your own invitation');
+    }
+
+    return invitation;
+  }
+
+  // Accept or decline a pending invitation
+  async respond(user, { id, token }, accept) {
+    const invitation = await this.findPendingInvitation(user, { id, token });
+    if (!invitation) {
+      throw relationshipError(404, 'Invitation not found');
+    }
+
+    if (accept) {
+      const existing = await db('specialist_clients')
+        .where({ specialist_id: invitation.specialist_id, client_id: user.id, status: 'active' })
+        .first();
+
+      if (existing) {
+        throw relationshipError(409, 'You are already connected to this specialist');
+      }
+    }
+
+    const [relationship] = await db('specialist_clients')
+      .where({ id: invitation.id, status: 'pending' })
+      .update({
+        client_id: user.id,
+        status: accept ? 'active' : 'declined',
+        invite_token_hash: null,
+        responded_at: new Date(),
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    return relationship;
+  }
+
+  // End an active relationship or withdraw a pending invitation; either side may do this
+  async end(user, id) {
+    const relationship = await db('specialist_clients')
+      .where({ id })
+      .whereIn('status', ['pending', 'active'])
+      .where(function () {
+        this.where({ specialist_id: user.id }).orWhere({ client_id: user.id });
+      })
+      .first();
+
+    if (!relationship) {
+      throw relationshipError(404, 'Relationship not found');
+    }
+
+    const [updated] = await db('specialist_clients')
+      .where({ id })
+      .update({
+        status: 'ended',
+        invite_token_hash: null,
+        ended_at: new Date(),
+        ended_by: user.id,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    return updated;
+  }
+
+  // Relationships and invitations involving a user
+  async listForUser(user) {
+    const rows = await db('specialist_clients')
+      .leftJoin('users as specialist', 'specialist.id', 'specialist_clients.specialist_id')
+      .leftJoin('users as client', 'client.id', 'specialist_clients.client_id')
+      .select(
+        'specialist_clients.*',
+        'specialist.name as specialist_name',
+        'specialist.email as specialist_email',
+        'client.name as client_name',
+        'client.email as client_email'
+      )
+      .whereIn('specialist_clients.status', ['pending', 'active'])
+      .where(function () {
+        this.where('specialist_clients.specialist_id', user.id)
+          .orWhere('specialist_clients.client_id', user.id);
+        if (user.email_verified) {
+          this.orWhere(function () {
+            this.where('specialist_clients.invite_email', user.email)
+              .whereNull('specialist_clients.client_id');
+          });
+        }
+      })
+      .orderBy('specialist_clients.created_at', 'desc');
+
+    return rows;
+  }
+
+  // Ids of a specialist's active clients
+  async getClientIds(specialistId) {
+    const rows = await db('specialist_clients')
+      .where({ specialist_id: specialistId, status: 'active' })
+      .pluck('client_id');
+
+    return rows;
+  }
+
+  // Ids of a client's active specialists
+  async getSpecialistIds(clientId) {
+    const rows = await db('specialist_clients')
+      .where({ client_id: clientId, status: 'active' })
+      .pluck('specialist_id');
+
+    return rows;
+  }
+
+  // Check whether a specialist actively works with a client
+  async isActive(specialistId, clientId) {
+    const relationship = await db('specialist_clients')
+      .where({ specialist_id: specialistId, client_id: clientId, status: 'active' })
+      .first('id');
+
+    return Boolean(relationship);
+  }
+
+  // Clients can see their own data, specialists their own clients', admins everyone's
+  // unless the data is private to the client and their specialists
+  async canAccessClient(user, clientId, { allowAdmins = true } = {}) {
+    if (user.id === clientId || (allowAdmins && hasPermission(user, 'users:read:any'))) {
+      return true;
+    }
+
+    return await this.isActive(user.id, clientId);
+  }
+}
+
+// Create and export singleton instance
+const relationshipService = new RelationshipService();
+
+module.exports = relationshipService;
@@ -0,0 +1,276 @@
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const smsService = require('./clockwork-sms-service');
+const { ACTIVE_STATUSES } = require('./clockwork-appointment-status');
+const { DEFAULT_TIMEZONE, toZoned, fromZoned, addDays } = require('./clockwork-timezone');
+const { allowsChannel, isQuietTime } = require('./clockwork-notification-preferences');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Reminders by lead time; each hourly run covers the hour ending 15 minutes past the lead
+const APPOINTMENT_REMINDERS = [
+  { kind: 'appointment_24h', leadMinutes: 24 * 60, channels: ['email', 'sms'] },
+  { kind: 'appointment_1h', leadMinutes: 60, channels: ['sms'] }
+];
+
+// Local hour at which clients with an unfinished workout are nudged
+const WORKOUT_REMINDER_HOUR = parseInt(process.env.WORKOUT_REMINDER_HOUR, 10) || 17;
+
+// Unread chat messages wait this long before an offline recipient is told about them
+const MESSAGE_DIGEST_DELAY_MINUTES = parseInt(process.env.MESSAGE_DIGEST_DELAY_MINUTES, 10) || 15;
+
+// Unread messages older than this are left alone rather than resurfacing a stale backlog
+const MESSAGE_DIGEST_MAX_AGE_DAYS = 7;
+
+const MESSAGE_PREVIEW_LENGTH = 140;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// One entry per conversation with its message count and the latest message as a preview
+const summarizeMessages = (messages) => {
+  const conversations = new Map();
+
+  for (const message of messages) {
+    const entry = conversations.get(message.conversation_id) || { senderName: message.sender_name, count: 0 };
+    entry.count++;
+    if (!message.body) {
+      entry.preview = 'Sent an attachment';
+    } else {
+      entry.preview = message.body.length > MESSAGE_PREVIEW_LENGTH
+        ? `${message.body.slice(0, MESSAGE_PREVIEW_LENGTH - 1)}…`
+        : message.body;
+    }
+    conversations.set(message.conversation_id, entry);
+  }
+
+  return { count: messages.length, conversations: [...conversations.values()] };
+};
+
+// Reminder service class
+class ReminderService {
+  // Record a reminder in the ledger; false when it already went out
+  async claim(userId, kind, referenceId, channel) {
+    const inserted = await db('sent_reminders')
+      .insert({ user_id: userId, kind, reference_id: referenceId, channel })
+      .onConflict(['user_id', 'kind', 'reference_id', 'channel'])
+      .ignore()
+      .returning('id');
+
+    return inserted.length > 0;
+  }
+
+  async release(userId, kind, referenceId, channel) {
+    await db('sent_reminders')
+      .where({ user_id: userId, kind, reference_id: referenceId, channel })
+      .del();
+  }
+
+  // Claim, send, and give the claim back if sending fails so the next run retries
+  async deliver(userId, kind, referenceId, channel, send) {
+    if (!(await this.claim(userId, kind, referenceId, channel))) {
+      return false;
+    }
+
+    try {
+      await send();
+      return true;
+    } catch (error) {
+      await this.release(userId, kind, referenceId, channel);
+      console.error(`Reminder ${kind} (${channel}) error:`, error);
+      return false;
+    }
+  }
+
+  // Remind clients of sessions starting in about 24 hours and about 1 hour
+  async sendAppointmentReminders(now = new Date()) {
+    let sent = 0;
+
+    for (const reminder of APPOINTMENT_REMINDERS) {
+      const sessions = await db('training_sessions')
+        .join('users as client', 'client.id', 'training_sessions.client_id')
+        .join('users as specialist', 'specialist.id', 'training_sessions.specialist_id')
+        .select(
+          'training_sessions.*',
+          db.raw("to_char(training_sessions.date, 'YYYY-MM-DD') as date"),
+          'client.name as client_name',
+          'client.email as client_email',
+          'client.phone as client_phone',
+          'client.sms_opt_out as client_sms_opt_out',
+          'client.notification_preferences as client_notification_preferences',
+          'specialist.name as specialist_name'
+        )
+        .whereIn('training_sessions.status', ACTIVE_STATUSES)
+        .where('training_sessions.starts_at', '>', new Date(now.getTime() + (reminder.leadMinutes - 45) * MINUTE_MS))
+        .where('training_sessions.starts_at', '<=', new Date(now.getTime() + (reminder.leadMinutes + 15) * MINUTE_MS));
+
+      for (const session of sessions) {
+        const client = {
+          id: session.client_id,
+          email: session.client_email,
+          phone: session.client_phone,
+          sms_opt_out: session.client_sms_opt_out,
+          notification_preferences: session.client_notification_preferences
+        };
+
+        const details = {
+          type: session.type,
+          date: session.date,
+          time: session.time,
+          day: toZoned(now, session.timezone).date === session.date ? 'today' : 'tomorrow',
+          duration: session.duration_minutes,
+          trainerName: session.specialist_name,
+          location: session.location,
+          notes: session.notes
+        };
+
+        for (const channel of reminder.channels) {
+          if (!allowsChannel(client, 'appointmentReminders', channel)) continue;
+
+          const delivered = await this.deliver(client.id, reminder.kind, session.id, channel, () => (
+            channel === 'email'
+              ? emailService.sendAppointmentReminder(client.email, session.client_name, details)
+              : smsService.sendAppointmentReminder(client.phone, session.client_name, details)
+          ));
+          if (delivered) sent++;
+        }
+      }
+    }
+
+    return { sent };
+  }
+
+  // Nudge clients who still have a workout due today once it is late afternoon for them
+  async sendWorkoutReminders(now = new Date()) {
+    const today = toDateString(now);
+
+    // Local "today" is within a day of UTC today everywhere
+    const candidates = await db('workout_assignments')
+      .join('users', 'users.id', 'workout_assignments.client_id')
+      .select(
+        'users.id',
+        'users.name',
+        'users.email',
+        'users.phone',
+        'users.sms_opt_out',
+        'users.notification_preferences',
+        'users.timezone',
+        db.raw("to_char(workout_assignments.scheduled_for, 'YYYY-MM-DD') as scheduled_for")
+      )
+      .where('workout_assignments.status', 'assigned')
+      .whereBetween('workout_assignments.scheduled_for', [addDays(today, -1), addDays(today, 1)]);
+
+    let sent = 0;
+    const reminded = new Set();
+
+    for (const client of candidates) {
+      const timezone = client.timezone || DEFAULT_TIMEZONE;
+      const local = toZoned(now, timezone);
+
+      if (reminded.has(client.id)
+        || client.scheduled_for !== local.date
+        || parseInt(local.time, 10) !== WORKOUT_REMINDER_HOUR
+        || !allowsChannel(client, 'workoutReminders', 'sms')) {
+        continue;
+      }
+      reminded.add(client.id);
+
+      const loggedToday = await db('workout_completions')
+        .where({ client_id: client.id })
+        .where('completed_at', '>=', fromZoned(local.date, '00:00', timezone))
+        .first('id');
+      if (loggedToday) continue;
+
+      const delivered = await this.deliver(client.id, 'workout', local.date, 'sms', () => (
+        smsService.sendWorkoutReminder(client.phone, client.name)
+      ));
+      if (delivered) sent++;
+    }
+
+    return { sent };
+  }
+
+  // Collapse an offline user's unread messages into one email or SMS once the oldest has waited long enough
+  async sendMessageDigests(now = new Date()) {
+    const pending = await db('messages')
+      .join('conversations', 'conversations.id', 'messages.conversation_id')
+      .join('users as sender', 'sender.id', 'messages.sender_id')
+      .select(
+        'messages.id',
+        'messages.conversation_id',
+        'messages.body',
+        'messages.created_at',
+        'sender.name as sender_name',
+        db.raw('case when messages.sender_id = conversations.specialist_id then conversations.client_id else conversations.specialist_id end as recipient_id')
+      )
+      .whereNull('messages.read_at')
+      .whereNull('messages.notified_at')
+      .where('messages.created_at', '>', new Date(now.getTime() - MESSAGE_DIGEST_MAX_AGE_DAYS * DAY_MS))
+      .orderBy('messages.created_at');
+
+    const byRecipient = new Map();
+    for (const message of pending) {
+      byRecipient.set(message.recipient_id, [...(byRecipient.get(message.recipient_id) || []), message]);
+    }
+
+    // Messages arrive oldest first, so the first one decides whether the batch is due
+    const cutoff = now.getTime() - MESSAGE_DIGEST_DELAY_MINUTES * MINUTE_MS;
+    const dueIds = [...byRecipient.keys()].filter(id => new Date(byRecipient.get(id)[0].created_at).getTime() <= cutoff);
+    if (dueIds.length === 0) {
+      return { sent: 0 };
+    }
+
+    const recipients = await db('users')
+      .whereIn('id', dueIds)
+      .select('id', 'name', 'email', 'phone', 'sms_opt_out', 'notification_preferences', 'timezone', 'is_online');
+
+    let sent = 0;
+
+    for (const recipient of recipients) {
+      // Connected users see messages live; quiet hours hold the digest until they end
+      if (recipient.is_online || isQuietTime(recipient, now)) continue;
+
+      const channels = ['email', 'sms'].filter(channel => allowsChannel(recipient, 'messageDigests', channel));
+      if (channels.length === 0) continue;
+
+      // Claim the batch; anything read or claimed by an overlapping run since the query drops out
+      const claimed = await db('messages')
+        .whereIn('id', byRecipient.get(recipient.id).map(message => message.id))
+        .whereNull('read_at')
+        .whereNull('notified_at')
+        .update({ notified_at: now })
+        .returning('id');
+      if (claimed.length === 0) continue;
+
+      const claimedIds = new Set(claimed.map(row => row.id));
+      const details = summarizeMessages(byRecipient.get(recipient.id).filter(message => claimedIds.has(message.id)));
+
+      let delivered = false;
+      for (const channel of channels) {
+        try {
+          if (channel === 'email') {
+            await emailService.sendMessageDigest(recipient.email, recipient.name, details);
+          } else {
+            await smsService.sendMessageDigest(recipient.phone, recipient.name, details);
+          }
+          delivered = true;
+          sent++;
+        } catch (error) {
+          console.error(`Message digest (${channel}) error:`, error);
+        }
+      }
+
+      // Give the batch back so the next run retries
+      if (!delivered) {
+        await db('messages').whereIn('id', [...claimedIds]).update({ notified_at: null });
+      }
+    }
+
+    return { sent };
+  }
+}
+
+// Create and export singleton instance
+const reminderService = new ReminderService();
+
+module.exports = reminderService;
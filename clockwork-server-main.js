@@ -36,7 +36,15 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 200
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Stripe webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/billing/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -109,11 +117,17 @@ try {
 const routeModules = [
   { path: '/api/users', module: './routes/users' },
   { path: '/api/measurements', module: './routes/measurements' },
+  { path: '/api/progress-photos', module: './routes/progress-photos' },
   { path: '/api/workouts', module: './routes/workouts' },
+  { path: '/api/programs', module: './routes/programs' },
   { path: '/api/nutrition', module: './routes/nutrition' },
   { path: '/api/goals', module: './routes/goals' },
+  { path: '/api/appointments', module: './routes/appointments' },
+  { path: '/api/jobs', module: './routes/jobs' },
+  { path: '/api/relationships', module: './routes/relationships' },
   { path: '/api/billing', module: './routes/billing' },
   { path: '/api/chat', module: './routes/chat' },
+  { path: '/api/files', module: './routes/files' },
   { path: '/api/reports', module: './routes/reports' }
 ];
 
@@ -156,12 +170,33 @@ app.use((err, req, res, next) => {
 
 // Export for Vercel
 
-// Start the server if not in Vercel environment
-if (process.env.NODE_ENV !== "production") {
+// Start a long-lived server (with chat sockets and the job scheduler) whenever this file is run
+// directly, in production too; serverless platforms such as Vercel only import the app
+if (require.main === module) {
   const PORT = process.env.PORT || 3001;
-  app.listen(PORT, () => {
+  const server = require('http').createServer(app);
+  
+  // Chat needs a long-lived server, so it is not available on serverless deployments
+  try {
+    require('./clockwork-chat-socket').attach(server);
+    logger.info('Chat socket server attached');
+  } catch (e) {
+    logger.warn('Chat socket server not attached:', e.message);
+  }
+  
+  server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+  
+  // Serverless deployments trigger jobs through /api/jobs instead
+  if (process.env.DISABLE_CRON !== 'true') {
+    try {
+      require('./clockwork-job-scheduler').start();
+      logger.info('Job scheduler started');
+    } catch (e) {
+      logger.warn('Job scheduler not started:', e.message);
+    }
+  }
 }
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { db } = require('../config/database');
+
+const PACK_STATUSES = ['active', 'exhausted', 'cancelled'];
+
+// Draw a completed session from the client's pack with this specialist that expires first
+const consumeForSession = async (session, trx = db) => {
+  const pack = await trx('session_packs')
+    .where({ specialist_id: session.specialist_id, client_id: session.client_id, status: 'active' })
+    .where('sessions_remaining', '>', 0)
+    .where(query => query.whereNull('expires_on').orWhere('expires_on', '>=', session.date))
+    .orderByRaw('expires_on asc nulls last, created_at asc')
+    .forUpdate()
+    .first();
+
+  if (!pack) {
+    return null;
+  }
+
+  const remaining = pack.sessions_remaining - 1;
+  const [updated] = await trx('session_packs')
+    .where({ id: pack.id })
+    .update({
+      sessions_remaining: remaining,
+      status: remaining === 0 ? 'exhausted' : 'active',
+      updated_at: new Date()
+    })
+    .returning('*');
+
+  await trx('training_sessions').where({ id: session.id }).update({ session_pack_id: pack.id });
+
+  return updated;
+};
+
+// A voided invoice takes its unused packs with it
+const cancelForInvoice = async (invoiceId, trx = db) => {
+  await trx('session_packs')
+    .where({ invoice_id: invoiceId, status: 'active' })
+    .update({ status: 'cancelled', updated_at: new Date() });
+};
+
+module.exports = {
+  PACK_STATUSES,
+  consumeForSession,
+  cancelForInvoice
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/database');
+
+// Hash refresh tokens before storing them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Derive a readable device name from a user agent string
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ];
+  const platforms = [
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const platform = platforms.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+
+  return [browser?.[1], platform?.[1]].filter(Boolean).join(' on ');
+};
+
+// Session service class; emits 'revoked' with the ids of sessions that were just revoked
+class SessionService extends EventEmitter {
+  // Create a new device session
+  async create(userId, { deviceName, userAgent, ipAddress } = {}) {
+    const [session] = await db('user_sessions')
+      .insert({
+        user_id: userId,
+        device_name: deviceName || describeUserAgent(userAgent),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        expires_at: new Date()
+      })
+      .returning('*');
+
+    return session;
+  }
+
+  // Record a refresh token in the session's family and extend its expiry
+  async storeRefreshToken(sessionId, refreshToken, parentId = null) {
+    const { id: userId, exp } = jwt.decode(refreshToken);
+    const expiresAt = new Date(exp * 1000);
+
+    await db('refresh_tokens').insert({
+      session_id: sessionId,
+      user_id: userId,
+      parent_id: parentId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt
+    });
+
+    await db('user_sessions')
+      .where({ id: sessionId })
+      .update({
+        expires_at: expiresAt,
+        last_used_at: new Date()
+      });
+  }
+
+  // Look up the stored record for a refresh token
+  async findRefreshToken(refreshToken) {
+    return await db('refresh_tokens')
+      .where({ token_hash: hashToken(refreshToken) })
+      .first();
+  }
+
+  // Mark a refresh token as rotated; false if it was already used
+  async markRotated(tokenId) {
+    const count = await db('refresh_tokens')
+      .where({ id: tokenId })
+      .whereNull('rotated_at')
+      .whereNull('revoked_at')
+      .update({ rotated_at: new Date() });
+
+    return count > 0;
+  }
+
+  // Revoke a session together with every refresh token in its family
+  async revokeFamily(sessionId, reason = 'refresh_token_reuse') {
+    await db('refresh_tokens')
+      .where({ session_id: sessionId })
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date() });
+
+    await db('user_sessions')
+      .where({ id: sessionId })
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: new Date(),
+        revoked_reason: reason
+      });
+
+    this.emit('revoked', [sessionId]);
+  }
+
+  // Find a session that has not been revoked or expired
+  async findActive(sessionId) {
+    return await db('user_sessions')
+      .where({ id: sessionId })
+      .whereNull('revoked_at')
+      .where('expires_at', '>', new Date())
+      .first();
+  }
+
+  // Update request metadata when a session is used
+  async touch(sessionId, { userAgent, ipAddress } = {}) {
+    await db('user_sessions')
+      .where({ id: sessionId })
+      .update({
+        last_used_at: new Date(),
+        ...(userAgent && { user_agent: userAgent }),
+        ...(ipAddress && { ip_address: ipAddress })
+      });
+  }
+
+  // List active sessions for a user
+  async listForUser(userId) {
+    return await db('user_sessions')
+      .select('id', 'device_name', 'user_agent', 'ip_address', 'created_at', 'last_used_at', 'expires_at')
+      .where({ user_id: userId })
+      .whereNull('revoked_at')
+      .where('expires_at', '>', new Date())
+      .orderBy('last_used_at', 'desc');
+  }
+
+  // Revoke a single session, optionally scoped to its owner
+  async revoke(sessionId, { userId, reason = 'logout' } = {}) {
+    const query = db('user_sessions')
+      .where({ id: sessionId })
+      .whereNull('revoked_at');
+
+    if (userId) {
+      query.where({ user_id: userId });
+    }
+
+    const [session] = await query.update({
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }, ['id']);
+
+    if (!session) {
+      return false;
+    }
+
+    await this.revokeTokens([session.id]);
+    this.emit('revoked', [session.id]);
+    return true;
+  }
+
+  // Revoke every session for a user, optionally keeping one
+  async revokeAllForUser(userId, { exceptSessionId, reason = 'logout_all' } = {}) {
+    const query = db('user_sessions')
+      .where({ user_id: userId })
+      .whereNull('revoked_at');
+
+    if (exceptSessionId) {
+      query.whereNot({ id: exceptSessionId });
+    }
+
+    const sessions = await query.update({
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }, ['id']);
+
+    await this.revokeTokens(sessions.map(session => session.id));
+    if (sessions.length > 0) {
+      this.emit('revoked', sessions.map(session => session.id));
+    }
+    return sessions.length;
+  }
+
+  // Revoke outstanding refresh tokens for the given sessions
+  async revokeTokens(sessionIds) {
+    if (sessionIds.length === 0) {
+      return;
+    }
+
+    await db('refresh_tokens')
+      .whereIn('session_id', sessionIds)
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date() });
+  }
+}
+
+// Create and export singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.describeUserAgent = describeUserAgent;
@@ -1,5 +1,6 @@
 const twilio = require('twilio');
 const { db } = require('../config/database');
+const sessionStatus = require('./clockwork-appointment-status');
 
 // SMS templates
 const smsTemplates = {
@@ -7,7 +8,7 @@ const smsTemplates = {
     `Your ClockWork verification code is: ${code}\n\nThis code expires in 5 minutes. Never share this code with anyone.`,
   
   appointmentReminder: (clientName, sessionDetails) => 
-    `Hi ${clientName}! Reminder: You have a ${sessionDetails.type} session tomorrow at ${sessionDetails.time} with ${sessionDetails.trainerName}. Reply CONFIRM to confirm or CANCEL to cancel.`,
+    `Hi ${clientName}! Reminder: You have a ${sessionDetails.type} session ${sessionDetails.day || 'tomorrow'} at ${sessionDetails.time} with ${sessionDetails.trainerName}. Reply CONFIRM to confirm or CANCEL to cancel.`,
   
   appointmentConfirmation: (sessionDetails) => 
     `Your ${sessionDetails.type} session on ${sessionDetails.date} at ${sessionDetails.time} has been confirmed. See you there!`,
@@ -21,6 +22,15 @@ const smsTemplates = {
   paymentReminder: (clientName, amount) => 
     `Hi ${clientName}, friendly reminder: You have an outstanding invoice of $${amount}. Login to ClockWork to view and pay. Thank you!`,
   
+  goalMilestone: (name, goalTitle, milestoneText) => 
+    `🎯 ${name}: ${goalTitle} — ${milestoneText}. See your progress in ClockWork!`,
+  
+  messageDigest: (name, count, senderNames) => 
+    `Hi ${name}, you have ${count} unread message${count === 1 ? '' : 's'} from ${senderNames}. Open ClockWork to reply.`,
+  
+  clientInvitation: (specialistName, acceptLink) => 
+    `${specialistName} has invited you to train together on ClockWork. View the invitation: ${acceptLink}`,
+  
   welcome: (name) => 
     `Welcome to ClockWork, ${name}! 🎉 Your journey to better health starts now. Login at ${process.env.FRONTEND_URL} to get started.`
 };
@@ -246,6 +256,33 @@ class SMSService {
     );
   }
   
+  // Send goal milestone notification
+  async sendGoalMilestone(phoneNumber, name, goalTitle, milestoneText) {
+    return await this.send(
+      phoneNumber,
+      smsTemplates.goalMilestone(name, goalTitle, milestoneText),
+      { type: 'goal_milestone' }
+    );
+  }
+  
+  // Send unread chat message notification
+  async sendMessageDigest(phoneNumber, name, details) {
+    return await this.send(
+      phoneNumber,
+      smsTemplates.messageDigest(name, details.count, details.conversations.map(conversation => conversation.senderName).join(', ')),
+      { type: 'message_digest' }
+    );
+  }
+  
+  // Send specialist invitation
+  async sendClientInvitation(phoneNumber, specialistName, acceptLink) {
+    return await this.send(
+      phoneNumber,
+      smsTemplates.clientInvitation(specialistName, acceptLink),
+      { type: 'client_invitation' }
+    );
+  }
+  
   // Send welcome SMS
   async sendWelcomeSMS(phoneNumber, name) {
     return await this.send(
@@ -320,15 +357,13 @@ class SMSService {
         );
       }
       
-      // Find upcoming appointment
+      // Find the next session this reply can apply to
       const session = await db('training_sessions')
-        .where({
-          client_id: user.id,
-          status: 'scheduled'
-        })
-        .where('date', '>=', new Date())
-        .orderBy('date', 'asc')
-        .orderBy('time', 'asc')
+        .select('*', db.raw("to_char(date, 'YYYY-MM-DD') as date"))
+        .where({ client_id: user.id })
+        .whereIn('status', response === 'CONFIRM' ? ['scheduled'] : sessionStatus.ACTIVE_STATUSES)
+        .where('starts_at', '>', new Date())
+        .orderBy('starts_at', 'asc')
         .first();
       
       if (!session) {
@@ -340,21 +375,11 @@ class SMSService {
       }
       
       if (response === 'CONFIRM') {
-        await db('training_sessions')
-          .where({ id: session.id })
-          .update({ 
-            status: 'confirmed',
-            updated_at: new Date()
-          });
+        await sessionStatus.transition(session, 'confirmed');
         
         await this.sendAppointmentConfirmation(phoneNumber, session);
       } else if (response === 'CANCEL') {
-        await db('training_sessions')
-          .where({ id: session.id })
-          .update({ 
-            status: 'cancelled',
-            updated_at: new Date()
-          });
+        await sessionStatus.cancel(session, { cancelledBy: user.id, reason: 'Cancelled by SMS reply' });
         
         await this.sendAppointmentCancellation(phoneNumber, session);
       }
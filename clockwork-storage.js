@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+// How long signed download links stay valid
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 900;
+
+// Public base URL of this API, used in links that point back at it
+const publicApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signLocal = (fileId, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${fileId}:${expires}`)
+  .digest('hex');
+
+// Check a local download link's expiry and signature
+const verifyLocalSignature = (fileId, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signLocal(fileId, expires));
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Local disk, served back through signed /api/files/raw links; meant for development
+class LocalStorage {
+  constructor() {
+    this.root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  }
+
+  // Absolute path for a key, refusing anything that escapes the storage root
+  pathFor(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return fullPath;
+  }
+
+  async put(key, buffer) {
+    const fullPath = this.pathFor(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+  }
+
+  async get(key) {
+    return await fs.readFile(this.pathFor(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+
+  async getSignedUrl(file, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicApiUrl()}/api/files/raw/${file.id}?expires=${expires}&signature=${signLocal(file.id, expires)}`;
+  }
+}
+
+// Amazon S3 or an S3-compatible service such as MinIO (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true)
+class S3Storage {
+  constructor() {
+    this.bucket = process.env.S3_BUCKET;
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async getSignedUrl(file, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+    return await getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: file.storage_key,
+      ResponseContentType: file.mime_type,
+      ResponseContentDisposition: `inline; filename*=UTF-8''${encodeURIComponent(file.filename)}`
+    }), { expiresIn });
+  }
+}
+
+let storage = null;
+
+// The configured backend (STORAGE_DRIVER, local by default)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!STORAGE_DRIVERS.includes(driver)) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+
+    storage = driver === 's3' ? new S3Storage() : new LocalStorage();
+    storage.driver = driver;
+  }
+
+  return storage;
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  SIGNED_URL_TTL_SECONDS,
+  getStorage,
+  publicApiUrl,
+  verifyLocalSignature
+};
@@ -0,0 +1,86 @@
+// Time-zone helpers built on Intl, so wall-clock times survive DST changes
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const formatters = new Map();
+
+// Cached formatter that renders an instant's wall-clock parts in a zone
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Whether a string is an IANA time zone this runtime knows
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Local date (YYYY-MM-DD), time (HH:MM) and weekday of an instant in a zone
+const toZoned = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+// Offset of a zone from UTC at an instant, in milliseconds
+const offsetAt = (instant, timeZone) => {
+  const { date, time, seconds } = toZoned(instant, timeZone);
+  const asUtc = Date.parse(`${date}T${time}:00Z`) + seconds * 1000;
+  return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+// UTC instant of a local date and time in a zone
+const fromZoned = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+
+  // Two passes settle the offset on either side of a DST change
+  let instant = wallClock - offsetAt(wallClock, timeZone);
+  instant = wallClock - offsetAt(instant, timeZone);
+
+  return new Date(instant);
+};
+
+// Calendar date a number of days after another
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toZoned,
+  fromZoned,
+  addDays
+};
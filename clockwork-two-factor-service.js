@@ -0,0 +1,188 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const emailService = require('./clockwork-email-service');
+const smsService = require('./clockwork-sms-service');
+
+// Backup code alphabet without easily confused characters (0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const BACKUP_CODE_LENGTH = 8;
+const BACKUP_CODE_COUNT = 8;
+
+// One-time codes sent by SMS or email
+const OTP_METHODS = ['sms', 'email'];
+const OTP_TTL_SECONDS = 5 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_EMAIL_COOLDOWN_SECONDS = 30;
+
+// Hash one-time codes before storing them
+const hashOtp = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Hide most of a phone number or email address
+const maskDestination = (method, destination) => {
+  if (method === 'sms') {
+    return `***-***-${destination.replace(/\D/g, '').slice(-4)}`;
+  }
+
+  const [local, domain] = destination.split('@');
+  return `${local[0]}***@${domain}`;
+};
+
+// Generate a single random backup code
+const generateBackupCode = () => Array.from(
+  { length: BACKUP_CODE_LENGTH },
+  () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]
+).join('');
+
+// Normalize user input so dashes, spaces and case don't matter
+const normalizeBackupCode = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+// Two-factor service class
+class TwoFactorService {
+  // Replace a user's backup codes with a fresh set and return them in plain text
+  async generateBackupCodes(userId) {
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+    const hashedBackupCodes = await Promise.all(
+      backupCodes.map(code => bcrypt.hash(code, 10))
+    );
+
+    await db.transaction(async (trx) => {
+      await trx('two_factor_backup_codes').where({ user_id: userId }).del();
+      await trx('two_factor_backup_codes').insert(
+        hashedBackupCodes.map(codeHash => ({ user_id: userId, code_hash: codeHash }))
+      );
+    });
+
+    return backupCodes;
+  }
+
+  // Consume a backup code; returns false if no unused code matches
+  async consumeBackupCode(userId, code) {
+    const normalized = normalizeBackupCode(code);
+    const unusedCodes = await db('two_factor_backup_codes')
+      .where({ user_id: userId })
+      .whereNull('used_at');
+
+    for (const backupCode of unusedCodes) {
+      if (await bcrypt.compare(normalized, backupCode.code_hash)) {
+        // Guard against the same code being used by two concurrent requests
+        const count = await db('two_factor_backup_codes')
+          .where({ id: backupCode.id })
+          .whereNull('used_at')
+          .update({ used_at: new Date() });
+
+        return count > 0;
+      }
+    }
+
+    return false;
+  }
+
+  // Count unused backup codes
+  async countRemainingBackupCodes(userId) {
+    const { count } = await db('two_factor_backup_codes')
+      .where({ user_id: userId })
+      .whereNull('used_at')
+      .count('* as count')
+      .first();
+
+    return parseInt(count) || 0;
+  }
+
+  // Send a one-time code by SMS or email for the given purpose
+  async sendOtp(user, method, purpose = 'login') {
+    if (!OTP_METHODS.includes(method)) {
+      throw new Error(`Unsupported one-time code method: ${method}`);
+    }
+
+    const destination = method === 'sms' ? user.phone : user.email;
+    if (!destination) {
+      const error = new Error('No phone number on file for SMS codes');
+      error.status = 400;
+      throw error;
+    }
+
+    if (method === 'sms') {
+      // Enforce the per-number SMS limits before generating a new code
+      try {
+        smsService.checkRateLimit(smsService.validatePhoneNumber(destination));
+      } catch (error) {
+        error.status = error.message.includes('limit') ? 429 : 400;
+        throw error;
+      }
+    } else {
+      const cooldownKey = `2fa_otp_cooldown_${user.id}`;
+      if (await redis.get(cooldownKey)) {
+        const error = new Error('Please wait before requesting another code');
+        error.status = 429;
+        throw error;
+      }
+      await redis.setex(cooldownKey, OTP_EMAIL_COOLDOWN_SECONDS, '1');
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    await redis.setex(
+      `2fa_otp_${purpose}_${user.id}`,
+      OTP_TTL_SECONDS,
+      JSON.stringify({ hash: hashOtp(code), method, attempts: 0 })
+    );
+
+    if (method === 'sms') {
+      await smsService.sendTwoFactorCode(destination, code);
+    } else {
+      await emailService.sendTwoFactorCodeEmail(destination, user.name, code);
+    }
+
+    return {
+      method,
+      destination: maskDestination(method, destination),
+      expiresIn: OTP_TTL_SECONDS
+    };
+  }
+
+  // Check a one-time code, counting failed attempts against the limit
+  async verifyOtp(userId, code, purpose = 'login') {
+    const key = `2fa_otp_${purpose}_${userId}`;
+    const stored = await redis.get(key);
+    if (!stored) {
+      return { valid: false, expired: true };
+    }
+
+    const pending = JSON.parse(stored);
+
+    if (hashOtp(code) === pending.hash) {
+      await redis.del(key);
+      return { valid: true, method: pending.method };
+    }
+
+    const attempts = pending.attempts + 1;
+    if (attempts >= OTP_MAX_ATTEMPTS) {
+      // Burn the code so it can't be brute-forced; a new one must be requested
+      await redis.del(key);
+      return { valid: false, expired: true, attemptsRemaining: 0 };
+    }
+
+    const ttl = await redis.ttl(key);
+    await redis.setex(key, ttl > 0 ? ttl : OTP_TTL_SECONDS, JSON.stringify({ ...pending, attempts }));
+
+    return { valid: false, attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+  }
+
+  // Discard any pending one-time code
+  async clearOtp(userId, purpose = 'login') {
+    await redis.del(`2fa_otp_${purpose}_${userId}`);
+  }
+
+  // Remove all backup codes for a user
+  async clearBackupCodes(userId) {
+    await db('two_factor_backup_codes').where({ user_id: userId }).del();
+  }
+}
+
+// Create and export singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
+module.exports.OTP_METHODS = OTP_METHODS;
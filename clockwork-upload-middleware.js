@@ -0,0 +1,28 @@
+const multer = require('multer');
+const { PURPOSES } = require('./clockwork-file-service');
+
+// Accept a single multipart file (field "file") into memory, capped at the purpose's size limit
+const uploadFile = (purpose) => {
+  const receive = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PURPOSES[purpose].maxBytes, files: 1 }
+  }).single('file');
+
+  return (req, res, next) => {
+    receive(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: error.message });
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'A file is required in the "file" field' });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { uploadFile };
@@ -0,0 +1,324 @@
+const bcrypt = require('bcrypt');
+const { db } = require('../config/database');
+const emailService = require('../services/emailService');
+const sessionService = require('./clockwork-session-service');
+const emailVerificationService = require('./clockwork-email-verification-service');
+const relationshipService = require('./clockwork-relationship-service');
+const fileService = require('./clockwork-file-service');
+const { resolvePreferences, resolveQuietHours, mergePreferences } = require('./clockwork-notification-preferences');
+const { getRoles, hasPermission, PRIVILEGED_ROLES } = require('./clockwork-rbac');
+const { validatePassword } = require('../utils/validators');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Shape a user row for API responses
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  emailVerified: user.email_verified,
+  name: user.name,
+  phone: user.phone,
+  roles: getRoles(user),
+  subscriptionPlan: user.subscription_plan,
+  billingEnabled: user.billing_enabled,
+  canTrainClients: user.can_train_clients,
+  unitSystem: user.unit_system,
+  timezone: user.timezone,
+  twoFactorEnabled: user.two_factor_enabled,
+  profilePicture: user.profile_picture_url,
+  createdAt: user.created_at,
+  updatedAt: user.updated_at
+});
+
+// List users with pagination and filters (admin)
+const listUsers = async (req, res) => {
+  try {
+    const { role, subscriptionPlan, search } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    
+    const query = db('users');
+    
+    if (role) {
+      query.whereRaw('roles::jsonb @> ?::jsonb', [JSON.stringify([role])]);
+    }
+    
+    if (subscriptionPlan) {
+      query.where({ subscription_plan: subscriptionPlan });
+    }
+    
+    if (search) {
+      query.where(function () {
+        this.whereILike('name', `%${search}%`).orWhereILike('email', `%${search}%`);
+      });
+    }
+    
+    const [{ count }] = await query.clone().count('id as count');
+    const users = await query
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset((page - 1) * limit);
+    
+    res.json({
+      users: users.map(formatUser),
+      pagination: {
+        page,
+        limit,
+        total: parseInt(count, 10),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+};
+
+// Get a user's profile; visible to themselves, admins and their specialists
+const getUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const allowed = await relationshipService.canAccessClient(req.user, id);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+};
+
+// Update profile details, and for the account owner their email or password
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, phone, profilePicture, unitSystem, timezone, email, currentPassword, newPassword, billingEnabled, canTrainClients } = req.body;
+    const isSelf = id === req.user.id;
+    
+    if (!isSelf && !hasPermission(req.user, 'users:update:any')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Sign-in credentials can only be changed by the account owner
+    if (!isSelf && (email !== undefined || newPassword !== undefined)) {
+      return res.status(403).json({ error: 'Only the account owner can change email or password' });
+    }
+    
+    // Client billing is switched on by the platform, not by the specialist
+    if ((billingEnabled !== undefined || canTrainClients !== undefined) && !hasPermission(req.user, 'billing:manage')) {
+      return res.status(403).json({ error: 'Only billing managers can change billing settings' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const emailChanged = email !== undefined && email.toLowerCase() !== user.email;
+    
+    // Confirm the current password before touching credentials
+    if (emailChanged || newPassword !== undefined) {
+      const isValidPassword = currentPassword && await bcrypt.compare(currentPassword, user.password);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+    }
+    
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (phone !== undefined) updates.phone = phone || null;
+    if (profilePicture !== undefined) updates.profile_picture_url = profilePicture || null;
+    if (unitSystem !== undefined) updates.unit_system = unitSystem;
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (billingEnabled !== undefined) updates.billing_enabled = billingEnabled;
+    if (canTrainClients !== undefined) updates.can_train_clients = canTrainClients;
+    
+    if (newPassword !== undefined) {
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({ 
+          error: 'Password requirements not met', 
+          details: passwordValidation.errors 
+        });
+      }
+      
+      updates.password = await bcrypt.hash(newPassword, 10);
+    }
+    
+    // New address takes effect once the emailed link is followed
+    if (emailChanged) {
+      await emailVerificationService.requestEmailChange(user, email);
+    }
+    
+    let updatedUser = user;
+    if (Object.keys(updates).length > 0) {
+      [updatedUser] = await db('users')
+        .where({ id })
+        .update({
+          ...updates,
+          updated_at: new Date()
+        })
+        .returning('*');
+    }
+    
+    if (newPassword !== undefined) {
+      // Keep this device signed in, sign out the rest
+      await sessionService.revokeAllForUser(id, {
+        exceptSessionId: req.sessionId,
+        reason: 'password_change'
+      });
+      
+      await emailService.sendPasswordChangedEmail(user.email, user.name);
+    }
+    
+    // Log profile update
+    const changedFields = [
+      ...Object.keys(updates).filter(field => field !== 'password'),
+      ...(newPassword !== undefined ? ['password'] : []),
+      ...(emailChanged ? ['email (pending verification)'] : [])
+    ];
+    await db('audit_logs').insert({
+      user_id: req.user.id,
+      action: 'profile_update',
+      resource: 'user',
+      resource_id: id,
+      details: `Updated ${changedFields.join(', ') || 'nothing'}`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({
+      user: formatUser(updatedUser),
+      emailChangePending: emailChanged,
+      message: emailChanged
+        ? 'Profile updated. Check your new inbox to confirm the email change.'
+        : 'Profile updated successfully'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+};
+
+// Delete an account; owners confirm with their password
+const deleteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isSelf = id === req.user.id;
+    
+    if (!isSelf && !hasPermission(req.user, 'users:delete:any')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (isSelf) {
+      const isValidPassword = req.body.password && await bcrypt.compare(req.body.password, user.password);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+    } else if (getRoles(user).some(role => PRIVILEGED_ROLES.includes(role)) && !hasPermission(req.user, 'roles:assign:privileged')) {
+      return res.status(403).json({ error: 'Only an owner can delete admin and owner accounts' });
+    }
+    
+    await sessionService.revokeAllForUser(id, { reason: 'account_deleted' });
+    
+    // Related rows are removed by cascading foreign keys; stored uploads need deleting first
+    await fileService.removeAllForUser(id);
+    await db('users').where({ id }).del();
+    
+    // Log account deletion
+    await db('audit_logs').insert({
+      user_id: isSelf ? null : req.user.id,
+      action: 'account_deleted',
+      resource: 'user',
+      resource_id: id,
+      details: isSelf ? `User ${user.email} deleted their account` : `User ${user.email} deleted by admin`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+};
+
+// Get a user's notification preferences (own account or admin)
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (id !== req.user.id && !hasPermission(req.user, 'users:read:any')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      preferences: resolvePreferences(user),
+      quietHours: resolveQuietHours(user)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to load notification preferences' });
+  }
+};
+
+// Turn notification channels on or off per notification type, and set quiet hours
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (id !== req.user.id && !hasPermission(req.user, 'users:update:any')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const user = await db('users').where({ id }).first();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const merged = mergePreferences(user.notification_preferences, req.body.preferences, req.body.quietHours);
+    await db('users')
+      .where({ id })
+      .update({ notification_preferences: JSON.stringify(merged), updated_at: new Date() });
+    
+    res.json({
+      preferences: resolvePreferences({ ...user, notification_preferences: merged }),
+      quietHours: resolveQuietHours({ ...user, notification_preferences: merged }),
+      message: 'Notification preferences updated'
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
@@ -0,0 +1,18 @@
+const { checkSchema, validationResult } = require('express-validator');
+
+// Build middleware chain that validates a request against a schema
+const validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(({ path, msg }) => ({ field: path, message: msg }))
+      });
+    }
+    next();
+  }
+];
+
+module.exports = { validate };
@@ -0,0 +1,305 @@
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const webAuthnService = require('./clockwork-webauthn-service');
+const lockoutService = require('./clockwork-lockout-service');
+const { startSession, verifyTempToken, rejectIfThrottled } = require('./clockwork-auth-controller');
+
+// Issue a session after a successful passkey ceremony
+const completePasskeyLogin = async (user, req, res, { action, details, message }) => {
+  const { accessToken, refreshToken } = await startSession(user.id, req);
+  await lockoutService.recordSuccess(user.id);
+  
+  await db('audit_logs').insert({
+    user_id: user.id,
+    action,
+    resource: 'session',
+    resource_id: user.id,
+    details,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent')
+  });
+  
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      emailVerified: user.email_verified,
+      name: user.name,
+      phone: user.phone,
+      roles: JSON.parse(user.roles),
+      subscriptionPlan: user.subscription_plan,
+      billingEnabled: user.billing_enabled,
+      canTrainClients: user.can_train_clients,
+      twoFactorEnabled: user.two_factor_enabled,
+      twoFactorMethod: user.two_factor_method,
+      profilePicture: user.profile_picture_url
+    },
+    accessToken,
+    refreshToken,
+    message
+  });
+};
+
+// Start passkey registration for the current user
+const registrationOptions = async (req, res) => {
+  try {
+    const options = await webAuthnService.getRegistrationOptions(req.user);
+    res.json({ options });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+};
+
+// Finish passkey registration
+const register = async (req, res) => {
+  try {
+    const { user } = req;
+    const { response, name } = req.body;
+    
+    const credential = await webAuthnService.register(user, response, {
+      name,
+      userAgent: req.get('user-agent')
+    });
+    
+    if (!credential) {
+      return res.status(400).json({ error: 'Passkey registration failed' });
+    }
+    
+    // Log passkey registration
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'passkey_registered',
+      resource: 'user',
+      resource_id: user.id,
+      details: `Passkey "${credential.name}" registered`,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.status(201).json({
+      credential: {
+        id: credential.id,
+        name: credential.name,
+        createdAt: credential.created_at
+      },
+      message: 'Passkey registered successfully'
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({ error: 'Failed to register passkey' });
+  }
+};
+
+// Start a passwordless passkey login. Options are always usernameless, so the browser offers any
+// discoverable passkey for this site; looking up an email would reveal whether it has an account
+// and hand out its credential ids
+const loginOptions = async (req, res) => {
+  try {
+    const { options, challengeId } = await webAuthnService.getAuthenticationOptions();
+    
+    res.json({ options, challengeId });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({ error: 'Failed to start passkey login' });
+  }
+};
+
+// Finish a passwordless passkey login
+const login = async (req, res) => {
+  try {
+    const { challengeId, response } = req.body;
+    
+    const result = await webAuthnService.authenticate(challengeId, response);
+    if (!result) {
+      // A failure with a known passkey counts against its owner, as a wrong password would
+      const ownerId = await webAuthnService.findCredentialOwner(response?.id);
+      const owner = ownerId ? await db('users').where({ id: ownerId }).first() : null;
+      
+      if (owner) {
+        if (rejectIfThrottled(res, await lockoutService.getStatus(owner.id))) {
+          return;
+        }
+        
+        // Log failed login attempt
+        await db('audit_logs').insert({
+          user_id: owner.id,
+          action: 'failed_login',
+          resource: 'session',
+          resource_id: owner.id,
+          details: 'Passkey verification failed',
+          ip_address: req.ip,
+          user_agent: req.get('user-agent')
+        });
+        
+        const failure = await lockoutService.recordFailure(owner, req, 'failed_login');
+        if (failure.locked) {
+          rejectIfThrottled(res, failure);
+          return;
+        }
+      }
+      
+      return res.status(401).json({ error: 'Passkey verification failed' });
+    }
+    
+    const user = await db('users').where({ id: result.userId }).first();
+    if (!user) {
+      return res.status(401).json({ error: 'Passkey verification failed' });
+    }
+    
+    // A passkey doesn't bypass an active lockout
+    const lockStatus = await lockoutService.getStatus(user.id);
+    if (lockStatus.locked && rejectIfThrottled(res, lockStatus)) {
+      return;
+    }
+    
+    await completePasskeyLogin(user, req, res, {
+      action: 'login',
+      details: 'User logged in with passkey',
+      message: 'Login successful'
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+};
+
+// Start a passkey ceremony as the second factor after password login
+const twoFactorOptions = async (req, res) => {
+  try {
+    const { tempToken } = req.body;
+    
+    const decoded = await verifyTempToken(tempToken);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    const { options, challengeId, credentialCount } = await webAuthnService.getAuthenticationOptions(decoded.id);
+    if (credentialCount === 0) {
+      return res.status(400).json({ error: 'No passkeys registered for this account' });
+    }
+    
+    res.json({ options, challengeId });
+  } catch (error) {
+    console.error('Passkey 2FA options error:', error);
+    res.status(500).json({ error: 'Failed to start passkey verification' });
+  }
+};
+
+// Finish a passkey ceremony as the second factor
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { tempToken, challengeId, response } = req.body;
+    
+    const decoded = await verifyTempToken(tempToken);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    const user = await db('users').where({ id: decoded.id }).first();
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    // Refuse attempts while locked out or backing off
+    if (rejectIfThrottled(res, await lockoutService.getStatus(user.id))) {
+      return;
+    }
+    
+    const result = await webAuthnService.authenticate(challengeId, response, { userId: user.id });
+    if (!result) {
+      // Log failed 2FA attempt
+      await db('audit_logs').insert({
+        user_id: user.id,
+        action: 'failed_2fa',
+        resource: 'session',
+        resource_id: user.id,
+        details: 'Passkey verification failed',
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+      });
+      
+      const failure = await lockoutService.recordFailure(user, req, 'failed_2fa');
+      if (failure.locked) {
+        await redis.del(`2fa_temp_${user.id}`);
+        rejectIfThrottled(res, failure);
+        return;
+      }
+      
+      return res.status(401).json({ error: 'Passkey verification failed' });
+    }
+    
+    // Delete temp token
+    await redis.del(`2fa_temp_${user.id}`);
+    
+    await completePasskeyLogin(user, req, res, {
+      action: '2fa_success',
+      details: '2FA verification successful with passkey',
+      message: '2FA verification successful'
+    });
+  } catch (error) {
+    console.error('Passkey 2FA verification error:', error);
+    res.status(500).json({ error: 'Verification failed' });
+  }
+};
+
+// List the current user's passkeys
+const listCredentials = async (req, res) => {
+  try {
+    const credentials = await webAuthnService.listCredentials(req.user.id);
+    
+    res.json({
+      credentials: credentials.map(credential => ({
+        id: credential.id,
+        name: credential.name,
+        deviceType: credential.device_type,
+        backedUp: credential.backed_up,
+        createdAt: credential.created_at,
+        lastUsedAt: credential.last_used_at
+      }))
+    });
+  } catch (error) {
+    console.error('List passkeys error:', error);
+    res.status(500).json({ error: 'Failed to load passkeys' });
+  }
+};
+
+// Remove one of the current user's passkeys
+const deleteCredential = async (req, res) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    
+    const deleted = await webAuthnService.deleteCredential(user.id, id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    
+    // Log passkey removal
+    await db('audit_logs').insert({
+      user_id: user.id,
+      action: 'passkey_removed',
+      resource: 'user',
+      resource_id: user.id,
+      details: 'Passkey removed',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Passkey removed successfully' });
+  } catch (error) {
+    console.error('Delete passkey error:', error);
+    res.status(500).json({ error: 'Failed to remove passkey' });
+  }
+};
+
+module.exports = {
+  registrationOptions,
+  register,
+  loginOptions,
+  login,
+  twoFactorOptions,
+  verifyTwoFactor,
+  listCredentials,
+  deleteCredential
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { db } = require('../config/database');
+const redis = require('../config/redis');
+const { describeUserAgent } = require('./clockwork-session-service');
+
+// Ceremonies must be completed within 5 minutes
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// WebAuthn service class
+class WebAuthnService {
+  constructor() {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    this.rpName = process.env.WEBAUTHN_RP_NAME || 'ClockWork';
+    this.rpID = process.env.WEBAUTHN_RP_ID || new URL(frontendUrl).hostname;
+    this.origins = (process.env.WEBAUTHN_ORIGINS || frontendUrl).split(',');
+  }
+
+  // Map a stored credential to the shape the library expects
+  toAuthenticator(credential) {
+    return {
+      credentialID: Buffer.from(credential.credential_id, 'base64url'),
+      credentialPublicKey: Buffer.from(credential.public_key, 'base64url'),
+      counter: Number(credential.counter),
+      transports: credential.transports || []
+    };
+  }
+
+  // Build registration options for a signed-in user
+  async getRegistrationOptions(user) {
+    const existing = await this.listCredentials(user.id);
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userID: user.id,
+      userName: user.email,
+      userDisplayName: user.name,
+      attestationType: 'none',
+      excludeCredentials: existing.map(credential => ({
+        id: Buffer.from(credential.credential_id, 'base64url'),
+        type: 'public-key',
+        transports: credential.transports || []
+      })),
+      // Discoverable, so the passkey can sign in without the account being named first
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred'
+      }
+    });
+
+    await redis.setex(`webauthn_reg_${user.id}`, CHALLENGE_TTL_SECONDS, options.challenge);
+
+    return options;
+  }
+
+  // Verify a registration response and store the new credential
+  async register(user, response, { name, userAgent } = {}) {
+    const expectedChallenge = await redis.get(`webauthn_reg_${user.id}`);
+    if (!expectedChallenge) {
+      return null;
+    }
+
+    await redis.del(`webauthn_reg_${user.id}`);
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID
+      });
+    } catch (error) {
+      console.warn('WebAuthn registration rejected:', error.message);
+      return null;
+    }
+
+    const { verified, registrationInfo } = verification;
+    if (!verified || !registrationInfo) {
+      return null;
+    }
+
+    const [credential] = await db('webauthn_credentials')
+      .insert({
+        user_id: user.id,
+        credential_id: Buffer.from(registrationInfo.credentialID).toString('base64url'),
+        public_key: Buffer.from(registrationInfo.credentialPublicKey).toString('base64url'),
+        counter: registrationInfo.counter,
+        transports: JSON.stringify(response.response?.transports || []),
+        device_type: registrationInfo.credentialDeviceType,
+        backed_up: registrationInfo.credentialBackedUp,
+        name: name || describeUserAgent(userAgent)
+      })
+      .returning(['id', 'name', 'created_at']);
+
+    return credential;
+  }
+
+  // Build authentication options, scoped to one user when known
+  async getAuthenticationOptions(userId = null) {
+    const credentials = userId ? await this.listCredentials(userId) : [];
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      userVerification: 'preferred',
+      allowCredentials: credentials.map(credential => ({
+        id: Buffer.from(credential.credential_id, 'base64url'),
+        type: 'public-key',
+        transports: credential.transports || []
+      }))
+    });
+
+    const challengeId = crypto.randomUUID();
+    await redis.setex(
+      `webauthn_auth_${challengeId}`,
+      CHALLENGE_TTL_SECONDS,
+      JSON.stringify({ challenge: options.challenge, userId })
+    );
+
+    return { options, challengeId, credentialCount: credentials.length };
+  }
+
+  // Verify an authentication response; returns the owning user id on success
+  async authenticate(challengeId, response, { userId } = {}) {
+    const stored = await redis.get(`webauthn_auth_${challengeId}`);
+    if (!stored) {
+      return null;
+    }
+
+    await redis.del(`webauthn_auth_${challengeId}`);
+
+    const { challenge, userId: challengeUserId } = JSON.parse(stored);
+    const expectedUserId = userId || challengeUserId;
+
+    const credential = await db('webauthn_credentials')
+      .where({ credential_id: response.id })
+      .first();
+
+    if (!credential || (expectedUserId && credential.user_id !== expectedUserId)) {
+      return null;
+    }
+
+    // Also rejects a signature counter that went backwards (cloned authenticator)
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge,
+        expectedOrigin: this.origins,
+        expectedRPID: this.rpID,
+        authenticator: this.toAuthenticator(credential)
+      });
+    } catch (error) {
+      console.warn('WebAuthn authentication rejected:', error.message);
+      return null;
+    }
+
+    const { verified, authenticationInfo } = verification;
+    if (!verified) {
+      return null;
+    }
+
+    await db('webauthn_credentials')
+      .where({ id: credential.id })
+      .update({
+        counter: authenticationInfo.newCounter,
+        last_used_at: new Date()
+      });
+
+    return { userId: credential.user_id, credentialId: credential.id };
+  }
+
+  // The user a registered passkey belongs to, or null
+  async findCredentialOwner(credentialId) {
+    if (!credentialId) {
+      return null;
+    }
+
+    const credential = await db('webauthn_credentials')
+      .where({ credential_id: credentialId })
+      .first('user_id');
+
+    return credential ? credential.user_id : null;
+  }
+
+  // List a user's registered passkeys
+  async listCredentials(userId) {
+    return await db('webauthn_credentials')
+      .where({ user_id: userId })
+      .orderBy('created_at', 'asc');
+  }
+
+  // Check whether a user has any passkeys
+  async hasCredentials(userId) {
+    const credential = await db('webauthn_credentials')
+      .where({ user_id: userId })
+      .first('id');
+
+    return Boolean(credential);
+  }
+
+  // Remove one of a user's passkeys
+  async deleteCredential(userId, id) {
+    const count = await db('webauthn_credentials')
+      .where({ id, user_id: userId })
+      .del();
+
+    return count > 0;
+  }
+}
+
+// Create and export singleton instance
+const webAuthnService = new WebAuthnService();
+
+module.exports = webAuthnService;
@@ -0,0 +1,400 @@
+const workoutService = require('./clockwork-workout-service');
+const programService = require('./clockwork-program-service');
+const goalService = require('./clockwork-goal-service');
+const { formatLoad } = require('./clockwork-workout-service');
+
+// Loads follow ?units=, then the caller's saved preference
+const resolveUnitSystem = (req) => req.query.units || req.user.unit_system || 'metric';
+
+const loadUnit = (unitSystem) => (unitSystem === 'imperial' ? 'lb' : 'kg');
+
+// Refresh goal progress from new records without failing the request
+const evaluateGoals = async (clientId) => {
+  try {
+    await goalService.evaluateForClient(clientId, { source: 'personal_record' });
+  } catch (error) {
+    console.error('Goal evaluation error:', error);
+  }
+};
+
+// Adapt the rest of a program to a logged session without failing the request; the workout is already saved
+const adaptProgram = async (assignment, sets) => {
+  try {
+    return await programService.handleCompletion(assignment, sets);
+  } catch (error) {
+    console.error('Program adjustment error:', error);
+    return [];
+  }
+};
+
+// Shape an exercise row for API responses
+const formatExercise = (exercise) => ({
+  id: exercise.id,
+  name: exercise.name,
+  category: exercise.category,
+  muscleGroup: exercise.muscle_group,
+  equipment: exercise.equipment,
+  description: exercise.description,
+  videoUrl: exercise.video_url
+});
+
+// Shape a workout and its exercises for API responses
+const formatWorkout = (workout, unitSystem) => ({
+  id: workout.id,
+  name: workout.name,
+  description: workout.description,
+  estimatedMinutes: workout.estimated_minutes,
+  createdBy: workout.created_by,
+  exercises: workout.exercises?.map(exercise => ({
+    id: exercise.id,
+    exerciseId: exercise.exercise_id,
+    name: exercise.exercise_name,
+    category: exercise.exercise_category,
+    muscleGroup: exercise.exercise_muscle_group,
+    position: exercise.position,
+    sets: exercise.sets,
+    reps: exercise.reps,
+    load: formatLoad(exercise.load_kg, unitSystem),
+    restSeconds: exercise.rest_seconds,
+    notes: exercise.notes
+  })),
+  loadUnit: loadUnit(unitSystem),
+  createdAt: workout.created_at,
+  updatedAt: workout.updated_at
+});
+
+// Shape a program prescription for API responses
+const formatPrescription = (prescription, unitSystem) => prescription?.map(target => ({
+  exerciseId: target.exerciseId,
+  sets: target.sets,
+  reps: target.reps,
+  load: formatLoad(target.loadKg, unitSystem),
+  restSeconds: target.restSeconds
+})) || null;
+
+// Shape a personal record for API responses
+const formatRecord = (record, unitSystem) => {
+  const convert = (value) => (record.record_type === 'max_reps' ? Number(value) : formatLoad(value, unitSystem));
+  
+  return {
+    exerciseId: record.exercise_id,
+    exerciseName: record.exercise_name,
+    type: record.record_type,
+    value: convert(record.value),
+    previousValue: record.previous_value === undefined || record.previous_value === null
+      ? null
+      : convert(record.previous_value),
+    reps: record.reps,
+    load: formatLoad(record.load_kg, unitSystem),
+    achievedAt: record.achieved_at
+  };
+};
+
+// Load a workout the caller may view
+const loadWorkout = async (req, res) => {
+  const workout = await workoutService.findWorkout(req.params.id);
+  if (!workout || !(await workoutService.canViewWorkout(req.user, workout))) {
+    res.status(404).json({ error: 'Workout not found' });
+    return null;
+  }
+  
+  return workout;
+};
+
+// Load a workout the caller may change
+const loadEditableWorkout = async (req, res) => {
+  const workout = await loadWorkout(req, res);
+  if (workout && !workoutService.canEditWorkout(req.user, workout)) {
+    res.status(403).json({ error: 'Only the creator can change this workout' });
+    return null;
+  }
+  
+  return workout;
+};
+
+// Search the exercise library
+const listExercises = async (req, res) => {
+  try {
+    const exercises = await workoutService.listExercises(req.query);
+    
+    res.json({ exercises: exercises.map(formatExercise) });
+  } catch (error) {
+    console.error('List exercises error:', error);
+    res.status(500).json({ error: 'Failed to load exercises' });
+  }
+};
+
+// Add an exercise to the library
+const createExercise = async (req, res) => {
+  try {
+    const exercise = await workoutService.createExercise(req.user, req.body);
+    
+    res.status(201).json({
+      exercise: formatExercise(exercise),
+      message: 'Exercise added'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create exercise error:', error);
+    res.status(500).json({ error: 'Failed to add exercise' });
+  }
+};
+
+// List the caller's workout templates
+const listWorkouts = async (req, res) => {
+  try {
+    const workouts = await workoutService.listWorkouts(req.user.id);
+    
+    res.json({ workouts: workouts.map(workout => formatWorkout(workout, resolveUnitSystem(req))) });
+  } catch (error) {
+    console.error('List workouts error:', error);
+    res.status(500).json({ error: 'Failed to load workouts' });
+  }
+};
+
+// Get a workout with its exercises
+const getWorkout = async (req, res) => {
+  try {
+    const workout = await loadWorkout(req, res);
+    if (!workout) return;
+    
+    res.json({ workout: formatWorkout(workout, resolveUnitSystem(req)) });
+  } catch (error) {
+    console.error('Get workout error:', error);
+    res.status(500).json({ error: 'Failed to load workout' });
+  }
+};
+
+// Create a workout template
+const createWorkout = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const workout = await workoutService.createWorkout(req.user, req.body, unitSystem);
+    
+    res.status(201).json({
+      workout: formatWorkout(workout, unitSystem),
+      message: 'Workout created'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create workout error:', error);
+    res.status(500).json({ error: 'Failed to create workout' });
+  }
+};
+
+// Update a workout template
+const updateWorkout = async (req, res) => {
+  try {
+    const existing = await loadEditableWorkout(req, res);
+    if (!existing) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    const workout = await workoutService.updateWorkout(existing.id, req.body, unitSystem);
+    
+    res.json({
+      workout: formatWorkout(workout, unitSystem),
+      message: 'Workout updated'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update workout error:', error);
+    res.status(500).json({ error: 'Failed to update workout' });
+  }
+};
+
+// Delete a workout template
+const deleteWorkout = async (req, res) => {
+  try {
+    const workout = await loadEditableWorkout(req, res);
+    if (!workout) return;
+    
+    await workoutService.deleteWorkout(workout.id);
+    
+    res.json({ message: 'Workout deleted' });
+  } catch (error) {
+    console.error('Delete workout error:', error);
+    res.status(500).json({ error: 'Failed to delete workout' });
+  }
+};
+
+// Assign a workout to a client
+const assignWorkout = async (req, res) => {
+  try {
+    const workout = await loadEditableWorkout(req, res);
+    if (!workout) return;
+    
+    const assignment = await workoutService.assign(workout, req.user, req.body);
+    
+    res.status(201).json({
+      assignment: {
+        id: assignment.id,
+        workoutId: assignment.workout_id,
+        clientId: assignment.client_id,
+        scheduledFor: assignment.scheduled_for,
+        status: assignment.status,
+        notes: assignment.notes
+      },
+      message: 'Workout assigned'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Assign workout error:', error);
+    res.status(500).json({ error: 'Failed to assign workout' });
+  }
+};
+
+// List a client's assigned workouts
+const listAssignments = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const assignments = await workoutService.listAssignments(req.clientId, req.query);
+    
+    res.json({
+      assignments: assignments.map(assignment => ({
+        id: assignment.id,
+        workoutId: assignment.workout_id,
+        workoutName: assignment.workout_name,
+        estimatedMinutes: assignment.estimated_minutes,
+        assignedBy: assignment.assigned_by_name,
+        scheduledFor: assignment.scheduled_for,
+        status: assignment.status,
+        notes: assignment.notes,
+        completedAt: assignment.completed_at,
+        programAssignmentId: assignment.program_assignment_id,
+        programWeek: assignment.program_week,
+        prescription: formatPrescription(assignment.prescription, unitSystem)
+      })),
+      loadUnit: loadUnit(unitSystem)
+    });
+  } catch (error) {
+    console.error('List assignments error:', error);
+    res.status(500).json({ error: 'Failed to load assigned workouts' });
+  }
+};
+
+// Log a completed workout with the loads actually used
+const completeWorkout = async (req, res) => {
+  try {
+    const workout = await loadWorkout(req, res);
+    if (!workout) return;
+    
+    const unitSystem = resolveUnitSystem(req);
+    const { completion, assignment, sets, newRecords } = await workoutService.complete(req.user, workout, req.body, unitSystem);
+    
+    // Adapt the rest of the program to how this session went
+    const adjustments = await adaptProgram(assignment, sets);
+    
+    // New records can move strength goals
+    if (newRecords.length > 0) {
+      await evaluateGoals(completion.client_id);
+    }
+    
+    res.status(201).json({
+      completion: {
+        id: completion.id,
+        workoutId: completion.workout_id,
+        assignmentId: completion.assignment_id,
+        completedAt: completion.completed_at,
+        durationMinutes: completion.duration_minutes,
+        rpe: completion.rpe,
+        notes: completion.notes,
+        sets: sets.map(set => ({
+          exerciseId: set.exercise_id,
+          setNumber: set.set_number,
+          reps: set.reps,
+          load: formatLoad(set.load_kg, unitSystem)
+        }))
+      },
+      newRecords: newRecords.map(record => formatRecord(record, unitSystem)),
+      programAdjustments: adjustments.map(adjustment => ({
+        reason: adjustment.reason,
+        details: adjustment.details
+      })),
+      loadUnit: loadUnit(unitSystem),
+      message: newRecords.length > 0 ? 'Workout logged — new personal record!' : 'Workout logged'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Complete workout error:', error);
+    res.status(500).json({ error: 'Failed to log workout' });
+  }
+};
+
+// A client's workout history
+const listCompletions = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    const completions = await workoutService.listCompletions(req.clientId, {
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      completions: completions.map(completion => ({
+        id: completion.id,
+        workoutId: completion.workout_id,
+        workoutName: completion.workout_name,
+        completedAt: completion.completed_at,
+        durationMinutes: completion.duration_minutes,
+        rpe: completion.rpe,
+        notes: completion.notes,
+        sets: completion.sets.map(set => ({
+          exerciseId: set.exercise_id,
+          exerciseName: set.exercise_name,
+          setNumber: set.set_number,
+          reps: set.reps,
+          load: formatLoad(set.load_kg, unitSystem)
+        }))
+      })),
+      loadUnit: loadUnit(unitSystem),
+      pagination: { page, limit }
+    });
+  } catch (error) {
+    console.error('List completions error:', error);
+    res.status(500).json({ error: 'Failed to load workout history' });
+  }
+};
+
+// A client's personal records
+const listPersonalRecords = async (req, res) => {
+  try {
+    const unitSystem = resolveUnitSystem(req);
+    const records = await workoutService.listPersonalRecords(req.clientId);
+    
+    res.json({
+      records: records.map(record => formatRecord(record, unitSystem)),
+      loadUnit: loadUnit(unitSystem)
+    });
+  } catch (error) {
+    console.error('List personal records error:', error);
+    res.status(500).json({ error: 'Failed to load personal records' });
+  }
+};
+
+module.exports = {
+  listExercises,
+  createExercise,
+  listWorkouts,
+  getWorkout,
+  createWorkout,
+  updateWorkout,
+  deleteWorkout,
+  assignWorkout,
+  listAssignments,
+  completeWorkout,
+  listCompletions,
+  listPersonalRecords
+};
@@ -0,0 +1,396 @@
+const { db } = require('../config/database');
+const emailService = require('./clockwork-email-service');
+const relationshipService = require('./clockwork-relationship-service');
+const { toMetric, fromMetric } = require('./clockwork-measurement-service');
+const { hasPermission } = require('./clockwork-rbac');
+
+const EXERCISE_CATEGORIES = ['strength', 'cardio', 'mobility', 'plyometric'];
+
+// Build an error carrying an HTTP status
+const workoutError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Convert a stored load for display
+const formatLoad = (loadKg, unitSystem) => {
+  const value = fromMetric(loadKg, 'mass', unitSystem);
+  return value === null ? null : Math.round(value * 10) / 10;
+};
+
+// Epley estimate of a one-rep max
+const estimateOneRepMax = (load, reps) => (reps === 1 ? load : load * (1 + reps / 30));
+
+// Best value of each record type among one exercise's logged sets; failed sets (no completed reps) set no record
+const bestEfforts = (sets) => {
+  const efforts = {};
+
+  for (const set of sets.filter(set => set.reps >= 1)) {
+    const load = set.load_kg ? Number(set.load_kg) : 0;
+    const candidates = load > 0
+      ? { max_load: load, estimated_1rm: estimateOneRepMax(load, set.reps) }
+      : { max_reps: set.reps };
+
+    for (const [type, value] of Object.entries(candidates)) {
+      if (!efforts[type] || value > efforts[type].value) {
+        efforts[type] = { value, reps: set.reps, load_kg: load || null };
+      }
+    }
+  }
+
+  return efforts;
+};
+
+// Workout service class
+class WorkoutService {
+  // Search the shared exercise library
+  async listExercises({ search, category, muscleGroup } = {}) {
+    const query = db('exercises').orderBy('name', 'asc');
+
+    if (search) query.whereILike('name', `%${search}%`);
+    if (category) query.where({ category });
+    if (muscleGroup) query.where({ muscle_group: muscleGroup });
+
+    return await query;
+  }
+
+  // Add an exercise to the shared library
+  async createExercise(user, { name, category, muscleGroup, equipment, description, videoUrl }) {
+    const existing = await db('exercises').whereRaw('lower(name) = ?', [name.toLowerCase()]).first();
+    if (existing) {
+      throw workoutError(409, 'An exercise with this name already exists');
+    }
+
+    const [exercise] = await db('exercises')
+      .insert({
+        name,
+        category,
+        muscle_group: muscleGroup,
+        equipment,
+        description,
+        video_url: videoUrl,
+        created_by: user.id
+      })
+      .returning('*');
+
+    return exercise;
+  }
+
+  // Load a workout with its exercises in order
+  async findWorkout(id) {
+    const workout = await db('workouts').where({ id }).first();
+    if (!workout) {
+      return null;
+    }
+
+    workout.exercises = await db('workout_exercises')
+      .join('exercises', 'exercises.id', 'workout_exercises.exercise_id')
+      .select(
+        'workout_exercises.*',
+        'exercises.name as exercise_name',
+        'exercises.category as exercise_category',
+        'exercises.muscle_group as exercise_muscle_group'
+      )
+      .where({ workout_id: id })
+      .orderBy('position', 'asc');
+
+    return workout;
+  }
+
+  // Workouts built by a specialist
+  async listWorkouts(createdBy) {
+    return await db('workouts')
+      .where({ created_by: createdBy })
+      .orderBy('updated_at', 'desc');
+  }
+
+  // Creators, admins and assigned clients may view a workout
+  async canViewWorkout(user, workout) {
+    if (workout.created_by === user.id || hasPermission(user, 'users:read:any')) {
+      return true;
+    }
+
+    const assignment = await db('workout_assignments')
+      .where({ workout_id: workout.id, client_id: user.id })
+      .first('id');
+
+    return Boolean(assignment);
+  }
+
+  // Only the creator or an admin may change a workout
+  canEditWorkout(user, workout) {
+    return workout.created_by === user.id || hasPermission(user, 'users:update:any');
+  }
+
+  // Insert the exercise rows of a workout, converting loads to kg
+  async insertExercises(trx, workoutId, exercises, unitSystem) {
+    if (exercises.length === 0) {
+      return;
+    }
+
+    const exerciseIds = [...new Set(exercises.map(exercise => exercise.exerciseId))];
+    const known = await trx('exercises').whereIn('id', exerciseIds).pluck('id');
+    if (known.length !== exerciseIds.length) {
+      throw workoutError(400, 'Unknown exercise in workout');
+    }
+
+    await trx('workout_exercises').insert(exercises.map((exercise, index) => ({
+      workout_id: workoutId,
+      exercise_id: exercise.exerciseId,
+      position: index + 1,
+      sets: exercise.sets,
+      reps: exercise.reps,
+      load_kg: toMetric(exercise.load, 'mass', unitSystem),
+      rest_seconds: exercise.restSeconds,
+      notes: exercise.notes
+    })));
+  }
+
+  // Create a workout template
+  async createWorkout(user, { name, description, estimatedMinutes, exercises = [] }, unitSystem) {
+    const workoutId = await db.transaction(async (trx) => {
+      const [workout] = await trx('workouts')
+        .insert({
+          created_by: user.id,
+          name,
+          description,
+          estimated_minutes: estimatedMinutes
+        })
+        .returning(['id']);
+
+      await this.insertExercises(trx, workout.id, exercises, unitSystem);
+      return workout.id;
+    });
+
+    return await this.findWorkout(workoutId);
+  }
+
+  // Update a workout; a supplied exercise list replaces the existing one
+  async updateWorkout(id, { name, description, estimatedMinutes, exercises }, unitSystem) {
+    await db.transaction(async (trx) => {
+      const updates = { updated_at: new Date() };
+      if (name !== undefined) updates.name = name;
+      if (description !== undefined) updates.description = description;
+      if (estimatedMinutes !== undefined) updates.estimated_minutes = estimatedMinutes;
+
+      await trx('workouts').where({ id }).update(updates);
+
+      if (exercises !== undefined) {
+        await trx('workout_exercises').where({ workout_id: id }).del();
+        await this.insertExercises(trx, id, exercises, unitSystem);
+      }
+    });
+
+    return await this.findWorkout(id);
+  }
+
+  async deleteWorkout(id) {
+    await db('workouts').where({ id }).del();
+  }
+
+  // Assign a workout to a client and let them know by email
+  async assign(workout, specialist, { clientId, scheduledFor, notes }) {
+    const client = await db('users').where({ id: clientId }).first();
+    if (!client) {
+      throw workoutError(404, 'Client not found');
+    }
+
+    const allowed = clientId === specialist.id
+      || hasPermission(specialist, 'users:update:any')
+      || await relationshipService.isActive(specialist.id, clientId);
+    if (!allowed) {
+      throw workoutError(403, 'You can only assign workouts to your own clients');
+    }
+
+    const [assignment] = await db('workout_assignments')
+      .insert({
+        workout_id: workout.id,
+        client_id: clientId,
+        assigned_by: specialist.id,
+        scheduled_for: scheduledFor,
+        notes
+      })
+      .returning('*');
+
+    if (clientId !== specialist.id) {
+      try {
+        await emailService.sendWorkoutAssignedEmail(client.email, client.name, specialist.name, workout.name);
+      } catch (error) {
+        // The assignment stands even if the notification fails
+        console.error('Workout assigned email error:', error);
+      }
+    }
+
+    return assignment;
+  }
+
+  // A client's assigned workouts
+  async listAssignments(clientId, { status, from, to } = {}) {
+    const query = db('workout_assignments')
+      .join('workouts', 'workouts.id', 'workout_assignments.workout_id')
+      .leftJoin('users as assigner', 'assigner.id', 'workout_assignments.assigned_by')
+      .select(
+        'workout_assignments.*',
+        'workouts.name as workout_name',
+        'workouts.estimated_minutes',
+        'assigner.name as assigned_by_name'
+      )
+      .where('workout_assignments.client_id', clientId)
+      .orderBy('workout_assignments.scheduled_for', 'asc');
+
+    if (status) query.where('workout_assignments.status', status);
+    if (from) query.where('workout_assignments.scheduled_for', '>=', from);
+    if (to) query.where('workout_assignments.scheduled_for', '<=', to);
+
+    return await query;
+  }
+
+  // Log a completed workout and update personal records
+  async complete(user, workout, { assignmentId, completedAt, durationMinutes, rpe, notes, sets = [] }, unitSystem) {
+    const assignmentQuery = db('workout_assignments')
+      .where({ workout_id: workout.id, client_id: user.id, status: 'assigned' });
+
+    if (assignmentId) {
+      assignmentQuery.where({ id: assignmentId });
+    } else {
+      assignmentQuery.orderByRaw('scheduled_for asc nulls last');
+    }
+
+    const assignment = await assignmentQuery.first();
+    if (!assignment && (assignmentId || workout.created_by !== user.id)) {
+      throw workoutError(404, 'No open assignment for this workout');
+    }
+
+    const exerciseIds = [...new Set(sets.map(set => set.exerciseId))];
+    const known = exerciseIds.length > 0 ? await db('exercises').whereIn('id', exerciseIds).pluck('id') : [];
+    if (known.length !== exerciseIds.length) {
+      throw workoutError(400, 'Unknown exercise in logged sets');
+    }
+
+    return await db.transaction(async (trx) => {
+      const [completion] = await trx('workout_completions')
+        .insert({
+          assignment_id: assignment?.id || null,
+          workout_id: workout.id,
+          client_id: user.id,
+          completed_at: completedAt ? new Date(completedAt) : new Date(),
+          duration_minutes: durationMinutes,
+          rpe,
+          notes
+        })
+        .returning('*');
+
+      const loggedSets = sets.map((set, index) => ({
+        completion_id: completion.id,
+        exercise_id: set.exerciseId,
+        set_number: set.setNumber || index + 1,
+        reps: set.reps,
+        load_kg: toMetric(set.load, 'mass', unitSystem)
+      }));
+
+      if (loggedSets.length > 0) {
+        await trx('completion_sets').insert(loggedSets);
+      }
+
+      if (assignment) {
+        await trx('workout_assignments')
+          .where({ id: assignment.id })
+          .update({
+            status: 'completed',
+            completed_at: completion.completed_at,
+            updated_at: new Date()
+          });
+      }
+
+      const newRecords = await this.updatePersonalRecords(trx, user.id, completion, loggedSets);
+
+      return { completion, assignment, sets: loggedSets, newRecords };
+    });
+  }
+
+  // Replace records beaten by this completion; returns the new records
+  async updatePersonalRecords(trx, clientId, completion, sets) {
+    const setsByExercise = new Map();
+    for (const set of sets) {
+      setsByExercise.set(set.exercise_id, [...(setsByExercise.get(set.exercise_id) || []), set]);
+    }
+
+    const newRecords = [];
+
+    for (const [exerciseId, exerciseSets] of setsByExercise) {
+      const current = await trx('personal_records')
+        .where({ client_id: clientId, exercise_id: exerciseId })
+        .forUpdate();
+
+      for (const [recordType, effort] of Object.entries(bestEfforts(exerciseSets))) {
+        const previous = current.find(record => record.record_type === recordType);
+        if (previous && Number(previous.value) >= effort.value) {
+          continue;
+        }
+
+        const [record] = await trx('personal_records')
+          .insert({
+            client_id: clientId,
+            exercise_id: exerciseId,
+            record_type: recordType,
+            value: effort.value,
+            reps: effort.reps,
+            load_kg: effort.load_kg,
+            completion_id: completion.id,
+            achieved_at: completion.completed_at,
+            updated_at: new Date()
+          })
+          .onConflict(['client_id', 'exercise_id', 'record_type'])
+          .merge()
+          .returning('*');
+
+        newRecords.push({ ...record, previous_value: previous ? Number(previous.value) : null });
+      }
+    }
+
+    return newRecords;
+  }
+
+  // A client's workout history, newest first
+  async listCompletions(clientId, { limit = 20, offset = 0 } = {}) {
+    const completions = await db('workout_completions')
+      .leftJoin('workouts', 'workouts.id', 'workout_completions.workout_id')
+      .select('workout_completions.*', 'workouts.name as workout_name')
+      .where('workout_completions.client_id', clientId)
+      .orderBy('workout_completions.completed_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    if (completions.length === 0) {
+      return completions;
+    }
+
+    const sets = await db('completion_sets')
+      .join('exercises', 'exercises.id', 'completion_sets.exercise_id')
+      .select('completion_sets.*', 'exercises.name as exercise_name')
+      .whereIn('completion_id', completions.map(completion => completion.id))
+      .orderBy(['completion_id', 'set_number']);
+
+    return completions.map(completion => ({
+      ...completion,
+      sets: sets.filter(set => set.completion_id === completion.id)
+    }));
+  }
+
+  // A client's personal records per exercise
+  async listPersonalRecords(clientId) {
+    return await db('personal_records')
+      .join('exercises', 'exercises.id', 'personal_records.exercise_id')
+      .select('personal_records.*', 'exercises.name as exercise_name')
+      .where('personal_records.client_id', clientId)
+      .orderBy(['exercises.name', 'personal_records.record_type']);
+  }
+}
+
+// Create and export singleton instance
+const workoutService = new WorkoutService();
+
+module.exports = workoutService;
+module.exports.EXERCISE_CATEGORIES = EXERCISE_CATEGORIES;
+module.exports.formatLoad = formatLoad;
@@ -0,0 +1,22 @@
+// Per-device login sessions, each holding its own refresh token
+exports.up = async (knex) => {
+  await knex.schema.createTable('user_sessions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('device_name', 255);
+    table.text('user_agent');
+    table.string('ip_address', 64);
+    table.string('refresh_token_hash', 64);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_used_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('revoked_at');
+    table.string('revoked_reason', 50);
+
+    table.index(['user_id', 'revoked_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('user_sessions');
+};
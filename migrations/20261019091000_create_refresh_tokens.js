@@ -0,0 +1,28 @@
+// Refresh token families: every rotation records its parent so reuse can be traced
+exports.up = async (knex) => {
+  await knex.schema.createTable('refresh_tokens', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('session_id').notNullable().references('id').inTable('user_sessions').onDelete('CASCADE');
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('parent_id').references('id').inTable('refresh_tokens').onDelete('SET NULL');
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('rotated_at');
+    table.timestamp('revoked_at');
+
+    table.index(['session_id']);
+  });
+
+  await knex.schema.alterTable('user_sessions', (table) => {
+    table.dropColumn('refresh_token_hash');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('user_sessions', (table) => {
+    table.string('refresh_token_hash', 64);
+  });
+
+  await knex.schema.dropTableIfExists('refresh_tokens');
+};
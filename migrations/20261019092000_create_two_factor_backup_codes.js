@@ -0,0 +1,16 @@
+// Durable storage for 2FA backup codes (previously kept in Redis)
+exports.up = async (knex) => {
+  await knex.schema.createTable('two_factor_backup_codes', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('code_hash', 255).notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('used_at');
+
+    table.index(['user_id', 'used_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('two_factor_backup_codes');
+};
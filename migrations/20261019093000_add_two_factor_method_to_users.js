@@ -0,0 +1,12 @@
+// Preferred second factor: authenticator app, SMS or email one-time code
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('two_factor_method', 10).notNullable().defaultTo('totp');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('two_factor_method');
+  });
+};
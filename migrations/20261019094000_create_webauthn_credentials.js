@@ -0,0 +1,22 @@
+// Passkeys registered per user, with the signature counter used to detect cloned authenticators
+exports.up = async (knex) => {
+  await knex.schema.createTable('webauthn_credentials', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('credential_id', 512).notNullable().unique();
+    table.text('public_key').notNullable();
+    table.bigInteger('counter').notNullable().defaultTo(0);
+    table.jsonb('transports').notNullable().defaultTo('[]');
+    table.string('device_type', 32);
+    table.boolean('backed_up').notNullable().defaultTo(false);
+    table.string('name', 255);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_used_at');
+
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('webauthn_credentials');
+};
@@ -0,0 +1,22 @@
+// Temporary account lockouts after repeated failed sign-in attempts
+exports.up = async (knex) => {
+  await knex.schema.createTable('account_lockouts', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('failed_attempts').notNullable();
+    table.string('reason', 50).notNullable();
+    table.string('ip_address', 64);
+    table.string('unlock_token_hash', 64);
+    table.timestamp('locked_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('locked_until').notNullable();
+    table.timestamp('unlocked_at');
+    table.uuid('unlocked_by').references('id').inTable('users').onDelete('SET NULL');
+
+    table.index(['user_id', 'unlocked_at']);
+    table.index(['unlock_token_hash']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('account_lockouts');
+};
@@ -0,0 +1,19 @@
+// Email verification state; accounts created before this migration are treated as verified
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.boolean('email_verified').notNullable().defaultTo(false);
+    table.timestamp('email_verified_at');
+  });
+
+  await knex('users').update({
+    email_verified: true,
+    email_verified_at: knex.fn.now()
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('email_verified');
+    table.dropColumn('email_verified_at');
+  });
+};
@@ -0,0 +1,90 @@
+// Specialist-client relationships replace the users.client_ids / users.specialist_ids JSON arrays
+exports.up = async (knex) => {
+  await knex.schema.createTable('specialist_clients', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('client_id').references('id').inTable('users').onDelete('CASCADE');
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, active, declined, ended
+    table.string('invite_email', 255);
+    table.string('invite_phone', 20);
+    table.string('invite_token_hash', 64);
+    table.text('invite_message');
+    table.timestamp('invited_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('responded_at');
+    table.timestamp('ended_at');
+    table.uuid('ended_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['specialist_id', 'status']);
+    table.index(['client_id', 'status']);
+    table.index(['invite_email']);
+    table.index(['invite_token_hash']);
+  });
+
+  // Only one open (pending or active) relationship per pair
+  await knex.raw(`
+    CREATE UNIQUE INDEX specialist_clients_open_pair_idx
+    ON specialist_clients (specialist_id, client_id)
+    WHERE status IN ('pending', 'active') AND client_id IS NOT NULL
+  `);
+
+  // Carry existing links over as active relationships
+  const users = await knex('users').select('id', 'client_ids', 'specialist_ids');
+  const pairs = new Set();
+  for (const user of users) {
+    for (const clientId of JSON.parse(user.client_ids || '[]')) {
+      pairs.add(`${user.id}:${clientId}`);
+    }
+    for (const specialistId of JSON.parse(user.specialist_ids || '[]')) {
+      pairs.add(`${specialistId}:${user.id}`);
+    }
+  }
+
+  const userIds = new Set(users.map(user => user.id));
+  const rows = [...pairs]
+    .map(pair => pair.split(':'))
+    .filter(([specialistId, clientId]) => userIds.has(specialistId) && userIds.has(clientId))
+    .map(([specialistId, clientId]) => ({
+      specialist_id: specialistId,
+      client_id: clientId,
+      status: 'active',
+      responded_at: knex.fn.now()
+    }));
+
+  if (rows.length > 0) {
+    await knex.batchInsert('specialist_clients', rows, 500);
+  }
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('client_ids');
+    table.dropColumn('specialist_ids');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.text('client_ids').defaultTo('[]');
+    table.text('specialist_ids').defaultTo('[]');
+  });
+
+  const active = await knex('specialist_clients')
+    .where({ status: 'active' })
+    .select('specialist_id', 'client_id');
+
+  const clientIds = {};
+  const specialistIds = {};
+  for (const { specialist_id: specialistId, client_id: clientId } of active) {
+    (clientIds[specialistId] = clientIds[specialistId] || []).push(clientId);
+    (specialistIds[clientId] = specialistIds[clientId] || []).push(specialistId);
+  }
+
+  for (const [id, ids] of Object.entries(clientIds)) {
+    await knex('users').where({ id }).update({ client_ids: JSON.stringify(ids) });
+  }
+  for (const [id, ids] of Object.entries(specialistIds)) {
+    await knex('users').where({ id }).update({ specialist_ids: JSON.stringify(ids) });
+  }
+
+  await knex.schema.dropTableIfExists('specialist_clients');
+};
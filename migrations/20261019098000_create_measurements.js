@@ -0,0 +1,36 @@
+// Body measurements stored in metric units, plus each user's preferred display units
+exports.up = async (knex) => {
+  await knex.schema.createTable('measurements', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('recorded_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('measured_at').notNullable().defaultTo(knex.fn.now());
+    table.decimal('weight_kg', 6, 2);
+    table.decimal('height_cm', 5, 1);
+    table.decimal('body_fat_percentage', 4, 1);
+    table.decimal('muscle_mass_kg', 6, 2);
+    table.decimal('waist_cm', 5, 1);
+    table.decimal('hips_cm', 5, 1);
+    table.decimal('chest_cm', 5, 1);
+    table.decimal('arms_cm', 5, 1);
+    table.decimal('thighs_cm', 5, 1);
+    table.integer('resting_heart_rate');
+    table.text('notes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'measured_at']);
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.string('unit_system', 10).notNullable().defaultTo('metric'); // metric, imperial
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('unit_system');
+  });
+
+  await knex.schema.dropTableIfExists('measurements');
+};
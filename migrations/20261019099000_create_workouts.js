@@ -0,0 +1,110 @@
+// Exercise library, workout templates, client assignments, logged completions and personal records
+exports.up = async (knex) => {
+  await knex.schema.createTable('exercises', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 255).notNullable();
+    table.string('category', 50).notNullable().defaultTo('strength'); // strength, cardio, mobility, plyometric
+    table.string('muscle_group', 50);
+    table.string('equipment', 50);
+    table.text('description');
+    table.string('video_url', 500);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['category', 'muscle_group']);
+  });
+
+  await knex.raw('CREATE UNIQUE INDEX exercises_name_idx ON exercises (lower(name))');
+
+  await knex.schema.createTable('workouts', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('created_by').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name', 255).notNullable();
+    table.text('description');
+    table.integer('estimated_minutes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['created_by']);
+  });
+
+  await knex.schema.createTable('workout_exercises', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('workout_id').notNullable().references('id').inTable('workouts').onDelete('CASCADE');
+    table.uuid('exercise_id').notNullable().references('id').inTable('exercises').onDelete('RESTRICT');
+    table.integer('position').notNullable();
+    table.integer('sets').notNullable();
+    table.integer('reps');
+    table.decimal('load_kg', 6, 2);
+    table.integer('rest_seconds');
+    table.text('notes');
+
+    table.index(['workout_id', 'position']);
+  });
+
+  await knex.schema.createTable('workout_assignments', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('workout_id').notNullable().references('id').inTable('workouts').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('assigned_by').references('id').inTable('users').onDelete('SET NULL');
+    table.date('scheduled_for');
+    table.string('status', 20).notNullable().defaultTo('assigned'); // assigned, completed, skipped
+    table.text('notes');
+    table.timestamp('completed_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'status', 'scheduled_for']);
+  });
+
+  await knex.schema.createTable('workout_completions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('assignment_id').references('id').inTable('workout_assignments').onDelete('SET NULL');
+    table.uuid('workout_id').references('id').inTable('workouts').onDelete('SET NULL');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.timestamp('completed_at').notNullable().defaultTo(knex.fn.now());
+    table.integer('duration_minutes');
+    table.integer('rpe');
+    table.text('notes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'completed_at']);
+  });
+
+  await knex.schema.createTable('completion_sets', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('completion_id').notNullable().references('id').inTable('workout_completions').onDelete('CASCADE');
+    table.uuid('exercise_id').notNullable().references('id').inTable('exercises').onDelete('RESTRICT');
+    table.integer('set_number').notNullable();
+    table.integer('reps').notNullable();
+    table.decimal('load_kg', 6, 2);
+
+    table.index(['completion_id']);
+  });
+
+  await knex.schema.createTable('personal_records', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('exercise_id').notNullable().references('id').inTable('exercises').onDelete('CASCADE');
+    table.string('record_type', 20).notNullable(); // max_load, estimated_1rm, max_reps
+    table.decimal('value', 8, 2).notNullable();
+    table.integer('reps');
+    table.decimal('load_kg', 6, 2);
+    table.uuid('completion_id').references('id').inTable('workout_completions').onDelete('SET NULL');
+    table.timestamp('achieved_at').notNullable();
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['client_id', 'exercise_id', 'record_type']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('personal_records');
+  await knex.schema.dropTableIfExists('completion_sets');
+  await knex.schema.dropTableIfExists('workout_completions');
+  await knex.schema.dropTableIfExists('workout_assignments');
+  await knex.schema.dropTableIfExists('workout_exercises');
+  await knex.schema.dropTableIfExists('workouts');
+  await knex.schema.dropTableIfExists('exercises');
+};
@@ -0,0 +1,71 @@
+// Multi-week training programs materialized into dated workout assignments
+exports.up = async (knex) => {
+  await knex.schema.createTable('programs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('created_by').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name', 255).notNullable();
+    table.text('description');
+    table.integer('duration_weeks').notNullable();
+    table.jsonb('progression').notNullable().defaultTo('{}'); // incrementKg, exerciseIds, deloadEvery, deloadPercent
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['created_by']);
+  });
+
+  await knex.schema.createTable('program_workouts', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('program_id').notNullable().references('id').inTable('programs').onDelete('CASCADE');
+    table.uuid('workout_id').notNullable().references('id').inTable('workouts').onDelete('CASCADE');
+    table.integer('week').notNullable();
+    table.integer('day').notNullable(); // 1-7, counted from the assignment start date
+
+    table.index(['program_id', 'week', 'day']);
+  });
+
+  await knex.schema.createTable('program_assignments', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('program_id').notNullable().references('id').inTable('programs').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('assigned_by').references('id').inTable('users').onDelete('SET NULL');
+    table.date('start_date').notNullable();
+    table.string('status', 20).notNullable().defaultTo('active'); // active, completed, cancelled
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'status']);
+  });
+
+  await knex.schema.alterTable('workout_assignments', (table) => {
+    table.uuid('program_assignment_id').references('id').inTable('program_assignments').onDelete('CASCADE');
+    table.integer('program_week');
+    table.jsonb('prescription'); // per-week sets, reps and load overriding the workout template
+
+    table.index(['program_assignment_id', 'status', 'scheduled_for']);
+  });
+
+  await knex.schema.createTable('program_adjustments', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('program_assignment_id').notNullable().references('id').inTable('program_assignments').onDelete('CASCADE');
+    table.uuid('workout_assignment_id').references('id').inTable('workout_assignments').onDelete('SET NULL');
+    table.string('reason', 20).notNullable(); // missed, failed
+    table.jsonb('details').notNullable().defaultTo('{}');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['program_assignment_id', 'created_at']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('program_adjustments');
+
+  await knex.schema.alterTable('workout_assignments', (table) => {
+    table.dropColumn('program_assignment_id');
+    table.dropColumn('program_week');
+    table.dropColumn('prescription');
+  });
+
+  await knex.schema.dropTableIfExists('program_assignments');
+  await knex.schema.dropTableIfExists('program_workouts');
+  await knex.schema.dropTableIfExists('programs');
+};
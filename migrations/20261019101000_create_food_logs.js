@@ -0,0 +1,47 @@
+// Local food database and daily food-log entries that roll up against nutrition targets
+exports.up = async (knex) => {
+  await knex.schema.createTable('foods', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 255).notNullable();
+    table.string('brand', 255);
+    table.decimal('serving_size', 8, 2).notNullable().defaultTo(100);
+    table.string('serving_unit', 20).notNullable().defaultTo('g'); // g, ml, piece
+    table.decimal('calories', 8, 2).notNullable().defaultTo(0);
+    table.decimal('protein_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('carbs_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('fat_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('fiber_g', 8, 2).notNullable().defaultTo(0);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.raw("CREATE UNIQUE INDEX foods_name_brand_idx ON foods (lower(name), lower(coalesce(brand, '')))");
+
+  // Macros are copied onto each entry so later food edits don't rewrite history
+  await knex.schema.createTable('food_logs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('logged_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('food_id').references('id').inTable('foods').onDelete('SET NULL');
+    table.date('logged_on').notNullable();
+    table.string('meal', 20).notNullable().defaultTo('snack'); // breakfast, lunch, dinner, snack
+    table.string('name', 255).notNullable();
+    table.decimal('servings', 6, 2).notNullable().defaultTo(1);
+    table.decimal('calories', 8, 2).notNullable().defaultTo(0);
+    table.decimal('protein_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('carbs_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('fat_g', 8, 2).notNullable().defaultTo(0);
+    table.decimal('fiber_g', 8, 2).notNullable().defaultTo(0);
+    table.integer('water_ml').notNullable().defaultTo(0);
+    table.text('notes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'logged_on']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('food_logs');
+  await knex.schema.dropTableIfExists('foods');
+};
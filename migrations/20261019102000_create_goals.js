@@ -0,0 +1,40 @@
+// Goals tracked against measurements or personal records, with dated milestones
+exports.up = async (knex) => {
+  await knex.schema.createTable('goals', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.string('title', 255).notNullable();
+    table.string('source', 20).notNullable(); // measurement, personal_record
+    table.string('metric', 50).notNullable(); // measurement metric or personal record type
+    table.uuid('exercise_id').references('id').inTable('exercises').onDelete('CASCADE');
+    table.decimal('start_value', 10, 2).notNullable();
+    table.decimal('target_value', 10, 2).notNullable();
+    table.decimal('current_value', 10, 2);
+    table.integer('progress_percent').notNullable().defaultTo(0);
+    table.date('start_date').notNullable();
+    table.date('deadline').notNullable();
+    table.string('status', 20).notNullable().defaultTo('active'); // active, achieved, abandoned
+    table.timestamp('achieved_at');
+    table.timestamp('evaluated_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'status']);
+  });
+
+  await knex.schema.createTable('goal_milestones', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('goal_id').notNullable().references('id').inTable('goals').onDelete('CASCADE');
+    table.decimal('target_value', 10, 2).notNullable();
+    table.date('due_date').notNullable();
+    table.timestamp('reached_at');
+
+    table.index(['goal_id', 'due_date']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('goal_milestones');
+  await knex.schema.dropTableIfExists('goals');
+};
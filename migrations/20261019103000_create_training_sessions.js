@@ -0,0 +1,67 @@
+// Appointment scheduling: specialist availability, recurring series and time-zone-aware training sessions
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('timezone', 64).notNullable().defaultTo('UTC');
+    table.integer('cancellation_window_hours'); // null falls back to CANCELLATION_WINDOW_HOURS
+  });
+
+  await knex.schema.createTable('availability_slots', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('weekday').notNullable(); // 0 = Sunday, in the slot's time zone
+    table.string('start_time', 5).notNullable(); // HH:MM local
+    table.string('end_time', 5).notNullable();
+    table.string('timezone', 64).notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['specialist_id', 'weekday']);
+  });
+
+  await knex.schema.createTable('session_series', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('frequency', 20).notNullable(); // weekly, biweekly
+    table.integer('occurrences').notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('training_sessions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('series_id').references('id').inTable('session_series').onDelete('SET NULL');
+    table.uuid('booked_by').references('id').inTable('users').onDelete('SET NULL');
+    table.string('type', 50).notNullable().defaultTo('training');
+    table.timestamp('starts_at', { useTz: true }).notNullable();
+    table.timestamp('ends_at', { useTz: true }).notNullable();
+    table.integer('duration_minutes').notNullable();
+    table.string('timezone', 64).notNullable();
+    table.date('date').notNullable(); // local date in the session's time zone
+    table.string('time', 5).notNullable(); // local HH:MM in the session's time zone
+    table.string('location', 255);
+    table.text('notes');
+    table.string('status', 20).notNullable().defaultTo('scheduled'); // scheduled, confirmed, cancelled, completed, no_show
+    table.uuid('cancelled_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('cancelled_at');
+    table.text('cancellation_reason');
+    table.boolean('late_cancellation').notNullable().defaultTo(false);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['specialist_id', 'starts_at']);
+    table.index(['client_id', 'starts_at']);
+    table.index(['series_id']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('training_sessions');
+  await knex.schema.dropTableIfExists('session_series');
+  await knex.schema.dropTableIfExists('availability_slots');
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('cancellation_window_hours');
+    table.dropColumn('timezone');
+  });
+};
@@ -0,0 +1,25 @@
+// Reminder ledger so scheduled jobs never send the same reminder twice, plus per-user notification preferences
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.jsonb('notification_preferences').notNullable().defaultTo('{}'); // overrides of NOTIFICATION_DEFAULTS
+  });
+
+  await knex.schema.createTable('sent_reminders', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('kind', 50).notNullable(); // appointment_24h, appointment_1h, workout, payment
+    table.string('reference_id', 100).notNullable(); // session id, local date or invoice id and step
+    table.string('channel', 10).notNullable(); // email, sms
+    table.timestamp('sent_at').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'kind', 'reference_id', 'channel']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('sent_reminders');
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('notification_preferences');
+  });
+};
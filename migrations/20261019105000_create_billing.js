@@ -0,0 +1,64 @@
+// Stripe billing: customers, subscriptions, invoices and a processed-event log for idempotent webhooks
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('stripe_customer_id', 255).unique();
+  });
+
+  await knex.schema.createTable('subscriptions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('stripe_subscription_id', 255).notNullable().unique();
+    table.string('stripe_customer_id', 255).notNullable();
+    table.string('plan', 50).notNullable(); // premium, professional, enterprise
+    table.string('status', 30).notNullable(); // Stripe status: trialing, active, past_due, canceled, unpaid, ...
+    table.timestamp('current_period_start');
+    table.timestamp('current_period_end');
+    table.boolean('cancel_at_period_end').notNullable().defaultTo(false);
+    table.timestamp('canceled_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'status']);
+  });
+
+  await knex.schema.createTable('invoices', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('subscription_id').references('id').inTable('subscriptions').onDelete('SET NULL');
+    table.string('stripe_invoice_id', 255).unique();
+    table.string('number', 100);
+    table.string('status', 20).notNullable(); // draft, open, paid, void, uncollectible
+    table.string('currency', 3).notNullable().defaultTo('usd');
+    table.integer('subtotal_cents').notNullable().defaultTo(0);
+    table.integer('tax_cents').notNullable().defaultTo(0);
+    table.integer('total_cents').notNullable().defaultTo(0);
+    table.integer('amount_due_cents').notNullable().defaultTo(0);
+    table.integer('amount_paid_cents').notNullable().defaultTo(0);
+    table.jsonb('line_items').notNullable().defaultTo('[]'); // [{ description, amountCents }]
+    table.date('due_date');
+    table.timestamp('paid_at');
+    table.text('hosted_invoice_url');
+    table.text('pdf_url');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'created_at']);
+    table.index(['status', 'due_date']);
+  });
+
+  await knex.schema.createTable('stripe_events', (table) => {
+    table.string('id', 255).primary(); // Stripe event id
+    table.string('type', 100).notNullable();
+    table.timestamp('processed_at').notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('stripe_events');
+  await knex.schema.dropTableIfExists('invoices');
+  await knex.schema.dropTableIfExists('subscriptions');
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('stripe_customer_id');
+  });
+};
@@ -0,0 +1,46 @@
+// Specialist-to-client invoicing: issuer and platform fee on invoices, prepaid session packs
+exports.up = async (knex) => {
+  await knex.schema.alterTable('invoices', (table) => {
+    // Null for platform subscription invoices
+    table.uuid('specialist_id').references('id').inTable('users').onDelete('SET NULL');
+    table.integer('platform_fee_cents').notNullable().defaultTo(0);
+
+    table.index(['specialist_id', 'status']);
+  });
+
+  await knex.schema.createTable('session_packs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('invoice_id').references('id').inTable('invoices').onDelete('SET NULL');
+    table.string('name', 255).notNullable();
+    table.integer('sessions_total').notNullable();
+    table.integer('sessions_remaining').notNullable();
+    table.integer('price_cents').notNullable();
+    table.string('status', 20).notNullable().defaultTo('active'); // active, exhausted, cancelled
+    table.date('expires_on');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['specialist_id', 'client_id', 'status']);
+  });
+
+  await knex.schema.alterTable('training_sessions', (table) => {
+    // Pack the session was drawn from once completed
+    table.uuid('session_pack_id').references('id').inTable('session_packs').onDelete('SET NULL');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('training_sessions', (table) => {
+    table.dropColumn('session_pack_id');
+  });
+
+  await knex.schema.dropTableIfExists('session_packs');
+
+  await knex.schema.alterTable('invoices', (table) => {
+    table.dropIndex(['specialist_id', 'status']);
+    table.dropColumn('platform_fee_cents');
+    table.dropColumn('specialist_id');
+  });
+};
@@ -0,0 +1,31 @@
+// Chat: one conversation per specialist–client pair, with persisted messages and read receipts
+exports.up = async (knex) => {
+  await knex.schema.createTable('conversations', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('specialist_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.timestamp('last_message_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['specialist_id', 'client_id']);
+    table.index('client_id');
+  });
+
+  await knex.schema.createTable('messages', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('conversation_id').notNullable().references('id').inTable('conversations').onDelete('CASCADE');
+    table.uuid('sender_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.text('body').notNullable();
+    table.timestamp('read_at'); // Set when the other participant reads it
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    // History is paged by (created_at, id)
+    table.index(['conversation_id', 'created_at', 'id']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('messages');
+  await knex.schema.dropTableIfExists('conversations');
+};
@@ -0,0 +1,20 @@
+// Mark chat messages once they have gone out in an offline digest
+exports.up = async (knex) => {
+  await knex.schema.alterTable('messages', (table) => {
+    table.timestamp('notified_at');
+  });
+
+  // The digest job only looks at unread messages nobody has been told about yet
+  await knex.raw(`
+    create index messages_pending_digest_idx on messages (created_at)
+    where read_at is null and notified_at is null
+  `);
+};
+
+exports.down = async (knex) => {
+  await knex.raw('drop index if exists messages_pending_digest_idx');
+
+  await knex.schema.alterTable('messages', (table) => {
+    table.dropColumn('notified_at');
+  });
+};
@@ -0,0 +1,34 @@
+// Uploaded files and their resized variants, and the files attached to chat messages
+exports.up = async (knex) => {
+  await knex.schema.createTable('files', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    // Variants (e.g. thumbnails) point at the original upload
+    table.uuid('parent_id').references('id').inTable('files').onDelete('CASCADE');
+    table.string('variant', 20);
+    table.string('purpose', 30).notNullable(); // profile_picture, progress_photo, chat_attachment
+    table.string('storage_key', 500).notNullable().unique();
+    table.string('filename', 255).notNullable();
+    table.string('mime_type', 100).notNullable(); // Sniffed from the content, not the client's claim
+    table.integer('size_bytes').notNullable();
+    table.integer('width');
+    table.integer('height');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['owner_id', 'purpose']);
+    table.index('parent_id');
+  });
+
+  await knex.schema.createTable('message_attachments', (table) => {
+    table.uuid('message_id').notNullable().references('id').inTable('messages').onDelete('CASCADE');
+    table.uuid('file_id').notNullable().references('id').inTable('files').onDelete('CASCADE');
+
+    table.primary(['message_id', 'file_id']);
+    table.index('file_id');
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('message_attachments');
+  await knex.schema.dropTableIfExists('files');
+};
@@ -0,0 +1,21 @@
+// Progress photos: an uploaded file tagged with the pose and the day it was taken
+exports.up = async (knex) => {
+  await knex.schema.createTable('progress_photos', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('client_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.uuid('file_id').notNullable().unique().references('id').inTable('files').onDelete('CASCADE');
+    table.uuid('uploaded_by').references('id').inTable('users').onDelete('SET NULL');
+    table.string('pose', 10).notNullable(); // front, side, back
+    table.date('taken_on').notNullable();
+    table.text('notes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['client_id', 'pose', 'taken_on']);
+    table.index(['client_id', 'taken_on']);
+  });
+};
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('progress_photos');
+};
@@ -0,0 +1,201 @@
+const router = require('express').Router();
+const appointmentController = require('../clockwork-appointment-controller');
+const { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } = require('../clockwork-appointment-service');
+const { SESSION_STATUSES } = require('../clockwork-appointment-status');
+const { isValidTimeZone } = require('../clockwork-timezone');
+const { authenticate } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const sessionIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid session id' }
+  }
+};
+
+const uuidField = (location, field) => ({
+  in: [location],
+  optional: true,
+  isUUID: { errorMessage: `Invalid ${field}` }
+});
+
+const dateField = (location, field) => ({
+  in: [location],
+  optional: true,
+  isISO8601: { options: { strict: true }, errorMessage: `${field} must be a date (YYYY-MM-DD)` },
+  isLength: { options: { min: 10, max: 10 }, errorMessage: `${field} must be a date (YYYY-MM-DD)` }
+});
+
+const timeField = (field) => ({
+  in: ['body'],
+  matches: { options: [/^([01]\d|2[0-3]):[0-5]\d$/], errorMessage: `${field} must be a time (HH:MM)` }
+});
+
+const timezoneField = {
+  in: ['body'],
+  optional: true,
+  custom: { options: isValidTimeZone, errorMessage: 'Unknown time zone' }
+};
+
+const durationField = (location) => ({
+  in: [location],
+  optional: true,
+  isInt: { options: { min: 15, max: 480 }, errorMessage: 'Duration must be between 15 and 480 minutes' },
+  toInt: true
+});
+
+const listSchema = {
+  clientId: uuidField('query', 'client id'),
+  from: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'From must be an ISO 8601 date' }
+  },
+  to: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'To must be an ISO 8601 date' }
+  },
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [SESSION_STATUSES], errorMessage: `Status must be one of ${SESSION_STATUSES.join(', ')}` }
+  }
+};
+
+const bookSchema = {
+  specialistId: uuidField('body', 'specialist id'),
+  clientId: uuidField('body', 'client id'),
+  date: { ...dateField('body', 'Date'), optional: false },
+  time: timeField('Time'),
+  timezone: timezoneField,
+  durationMinutes: durationField('body'),
+  type: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 50 }, errorMessage: 'Type must be 1-50 characters' }
+  },
+  location: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    trim: true,
+    isLength: { options: { max: 255 }, errorMessage: 'Location must be at most 255 characters' }
+  },
+  notes: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Notes must be a string' },
+    isLength: { options: { max: 2000 }, errorMessage: 'Notes must be at most 2000 characters' }
+  },
+  recurrence: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Recurrence must be an object' }
+  },
+  'recurrence.frequency': {
+    in: ['body'],
+    optional: true,
+    isIn: {
+      options: [Object.keys(RECURRENCE_FREQUENCIES)],
+      errorMessage: `Frequency must be one of ${Object.keys(RECURRENCE_FREQUENCIES).join(', ')}`
+    },
+    custom: {
+      options: (value, { req }) => Boolean(req.body.recurrence?.occurrences),
+      errorMessage: 'Recurring sessions need a number of occurrences'
+    }
+  },
+  'recurrence.occurrences': {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 2, max: MAX_OCCURRENCES }, errorMessage: `Occurrences must be between 2 and ${MAX_OCCURRENCES}` },
+    toInt: true,
+    custom: {
+      options: (value, { req }) => Boolean(req.body.recurrence?.frequency),
+      errorMessage: 'Recurring sessions need a frequency'
+    }
+  }
+};
+
+const rescheduleSchema = {
+  ...sessionIdSchema,
+  date: dateField('body', 'Date'),
+  time: { ...timeField('Time'), optional: true },
+  timezone: timezoneField,
+  durationMinutes: durationField('body')
+};
+
+const cancelSchema = {
+  ...sessionIdSchema,
+  reason: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Reason must be a string' },
+    isLength: { options: { max: 500 }, errorMessage: 'Reason must be at most 500 characters' }
+  },
+  scope: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [['single', 'following']], errorMessage: 'Scope must be single or following' }
+  }
+};
+
+const statusSchema = {
+  ...sessionIdSchema,
+  status: {
+    in: ['body'],
+    isIn: { options: [['confirmed', 'completed', 'no_show']], errorMessage: 'Status must be confirmed, completed or no_show' }
+  }
+};
+
+const availabilitySchema = {
+  slots: {
+    in: ['body'],
+    isArray: { options: { max: 50 }, errorMessage: 'Slots must be an array of at most 50 windows' }
+  },
+  'slots.*.weekday': {
+    in: ['body'],
+    isInt: { options: { min: 0, max: 6 }, errorMessage: 'Weekday must be 0 (Sunday) to 6 (Saturday)' },
+    toInt: true
+  },
+  'slots.*.startTime': timeField('Start time'),
+  'slots.*.endTime': timeField('End time'),
+  timezone: timezoneField
+};
+
+const slotsSchema = {
+  specialistId: { ...uuidField('query', 'specialist id'), optional: false },
+  from: dateField('query', 'From'),
+  to: dateField('query', 'To'),
+  duration: durationField('query')
+};
+
+const settingsSchema = {
+  cancellationWindowHours: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isInt: { options: { min: 0, max: 168 }, errorMessage: 'Cancellation window must be between 0 and 168 hours' },
+    toInt: true
+  }
+};
+
+router.use(authenticate);
+
+// Availability and booking settings
+router.get('/availability', validate({ specialistId: uuidField('query', 'specialist id') }), appointmentController.getAvailability);
+router.put('/availability', requirePermission('appointments:manage'), validate(availabilitySchema), appointmentController.setAvailability);
+router.get('/slots', validate(slotsSchema), appointmentController.getOpenSlots);
+router.get('/settings', requirePermission('appointments:manage'), appointmentController.getSettings);
+router.put('/settings', requirePermission('appointments:manage'), validate(settingsSchema), appointmentController.updateSettings);
+
+// Sessions
+router.get('/', validate(listSchema), appointmentController.listSessions);
+router.post('/', requirePermission('appointments:book'), validate(bookSchema), appointmentController.bookSession);
+router.get('/:id', validate(sessionIdSchema), appointmentController.getSession);
+router.put('/:id', requirePermission('appointments:book'), validate(rescheduleSchema), appointmentController.rescheduleSession);
+router.post('/:id/cancel', requirePermission('appointments:book'), validate(cancelSchema), appointmentController.cancelSession);
+router.put('/:id/status', requirePermission('appointments:book'), validate(statusSchema), appointmentController.updateSessionStatus);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const router = require('express').Router();
+const billingController = require('../clockwork-billing-controller');
+const { PLANS } = require('../clockwork-billing-service');
+const { PACK_STATUSES } = require('../clockwork-session-packs');
+const { authenticate, requireVerifiedEmail } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const idSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid id' }
+  }
+};
+
+// Checkout redirects back here, so only our own frontend may be the destination
+const isFrontendUrl = (value) => {
+  try {
+    return new URL(value).origin === new URL(process.env.FRONTEND_URL).origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+const urlField = {
+  in: ['body'],
+  optional: true,
+  isURL: { options: { require_tld: false }, errorMessage: 'Must be a valid URL' },
+  custom: {
+    options: isFrontendUrl,
+    errorMessage: 'Must be a URL on the frontend (FRONTEND_URL)'
+  }
+};
+
+const checkoutSchema = {
+  plan: {
+    in: ['body'],
+    isIn: { options: [Object.keys(PLANS)], errorMessage: `Plan must be one of ${Object.keys(PLANS).join(', ')}` }
+  },
+  successUrl: urlField,
+  cancelUrl: urlField
+};
+
+const listSchema = {
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' }
+  }
+};
+
+const INVOICE_STATUSES = ['draft', 'open', 'paid', 'void', 'uncollectible'];
+
+const clientIdField = (location) => ({
+  in: [location],
+  optional: location === 'query',
+  isUUID: { errorMessage: 'Invalid client id' }
+});
+
+const daysUntilDueField = {
+  in: ['body'],
+  optional: true,
+  isInt: { options: { min: 0, max: 90 }, errorMessage: 'Days until due must be between 0 and 90' },
+  toInt: true
+};
+
+const issuedListSchema = {
+  ...listSchema,
+  clientId: clientIdField('query'),
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [INVOICE_STATUSES], errorMessage: `Status must be one of ${INVOICE_STATUSES.join(', ')}` }
+  }
+};
+
+const clientInvoiceSchema = {
+  clientId: clientIdField('body'),
+  description: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { max: 500 }, errorMessage: 'Description must be at most 500 characters' }
+  },
+  items: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: 50 }, errorMessage: 'Items must be an array of 1-50 entries' }
+  },
+  'items.*.description': {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Item description must be 1-255 characters' }
+  },
+  'items.*.amountCents': {
+    in: ['body'],
+    isInt: { options: { min: 50 }, errorMessage: 'Item amount must be at least 50 cents' },
+    toInt: true
+  },
+  daysUntilDue: daysUntilDueField
+};
+
+const packListSchema = {
+  clientId: clientIdField('query'),
+  specialistId: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid specialist id' }
+  },
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [PACK_STATUSES], errorMessage: `Status must be one of ${PACK_STATUSES.join(', ')}` }
+  }
+};
+
+const packSchema = {
+  clientId: clientIdField('body'),
+  name: {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  },
+  sessions: {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 200 }, errorMessage: 'Sessions must be between 1 and 200' },
+    toInt: true
+  },
+  priceCents: {
+    in: ['body'],
+    isInt: { options: { min: 50 }, errorMessage: 'Price must be at least 50 cents' },
+    toInt: true
+  },
+  expiresOn: {
+    in: ['body'],
+    optional: true,
+    isISO8601: { options: { strict: true }, errorMessage: 'Expiry must be a date (YYYY-MM-DD)' },
+    isLength: { options: { min: 10, max: 10 }, errorMessage: 'Expiry must be a date (YYYY-MM-DD)' }
+  },
+  daysUntilDue: daysUntilDueField
+};
+
+const payoutsSchema = {
+  from: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'From must be a date' }
+  },
+  to: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'To must be a date' }
+  },
+  specialistId: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid specialist id' }
+  }
+};
+
+const cancelSchema = {
+  ...idSchema,
+  immediately: {
+    in: ['query'],
+    optional: true,
+    isBoolean: { errorMessage: 'immediately must be true or false' }
+  }
+};
+
+// Stripe signs webhooks instead of sending a user token
+router.post('/webhook', billingController.handleWebhook);
+
+router.use(authenticate);
+
+router.get('/plans', billingController.listPlans);
+router.post('/checkout', requirePermission('billing:subscribe'), requireVerifiedEmail('billing'), validate(checkoutSchema), billingController.createCheckout);
+router.get('/subscriptions', billingController.listSubscriptions);
+router.delete('/subscriptions/:id', requirePermission('billing:subscribe'), validate(cancelSchema), billingController.cancelSubscription);
+router.get('/invoices', validate(listSchema), billingController.listInvoices);
+router.get('/invoices/:id', validate(idSchema), billingController.getInvoice);
+
+// Specialists billing their own clients
+router.get('/client-invoices', requirePermission('billing:invoice_clients'), validate(issuedListSchema), billingController.listIssuedInvoices);
+router.post('/client-invoices', requirePermission('billing:invoice_clients'), requireVerifiedEmail('billing'), validate(clientInvoiceSchema), billingController.createClientInvoice);
+router.post('/client-invoices/:id/void', requirePermission('billing:invoice_clients'), validate(idSchema), billingController.voidClientInvoice);
+router.post('/client-invoices/:id/mark-paid', requirePermission('billing:invoice_clients'), validate(idSchema), billingController.markClientInvoicePaid);
+router.get('/session-packs', validate(packListSchema), billingController.listSessionPacks);
+router.post('/session-packs', requirePermission('billing:invoice_clients'), requireVerifiedEmail('billing'), validate(packSchema), billingController.createSessionPack);
+router.get('/payouts', requirePermission('billing:invoice_clients'), validate(payoutsSchema), billingController.getPayouts);
+
+module.exports = router;
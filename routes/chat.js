@@ -0,0 +1,95 @@
+const router = require('express').Router();
+const chatController = require('../clockwork-chat-controller');
+const { MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS } = require('../clockwork-chat-service');
+const { authenticate } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const conversationIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid conversation id' }
+  }
+};
+
+const openSchema = {
+  userId: {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid user id' }
+  }
+};
+
+const historySchema = {
+  ...conversationIdSchema,
+  before: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid cursor' }
+  },
+  after: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid cursor' },
+    custom: {
+      options: (value, { req }) => !req.query.before,
+      errorMessage: 'Use either before or after, not both'
+    }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' }
+  }
+};
+
+const messageSchema = {
+  ...conversationIdSchema,
+  // The body may be left out when the message carries attachments
+  body: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Message body must be a string' },
+    trim: true,
+    isLength: { options: { max: MAX_MESSAGE_LENGTH }, errorMessage: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` },
+    custom: {
+      options: (value, { req }) => value.length > 0 || (req.body.attachmentIds || []).length > 0,
+      errorMessage: 'Message body or attachments are required'
+    }
+  },
+  attachmentIds: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: MAX_ATTACHMENTS }, errorMessage: `attachmentIds must be an array of at most ${MAX_ATTACHMENTS} ids` }
+  },
+  'attachmentIds.*': {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid attachment id' }
+  },
+  clientMessageId: {
+    in: ['body'],
+    optional: true,
+    isLength: { options: { max: 100 }, errorMessage: 'clientMessageId must be at most 100 characters' }
+  }
+};
+
+const readSchema = {
+  ...conversationIdSchema,
+  messageId: {
+    in: ['body'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid message id' }
+  }
+};
+
+router.use(authenticate, requirePermission('chat:use'));
+
+router.get('/conversations', chatController.listConversations);
+router.post('/conversations', validate(openSchema), chatController.openConversation);
+router.get('/conversations/:id', validate(conversationIdSchema), chatController.getConversation);
+router.get('/conversations/:id/messages', validate(historySchema), chatController.getMessages);
+router.post('/conversations/:id/messages', validate(messageSchema), chatController.sendMessage);
+router.post('/conversations/:id/read', validate(readSchema), chatController.markRead);
+router.get('/presence', chatController.getPresence);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const router = require('express').Router();
+const filesController = require('../clockwork-files-controller');
+const rateLimiter = require('../clockwork-rate-limiter');
+const { uploadFile } = require('../clockwork-upload-middleware');
+const { authenticate } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const idSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid file id' }
+  }
+};
+
+const rawSchema = {
+  ...idSchema,
+  expires: {
+    in: ['query'],
+    isInt: { errorMessage: 'Invalid link' }
+  },
+  signature: {
+    in: ['query'],
+    isHexadecimal: { errorMessage: 'Invalid link' }
+  }
+};
+
+const viewSchema = {
+  ...idSchema,
+  size: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['original', 'thumbnail']], errorMessage: 'Size must be original or thumbnail' }
+  }
+};
+
+// Signed links and profile pictures are fetched by browsers without an Authorization header
+router.get('/raw/:id', validate(rawSchema), filesController.serveRaw);
+router.get('/:id/view', validate(viewSchema), filesController.viewProfilePicture);
+
+router.use(authenticate);
+
+router.post('/attachments', requirePermission('chat:use'), rateLimiter.upload, uploadFile('chat_attachment'), filesController.uploadAttachment);
+router.post('/profile-picture', rateLimiter.upload, uploadFile('profile_picture'), filesController.uploadProfilePicture);
+router.get('/:id', validate(idSchema), filesController.getFile);
+router.delete('/:id', validate(idSchema), filesController.deleteFile);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const router = require('express').Router();
+const goalController = require('../clockwork-goal-controller');
+const { RECORD_TYPES, CHECKPOINTS } = require('../clockwork-goal-service');
+const { METRICS, DERIVED_METRICS, UNIT_SYSTEMS } = require('../clockwork-measurement-service');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+const GOAL_STATUSES = ['active', 'achieved', 'abandoned'];
+
+// Request schemas
+const goalIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid goal id' }
+  }
+};
+
+const clientIdField = (location) => ({
+  in: [location],
+  optional: true,
+  isUUID: { errorMessage: 'Invalid client id' }
+});
+
+const dateField = (field) => ({
+  in: ['body'],
+  isISO8601: { options: { strict: true }, errorMessage: `${field} must be a date (YYYY-MM-DD)` },
+  isLength: { options: { min: 10, max: 10 }, errorMessage: `${field} must be a date (YYYY-MM-DD)` }
+});
+
+const valueField = (field) => ({
+  in: ['body'],
+  isFloat: { options: { min: 0 }, errorMessage: `${field} must be a non-negative number` },
+  toFloat: true
+});
+
+const unitsField = {
+  in: ['query'],
+  optional: true,
+  isIn: { options: [UNIT_SYSTEMS], errorMessage: 'Units must be metric or imperial' }
+};
+
+const listSchema = {
+  clientId: clientIdField('query'),
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [GOAL_STATUSES], errorMessage: `Status must be one of ${GOAL_STATUSES.join(', ')}` }
+  },
+  units: unitsField
+};
+
+const dashboardSchema = {
+  behindOnly: {
+    in: ['query'],
+    optional: true,
+    isBoolean: { errorMessage: 'behindOnly must be true or false' }
+  },
+  units: unitsField
+};
+
+const createSchema = {
+  clientId: clientIdField('body'),
+  title: {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Title must be 1-255 characters' }
+  },
+  metric: {
+    in: ['body'],
+    optional: true,
+    isIn: {
+      options: [[...Object.keys(METRICS), ...Object.keys(DERIVED_METRICS)]],
+      errorMessage: 'Unknown metric'
+    },
+    custom: {
+      // Goals track either a body metric or an exercise record
+      options: (value, { req }) => !req.body.exerciseId,
+      errorMessage: 'Provide either a metric or an exercise id, not both'
+    }
+  },
+  exerciseId: {
+    in: ['body'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid exercise id' },
+    custom: {
+      options: (value, { req }) => !req.body.metric,
+      errorMessage: 'Provide either a metric or an exercise id, not both'
+    }
+  },
+  recordType: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [RECORD_TYPES], errorMessage: `Record type must be one of ${RECORD_TYPES.join(', ')}` }
+  },
+  startValue: { ...valueField('Start value'), optional: true },
+  targetValue: {
+    ...valueField('Target value'),
+    custom: {
+      options: (value, { req }) => Boolean(req.body.metric || req.body.exerciseId),
+      errorMessage: 'A metric or an exercise id is required'
+    }
+  },
+  deadline: dateField('Deadline'),
+  milestones: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 52 }, errorMessage: 'Milestones must be an array of at most 52 entries' },
+    custom: {
+      options: (value, { req }) => !req.body.checkpoints,
+      errorMessage: 'Provide either milestones or checkpoints, not both'
+    }
+  },
+  'milestones.*.targetValue': valueField('Milestone target value'),
+  'milestones.*.dueDate': dateField('Milestone due date'),
+  checkpoints: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [CHECKPOINTS], errorMessage: 'Checkpoints must be weekly or monthly' }
+  },
+  units: unitsField
+};
+
+const updateSchema = {
+  ...goalIdSchema,
+  title: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Title must be 1-255 characters' }
+  },
+  targetValue: { ...valueField('Target value'), optional: true },
+  deadline: { ...dateField('Deadline'), optional: true },
+  status: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [GOAL_STATUSES], errorMessage: `Status must be one of ${GOAL_STATUSES.join(', ')}` }
+  },
+  units: unitsField
+};
+
+router.use(authenticate);
+
+router.get('/', validate(listSchema), requireClientAccess(), goalController.listGoals);
+router.get('/dashboard', requirePermission('goals:manage'), validate(dashboardSchema), goalController.getDashboard);
+router.get('/:id', validate(goalIdSchema), goalController.getGoal);
+router.post('/', requirePermission('goals:write:own'), validate(createSchema), requireClientAccess(), goalController.createGoal);
+router.put('/:id', requirePermission('goals:write:own'), validate(updateSchema), goalController.updateGoal);
+router.delete('/:id', requirePermission('goals:write:own'), validate(goalIdSchema), goalController.deleteGoal);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const router = require('express').Router();
+const jobsController = require('../clockwork-jobs-controller');
+const { SCHEDULES } = require('../clockwork-job-scheduler');
+const { authenticateCron } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Cron callers are trusted by secret; signed-in users need jobs:run
+const requireJobAccess = (req, res, next) => (
+  req.cron ? next() : requirePermission('jobs:run')(req, res, next)
+);
+
+// Request schemas
+const scheduleSchema = {
+  schedule: {
+    in: ['params'],
+    isIn: { options: [Object.keys(SCHEDULES)], errorMessage: `Schedule must be one of ${Object.keys(SCHEDULES).join(', ')}` }
+  }
+};
+
+router.use(authenticateCron, requireJobAccess);
+
+router.get('/', jobsController.listJobs);
+
+// Vercel Cron issues GET requests; POST is for manual runs
+router.get('/run/:schedule', validate(scheduleSchema), jobsController.runSchedule);
+router.post('/run/:schedule', validate(scheduleSchema), jobsController.runSchedule);
+router.post('/:name/run', jobsController.runJob);
+
+module.exports = router;
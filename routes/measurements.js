@@ -0,0 +1,113 @@
+const router = require('express').Router();
+const measurementController = require('../clockwork-measurement-controller');
+const { METRICS, DERIVED_METRICS, UNIT_SYSTEMS, INTERVALS } = require('../clockwork-measurement-service');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const measurementIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid measurement id' }
+  }
+};
+
+const clientIdField = (location) => ({
+  in: [location],
+  optional: true,
+  isUUID: { errorMessage: 'Invalid client id' }
+});
+
+const dateField = (location, field) => ({
+  in: [location],
+  optional: true,
+  isISO8601: { errorMessage: `${field} must be an ISO 8601 date` }
+});
+
+const unitsField = {
+  in: ['query'],
+  optional: true,
+  isIn: { options: [UNIT_SYSTEMS], errorMessage: 'Units must be metric or imperial' }
+};
+
+const rangeSchema = {
+  clientId: clientIdField('query'),
+  from: dateField('query', 'From'),
+  to: dateField('query', 'To'),
+  units: unitsField
+};
+
+const listSchema = {
+  ...rangeSchema,
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' }
+  }
+};
+
+const seriesSchema = {
+  ...rangeSchema,
+  metric: {
+    in: ['query'],
+    isIn: {
+      options: [[...Object.keys(METRICS), ...Object.keys(DERIVED_METRICS)]],
+      errorMessage: 'Unknown metric'
+    }
+  },
+  interval: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [INTERVALS], errorMessage: 'Interval must be day, week or month' }
+  }
+};
+
+// Every stored metric is an optional non-negative number
+const metricFields = Object.fromEntries(Object.keys(METRICS).map(name => [name, {
+  in: ['body'],
+  optional: { options: { nullable: true } },
+  isFloat: {
+    options: name === 'bodyFat' ? { min: 0, max: 100 } : { min: 0 },
+    errorMessage: `${name} must be a non-negative number`
+  }
+}]));
+
+const measurementBody = {
+  ...metricFields,
+  measuredAt: dateField('body', 'Measured at'),
+  notes: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Notes must be a string' },
+    isLength: { options: { max: 2000 }, errorMessage: 'Notes must be at most 2000 characters' }
+  },
+  units: unitsField
+};
+
+const createSchema = {
+  ...measurementBody,
+  clientId: clientIdField('body')
+};
+
+const updateSchema = {
+  ...measurementIdSchema,
+  ...measurementBody
+};
+
+router.use(authenticate);
+
+router.get('/', validate(listSchema), requireClientAccess(), measurementController.listMeasurements);
+router.get('/series', validate(seriesSchema), requireClientAccess(), measurementController.getSeries);
+router.get('/deltas', validate(rangeSchema), requireClientAccess(), measurementController.getDeltas);
+router.get('/:id', validate(measurementIdSchema), measurementController.getMeasurement);
+router.post('/', requirePermission('measurements:write'), validate(createSchema), requireClientAccess(), measurementController.createMeasurement);
+router.put('/:id', requirePermission('measurements:write'), validate(updateSchema), measurementController.updateMeasurement);
+router.delete('/:id', requirePermission('measurements:write'), validate(measurementIdSchema), measurementController.deleteMeasurement);
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const router = require('express').Router();
+const nutritionController = require('../clockwork-nutrition-controller');
+const { NUTRIENTS, MEALS } = require('../clockwork-nutrition-service');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const clientIdField = (location) => ({
+  in: [location],
+  optional: true,
+  isUUID: { errorMessage: 'Invalid client id' }
+});
+
+const dateField = (location, field) => ({
+  in: [location],
+  optional: true,
+  isISO8601: { options: { strict: true }, errorMessage: `${field} must be a date (YYYY-MM-DD)` },
+  isLength: { options: { min: 10, max: 10 }, errorMessage: `${field} must be a date (YYYY-MM-DD)` }
+});
+
+const amountField = (field) => ({
+  in: ['body'],
+  optional: true,
+  isFloat: { options: { min: 0 }, errorMessage: `${field} must be a non-negative number` },
+  toFloat: true
+});
+
+const rangeSchema = {
+  clientId: clientIdField('query'),
+  from: dateField('query', 'From'),
+  to: dateField('query', 'To')
+};
+
+const getNutritionSchema = {
+  clientId: clientIdField('query'),
+  date: dateField('query', 'Date')
+};
+
+const updateNutritionSchema = {
+  clientId: clientIdField('body'),
+  targets: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Targets must be an object' }
+  },
+  ...Object.fromEntries(Object.keys(NUTRIENTS).map(nutrient => [`targets.${nutrient}`, {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: `${nutrient} target must be a non-negative number` },
+    toFloat: true
+  }])),
+  mealPlan: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Meal plan must be an object' }
+  },
+  restrictions: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Restrictions must be an array' }
+  },
+  supplements: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Supplements must be an array' }
+  }
+};
+
+const createFoodSchema = {
+  name: {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  },
+  brand: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    trim: true,
+    isLength: { options: { max: 255 }, errorMessage: 'Brand must be at most 255 characters' }
+  },
+  servingSize: {
+    in: ['body'],
+    isFloat: { options: { gt: 0 }, errorMessage: 'Serving size must be a positive number' },
+    toFloat: true
+  },
+  servingUnit: {
+    in: ['body'],
+    isIn: { options: [['g', 'ml', 'piece']], errorMessage: 'Serving unit must be g, ml or piece' }
+  },
+  calories: amountField('Calories'),
+  protein: amountField('Protein'),
+  carbs: amountField('Carbs'),
+  fat: amountField('Fat'),
+  fiber: amountField('Fiber')
+};
+
+const createEntrySchema = {
+  clientId: clientIdField('body'),
+  foodId: {
+    in: ['body'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid food id' },
+    custom: {
+      // Referenced foods supply their own macros
+      options: (value, { req }) => !['calories', 'protein', 'carbs', 'fat', 'fiber'].some(field => req.body[field] !== undefined),
+      errorMessage: 'Provide either a food id or macros, not both'
+    }
+  },
+  servings: {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { gt: 0, max: 100 }, errorMessage: 'Servings must be between 0 and 100' },
+    toFloat: true
+  },
+  meal: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [MEALS], errorMessage: `Meal must be one of ${MEALS.join(', ')}` }
+  },
+  loggedOn: dateField('body', 'Logged on'),
+  name: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  },
+  calories: amountField('Calories'),
+  protein: amountField('Protein'),
+  carbs: amountField('Carbs'),
+  fat: amountField('Fat'),
+  fiber: amountField('Fiber'),
+  water: {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 0, max: 10000 }, errorMessage: 'Water must be between 0 and 10000 ml' },
+    toInt: true
+  },
+  notes: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Notes must be a string' }
+  }
+};
+
+const entryIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid entry id' }
+  }
+};
+
+const adherenceSchema = {
+  ...rangeSchema,
+  period: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['day', 'week']], errorMessage: 'Period must be day or week' }
+  }
+};
+
+router.use(authenticate);
+
+// Plan and targets
+router.get('/', validate(getNutritionSchema), requireClientAccess(), nutritionController.getNutrition);
+router.put('/', requirePermission('nutrition:manage'), validate(updateNutritionSchema), requireClientAccess(), nutritionController.updateNutrition);
+
+// Food database
+router.get('/foods', nutritionController.searchFoods);
+router.post('/foods', requirePermission('nutrition:manage'), validate(createFoodSchema), nutritionController.createFood);
+
+// Daily food log
+router.get('/logs', validate(rangeSchema), requireClientAccess(), nutritionController.listEntries);
+router.post('/logs', requirePermission('nutrition:log'), validate(createEntrySchema), requireClientAccess(), nutritionController.createEntry);
+router.delete('/logs/:id', requirePermission('nutrition:log'), validate(entryIdSchema), nutritionController.deleteEntry);
+
+// Adherence summaries
+router.get('/adherence', validate(adherenceSchema), requireClientAccess(), nutritionController.getAdherence);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const router = require('express').Router();
+const programController = require('../clockwork-program-controller');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const idSchema = (label) => ({
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: `Invalid ${label} id` }
+  }
+});
+
+const programBody = {
+  description: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Description must be a string' },
+    isLength: { options: { max: 2000 }, errorMessage: 'Description must be at most 2000 characters' }
+  },
+  progression: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Progression must be an object' }
+  },
+  'progression.increment': {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { min: 0, max: 50 }, errorMessage: 'Weekly increment must be between 0 and 50' },
+    toFloat: true
+  },
+  'progression.exerciseIds': {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Main lifts must be an array of exercise ids' }
+  },
+  'progression.exerciseIds.*': {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid exercise id' }
+  },
+  'progression.deloadEvery': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isInt: { options: { min: 2, max: 12 }, errorMessage: 'Deload frequency must be between 2 and 12 weeks' },
+    toInt: true
+  },
+  'progression.deloadPercent': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isInt: { options: { min: 30, max: 95 }, errorMessage: 'Deload percentage must be between 30 and 95' },
+    toInt: true
+  },
+  workouts: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 200 }, errorMessage: 'Workouts must be an array of at most 200 items' }
+  },
+  'workouts.*.workoutId': {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid workout id' }
+  },
+  'workouts.*.week': {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 52 }, errorMessage: 'Week must be between 1 and 52' },
+    toInt: true
+  },
+  'workouts.*.day': {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 7 }, errorMessage: 'Day must be between 1 and 7' },
+    toInt: true
+  }
+};
+
+const nameField = {
+  in: ['body'],
+  trim: true,
+  isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+};
+
+const durationField = {
+  in: ['body'],
+  isInt: { options: { min: 1, max: 52 }, errorMessage: 'Duration must be between 1 and 52 weeks' },
+  toInt: true
+};
+
+const createProgramSchema = {
+  ...programBody,
+  name: nameField,
+  durationWeeks: durationField
+};
+
+const updateProgramSchema = {
+  ...idSchema('program'),
+  ...programBody,
+  name: { ...nameField, optional: true },
+  durationWeeks: { ...durationField, optional: true }
+};
+
+const assignSchema = {
+  ...idSchema('program'),
+  clientId: {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid client id' }
+  },
+  startDate: {
+    in: ['body'],
+    optional: true,
+    isISO8601: { options: { strict: true }, errorMessage: 'Start date must be an ISO 8601 date' }
+  }
+};
+
+const clientQuerySchema = {
+  clientId: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid client id' }
+  }
+};
+
+router.use(authenticate);
+
+// Assigned programs
+router.get('/assignments', validate(clientQuerySchema), requireClientAccess(), programController.listAssignments);
+router.get('/assignments/:id', validate(idSchema('assignment')), programController.getAssignment);
+router.delete('/assignments/:id', requirePermission('programs:manage'), validate(idSchema('assignment')), programController.cancelAssignment);
+
+// Program templates
+router.get('/', requirePermission('programs:manage'), programController.listPrograms);
+router.post('/', requirePermission('programs:manage'), validate(createProgramSchema), programController.createProgram);
+router.get('/:id', requirePermission('programs:manage'), validate(idSchema('program')), programController.getProgram);
+router.put('/:id', requirePermission('programs:manage'), validate(updateProgramSchema), programController.updateProgram);
+router.delete('/:id', requirePermission('programs:manage'), validate(idSchema('program')), programController.deleteProgram);
+router.post('/:id/assign', requirePermission('programs:manage'), validate(assignSchema), programController.assignProgram);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const router = require('express').Router();
+const progressPhotoController = require('../clockwork-progress-photo-controller');
+const { POSES } = require('../clockwork-progress-photo-service');
+const { PRIVATE_TO_CLIENT } = require('../clockwork-file-service');
+const { UNIT_SYSTEMS } = require('../clockwork-measurement-service');
+const rateLimiter = require('../clockwork-rate-limiter');
+const { uploadFile } = require('../clockwork-upload-middleware');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const photoIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid progress photo id' }
+  }
+};
+
+const clientIdField = (location) => ({
+  in: [location],
+  optional: true,
+  isUUID: { errorMessage: 'Invalid client id' }
+});
+
+const dateField = (location, field, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  isISO8601: { options: { strict: true }, errorMessage: `${field} must be a date (YYYY-MM-DD)` },
+  isLength: { options: { min: 10, max: 10 }, errorMessage: `${field} must be a date (YYYY-MM-DD)` }
+});
+
+const poseField = (location, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  isIn: { options: [POSES], errorMessage: `Pose must be one of ${POSES.join(', ')}` }
+});
+
+const unitsField = {
+  in: ['query'],
+  optional: true,
+  isIn: { options: [UNIT_SYSTEMS], errorMessage: 'Units must be metric or imperial' }
+};
+
+const notesField = {
+  in: ['body'],
+  optional: { options: { nullable: true } },
+  isString: { errorMessage: 'Notes must be a string' },
+  isLength: { options: { max: 2000 }, errorMessage: 'Notes must be at most 2000 characters' }
+};
+
+const listSchema = {
+  clientId: clientIdField('query'),
+  pose: poseField('query', { optional: true }),
+  from: dateField('query', 'From', { optional: true }),
+  to: dateField('query', 'To', { optional: true }),
+  units: unitsField,
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' }
+  }
+};
+
+const compareSchema = {
+  clientId: clientIdField('query'),
+  from: dateField('query', 'From'),
+  to: dateField('query', 'To'),
+  pose: poseField('query', { optional: true }),
+  units: unitsField
+};
+
+const comparisonImageSchema = {
+  ...compareSchema,
+  pose: poseField('query')
+};
+
+// Sent as multipart form fields alongside the file
+const createSchema = {
+  clientId: clientIdField('body'),
+  pose: poseField('body'),
+  takenOn: dateField('body', 'Taken on'),
+  notes: notesField
+};
+
+const updateSchema = {
+  ...photoIdSchema,
+  pose: poseField('body', { optional: true }),
+  takenOn: dateField('body', 'Taken on', { optional: true }),
+  notes: notesField
+};
+
+// Photos are private to the client and their specialists, so admins get no access here
+const requirePhotoAccess = () => requireClientAccess(undefined, PRIVATE_TO_CLIENT);
+
+router.use(authenticate);
+
+router.get('/', validate(listSchema), requirePhotoAccess(), progressPhotoController.listPhotos);
+router.get('/compare', validate(compareSchema), requirePhotoAccess(), progressPhotoController.comparePhotos);
+router.get('/compare/image', validate(comparisonImageSchema), requirePhotoAccess(), progressPhotoController.getComparisonImage);
+router.get('/:id', validate(photoIdSchema), progressPhotoController.getPhoto);
+router.post('/', requirePermission('measurements:write'), rateLimiter.upload, uploadFile('progress_photo'), validate(createSchema), requirePhotoAccess(), progressPhotoController.createPhoto);
+router.put('/:id', requirePermission('measurements:write'), validate(updateSchema), progressPhotoController.updatePhoto);
+router.delete('/:id', requirePermission('measurements:write'), validate(photoIdSchema), progressPhotoController.deletePhoto);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const router = require('express').Router();
+const relationshipController = require('../clockwork-relationship-controller');
+const { authenticate, requireVerifiedEmail } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+const rateLimiter = require('../clockwork-rate-limiter');
+
+// Request schemas
+const relationshipIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid relationship id' }
+  }
+};
+
+const inviteSchema = {
+  email: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isEmail: { errorMessage: 'A valid email is required' }
+  },
+  phone: {
+    in: ['body'],
+    custom: {
+      // Exactly one delivery channel: an email or a phone number
+      options: (value, { req }) => (value === undefined
+        ? Boolean(req.body.email)
+        : typeof value === 'string' && value.length > 0 && !req.body.email),
+      errorMessage: 'Provide either an email or a phone number'
+    }
+  },
+  message: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { max: 500 }, errorMessage: 'Message must be at most 500 characters' }
+  }
+};
+
+const acceptTokenSchema = {
+  token: {
+    in: ['body'],
+    isString: { errorMessage: 'Invitation token must be a string' },
+    notEmpty: { errorMessage: 'Invitation token is required' }
+  }
+};
+
+router.use(authenticate);
+
+router.get('/', relationshipController.listRelationships);
+router.post('/invitations', requirePermission('clients:invite'), requireVerifiedEmail('invites'), rateLimiter.strict, validate(inviteSchema), relationshipController.inviteClient);
+router.post('/invitations/accept', validate(acceptTokenSchema), relationshipController.acceptInvitation);
+router.post('/invitations/:id/accept', validate(relationshipIdSchema), relationshipController.acceptInvitation);
+router.post('/invitations/:id/decline', validate(relationshipIdSchema), relationshipController.declineInvitation);
+router.delete('/:id', validate(relationshipIdSchema), relationshipController.endRelationship);
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const router = require('express').Router();
+const usersController = require('../clockwork-users-controller');
+const { authenticate } = require('../clockwork-auth-middleware');
+const { requirePermission, ROLES } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+const { isValidTimeZone } = require('../clockwork-timezone');
+const rateLimiter = require('../clockwork-rate-limiter');
+
+// Request schemas
+const userIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid user id' }
+  }
+};
+
+const listUsersSchema = {
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' }
+  },
+  role: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [Object.values(ROLES)], errorMessage: 'Unknown role' }
+  },
+  subscriptionPlan: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'Subscription plan must be a string' }
+  },
+  search: {
+    in: ['query'],
+    optional: true,
+    trim: true,
+    isLength: { options: { max: 255 }, errorMessage: 'Search is too long' }
+  }
+};
+
+const updateUserSchema = {
+  ...userIdSchema,
+  name: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  },
+  phone: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Phone must be a string' }
+  },
+  profilePicture: {
+    in: ['body'],
+    optional: { options: { nullable: true, checkFalsy: true } },
+    isURL: { errorMessage: 'Profile picture must be a URL' }
+  },
+  unitSystem: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [['metric', 'imperial']], errorMessage: 'Unit system must be metric or imperial' }
+  },
+  timezone: {
+    in: ['body'],
+    optional: true,
+    custom: { options: isValidTimeZone, errorMessage: 'Unknown time zone' }
+  },
+  billingEnabled: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { errorMessage: 'billingEnabled must be true or false' },
+    toBoolean: true
+  },
+  canTrainClients: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { errorMessage: 'canTrainClients must be true or false' },
+    toBoolean: true
+  },
+  email: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isEmail: { errorMessage: 'A valid email is required' }
+  },
+  currentPassword: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Current password must be a string' }
+  },
+  newPassword: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'New password must be a string' }
+  }
+};
+
+const deleteUserSchema = {
+  ...userIdSchema,
+  password: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Password must be a string' }
+  }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const notificationPreferencesSchema = {
+  ...userIdSchema,
+  preferences: {
+    in: ['body'],
+    custom: {
+      // Either field may be sent alone
+      options: (value, { req }) => (value === undefined
+        ? req.body.quietHours !== undefined
+        : typeof value === 'object' && value !== null && !Array.isArray(value)),
+      errorMessage: 'Preferences must be an object; send preferences, quietHours or both'
+    }
+  },
+  quietHours: {
+    in: ['body'],
+    optional: true,
+    // null turns quiet hours off
+    custom: {
+      options: (value) => value === null || (TIME_PATTERN.test(value?.start) && TIME_PATTERN.test(value?.end) && value.start !== value.end),
+      errorMessage: 'Quiet hours need a different start and end time (HH:MM), or null to turn them off'
+    }
+  },
+  'preferences.*': {
+    in: ['body'],
+    isObject: { errorMessage: 'Each notification type must map channels to true or false' }
+  },
+  'preferences.*.*': {
+    in: ['body'],
+    isBoolean: { options: { strict: true }, errorMessage: 'Channel settings must be true or false' }
+  }
+};
+
+router.use(authenticate);
+
+router.get('/', requirePermission('users:read:any'), validate(listUsersSchema), usersController.listUsers);
+router.get('/:id', validate(userIdSchema), usersController.getUser);
+router.put('/:id', rateLimiter.auth, validate(updateUserSchema), usersController.updateUser);
+router.delete('/:id', rateLimiter.strict, validate(deleteUserSchema), usersController.deleteUser);
+router.get('/:id/notification-preferences', validate(userIdSchema), usersController.getNotificationPreferences);
+router.put('/:id/notification-preferences', validate(notificationPreferencesSchema), usersController.updateNotificationPreferences);
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const router = require('express').Router();
+const workoutController = require('../clockwork-workout-controller');
+const { EXERCISE_CATEGORIES } = require('../clockwork-workout-service');
+const { authenticate, requireClientAccess } = require('../clockwork-auth-middleware');
+const { requirePermission } = require('../clockwork-rbac');
+const { validate } = require('../clockwork-validation-middleware');
+
+// Request schemas
+const workoutIdSchema = {
+  id: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Invalid workout id' }
+  }
+};
+
+const clientQuerySchema = {
+  clientId: {
+    in: ['query'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid client id' }
+  }
+};
+
+const optionalText = (field, max) => ({
+  in: ['body'],
+  optional: { options: { nullable: true } },
+  isString: { errorMessage: `${field} must be a string` },
+  isLength: { options: { max }, errorMessage: `${field} must be at most ${max} characters` }
+});
+
+const optionalInt = (field, options) => ({
+  in: ['body'],
+  optional: { options: { nullable: true } },
+  isInt: { options, errorMessage: `${field} must be an integer between ${options.min} and ${options.max}` },
+  toInt: true
+});
+
+const exerciseSchema = {
+  name: {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  },
+  category: {
+    in: ['body'],
+    isIn: { options: [EXERCISE_CATEGORIES], errorMessage: `Category must be one of ${EXERCISE_CATEGORIES.join(', ')}` }
+  },
+  muscleGroup: optionalText('Muscle group', 50),
+  equipment: optionalText('Equipment', 50),
+  description: optionalText('Description', 2000),
+  videoUrl: {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isURL: { errorMessage: 'Video URL must be a URL' }
+  }
+};
+
+const workoutBody = {
+  description: optionalText('Description', 2000),
+  estimatedMinutes: optionalInt('Estimated minutes', { min: 1, max: 600 }),
+  exercises: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 50 }, errorMessage: 'Exercises must be an array of at most 50 items' }
+  },
+  'exercises.*.exerciseId': {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid exercise id' }
+  },
+  'exercises.*.sets': {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 50 }, errorMessage: 'Sets must be between 1 and 50' },
+    toInt: true
+  },
+  'exercises.*.reps': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isInt: { options: { min: 1, max: 1000 }, errorMessage: 'Reps must be between 1 and 1000' },
+    toInt: true
+  },
+  'exercises.*.load': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isFloat: { options: { min: 0 }, errorMessage: 'Load must be a non-negative number' }
+  },
+  'exercises.*.restSeconds': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isInt: { options: { min: 0, max: 3600 }, errorMessage: 'Rest must be between 0 and 3600 seconds' },
+    toInt: true
+  },
+  'exercises.*.notes': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isString: { errorMessage: 'Exercise notes must be a string' }
+  }
+};
+
+const createWorkoutSchema = {
+  ...workoutBody,
+  name: {
+    in: ['body'],
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  }
+};
+
+const updateWorkoutSchema = {
+  ...workoutIdSchema,
+  ...workoutBody,
+  name: {
+    in: ['body'],
+    optional: true,
+    trim: true,
+    isLength: { options: { min: 1, max: 255 }, errorMessage: 'Name must be 1-255 characters' }
+  }
+};
+
+const assignSchema = {
+  ...workoutIdSchema,
+  clientId: {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid client id' }
+  },
+  scheduledFor: {
+    in: ['body'],
+    optional: true,
+    isISO8601: { errorMessage: 'Scheduled date must be an ISO 8601 date' }
+  },
+  notes: optionalText('Notes', 2000)
+};
+
+const completeSchema = {
+  ...workoutIdSchema,
+  assignmentId: {
+    in: ['body'],
+    optional: true,
+    isUUID: { errorMessage: 'Invalid assignment id' }
+  },
+  completedAt: {
+    in: ['body'],
+    optional: true,
+    isISO8601: { errorMessage: 'Completed at must be an ISO 8601 date' }
+  },
+  durationMinutes: optionalInt('Duration', { min: 1, max: 600 }),
+  rpe: optionalInt('RPE', { min: 1, max: 10 }),
+  notes: optionalText('Notes', 2000),
+  sets: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 200 }, errorMessage: 'Sets must be an array of at most 200 items' }
+  },
+  'sets.*.exerciseId': {
+    in: ['body'],
+    isUUID: { errorMessage: 'Invalid exercise id' }
+  },
+  'sets.*.setNumber': {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'Set number must be a positive integer' },
+    toInt: true
+  },
+  'sets.*.reps': {
+    in: ['body'],
+    isInt: { options: { min: 0, max: 1000 }, errorMessage: 'Reps must be between 0 and 1000' },
+    toInt: true
+  },
+  'sets.*.load': {
+    in: ['body'],
+    optional: { options: { nullable: true } },
+    isFloat: { options: { min: 0 }, errorMessage: 'Load must be a non-negative number' }
+  }
+};
+
+const assignmentsSchema = {
+  ...clientQuerySchema,
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['assigned', 'completed', 'skipped']], errorMessage: 'Unknown status' }
+  },
+  from: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'From must be an ISO 8601 date' }
+  },
+  to: {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: 'To must be an ISO 8601 date' }
+  }
+};
+
+router.use(authenticate);
+
+// Exercise library
+router.get('/exercises', workoutController.listExercises);
+router.post('/exercises', requirePermission('workouts:create'), validate(exerciseSchema), workoutController.createExercise);
+
+// Client history
+router.get('/assigned', validate(assignmentsSchema), requireClientAccess(), workoutController.listAssignments);
+router.get('/completions', validate(clientQuerySchema), requireClientAccess(), workoutController.listCompletions);
+router.get('/records', validate(clientQuerySchema), requireClientAccess(), workoutController.listPersonalRecords);
+
+// Workout templates
+router.get('/', requirePermission('workouts:create'), workoutController.listWorkouts);
+router.post('/', requirePermission('workouts:create'), validate(createWorkoutSchema), workoutController.createWorkout);
+router.get('/:id', validate(workoutIdSchema), workoutController.getWorkout);
+router.put('/:id', requirePermission('workouts:create'), validate(updateWorkoutSchema), workoutController.updateWorkout);
+router.delete('/:id', requirePermission('workouts:create'), validate(workoutIdSchema), workoutController.deleteWorkout);
+router.post('/:id/assign', requirePermission('workouts:assign'), validate(assignSchema), workoutController.assignWorkout);
+router.post('/:id/complete', requirePermission('workouts:complete'), validate(completeSchema), workoutController.completeWorkout);
+
+module.exports = router;